@@ -0,0 +1,76 @@
+// functions/_lib/assets.js
+// Per-organisation image library (logos, signatures, seals) in CERT_TEMPLATES under
+// orgs/<org>/assets/<slug> (see src/lib/assets.js), with the original file name, type and pixel
+// size in customMetadata. Served through /api/template like uploaded backgrounds.
+import { sniffTemplateType, templateDimensions } from "./templates.js";
+import { assetKeyFor, assetUrl, isAssetKey } from "../../src/lib/assets.js";
+
+export const MAX_ASSET_BYTES = 5 * 1024 * 1024;
+// Signatures and seals are small on the page; the cap keeps PNG decoding inside Worker memory
+export const MAX_ASSET_PX = 4000;
+const MAX_NAME = 80;
+
+const CONTENT_TYPES = { png: "image/png", jpeg: "image/jpeg" };
+
+function assetFrom(key, meta) {
+  return {
+    key,
+    name: meta?.name || key.split("/").pop(),
+    url: assetUrl(key),
+    type: meta?.type || "",
+    width: Number(meta?.width) || 0,
+    height: Number(meta?.height) || 0,
+    uploadedAt: meta?.uploadedAt || "",
+  };
+}
+
+// => [{ key, name, url, type, width, height, uploadedAt }], by name
+export async function listAssets(env, org) {
+  const prefix = `orgs/${org}/assets/`;
+  const assets = [];
+  let cursor;
+  do {
+    const page = await env.CERT_TEMPLATES.list({ prefix, cursor, include: ["customMetadata"] });
+    for (const o of page.objects || []) {
+      if (isAssetKey(o.key)) assets.push(assetFrom(o.key, o.customMetadata));
+    }
+    cursor = page.truncated ? page.cursor : undefined;
+  } while (cursor);
+  return assets.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Validates and stores an uploaded PNG/JPG under its file name. => { asset } | { error, status }
+export async function storeAsset(env, org, { bytes, name }) {
+  const type = sniffTemplateType(bytes);
+  if (type !== "png" && type !== "jpeg") return { error: "Unsupported file type. Upload a PNG or JPG.", status: 415 };
+
+  const label = String(name || "").replace(/\s+/g, " ").trim().slice(0, MAX_NAME);
+  const key = assetKeyFor(org, label);
+  if (!key) return { error: "The file needs a name with letters or digits.", status: 400 };
+
+  const dimensions = await templateDimensions(bytes, type);
+  if (!dimensions?.width || !dimensions?.height) return { error: "Could not read the image's dimensions.", status: 422 };
+  if (Math.max(dimensions.width, dimensions.height) > MAX_ASSET_PX) {
+    return { error: `The image is ${dimensions.width}×${dimensions.height} px; the limit is ${MAX_ASSET_PX} px per side.`, status: 422 };
+  }
+
+  const meta = {
+    name: label,
+    type,
+    width: String(dimensions.width),
+    height: String(dimensions.height),
+    uploadedAt: new Date().toISOString(),
+  };
+  await env.CERT_TEMPLATES.put(key, bytes, { httpMetadata: { contentType: CONTENT_TYPES[type] }, customMetadata: meta });
+  return { asset: assetFrom(key, meta) };
+}
+
+// loadAssetBytes(key) for renderCertificatesPdf: asset bytes, or null when the key isn't one of
+// `org`'s assets or doesn't exist
+export function createR2AssetLoader(env, org) {
+  return async function loadAssetBytes(key) {
+    if (!isAssetKey(key) || !key.startsWith(`orgs/${org}/`)) return null;
+    const obj = await env.CERT_TEMPLATES.get(key);
+    return obj ? new Uint8Array(await obj.arrayBuffer()) : null;
+  };
+}
@@ -0,0 +1,68 @@
+// functions/_lib/auth.js
+// Who is calling. The paid API keys in env.PAID_API_KEYS (comma-separated) identify an
+// organisation: "acme:<key>" names it, a bare "<key>" gets an organisation derived from the key.
+// A request authenticates with "Authorization: Bearer <key>" or with the session cookie set by
+// POST /api/session, which the editor needs because its <img> loads can't send headers.
+// Anonymous callers can read the "default" organisation's files but not write any: routes that
+// store something call authenticate() and answer 401 without a caller.
+
+export const DEFAULT_ORG = "default";
+export const SESSION_COOKIE = "certifyly_key";
+
+const ORG_RE = /^[a-z0-9-]{1,64}$/;
+const SESSION_MAX_AGE = 30 * 24 * 60 * 60;
+
+function bearerToken(request) {
+  const header = request.headers.get("Authorization") || "";
+  const m = header.match(/^Bearer\s+(.+)$/i);
+  return m ? m[1].trim() : "";
+}
+
+function cookieValue(request, name) {
+  for (const part of (request.headers.get("Cookie") || "").split(";")) {
+    const eq = part.indexOf("=");
+    if (eq > 0 && part.slice(0, eq).trim() === name) return decodeURIComponent(part.slice(eq + 1).trim());
+  }
+  return "";
+}
+
+// => [{ key, org }] ("" org for bare keys)
+function paidKeys(env) {
+  return (env.PAID_API_KEYS || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const m = entry.match(/^([a-z0-9-]{1,64}):(.+)$/);
+      return m ? { key: m[2].trim(), org: m[1] } : { key: entry, org: "" };
+    });
+}
+
+// Stable organisation slug for a bare key, without putting the key itself into R2 paths
+async function keyOrg(key) {
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(key));
+  const hex = [...new Uint8Array(digest)].map((b) => b.toString(16).padStart(2, "0")).join("");
+  return `key-${hex.slice(0, 16)}`;
+}
+
+// => { key, org } for a request with a valid paid key, otherwise null
+export async function authenticate(request, env) {
+  const token = bearerToken(request) || cookieValue(request, SESSION_COOKIE);
+  if (!token) return null;
+  const match = paidKeys(env).find((k) => k.key === token);
+  if (!match) return null;
+  const org = match.org || (await keyOrg(match.key));
+  return ORG_RE.test(org) ? { key: match.key, org } : null;
+}
+
+// Organisation whose templates and images the caller reads (DEFAULT_ORG when anonymous)
+export async function orgIdFor(request, env) {
+  return (await authenticate(request, env))?.org || DEFAULT_ORG;
+}
+
+// Set-Cookie value for a session; an empty key clears it
+export function sessionCookie(key) {
+  const value = key ? encodeURIComponent(key) : "";
+  const maxAge = key ? SESSION_MAX_AGE : 0;
+  return `${SESSION_COOKIE}=${value}; Path=/api; Max-Age=${maxAge}; HttpOnly; Secure; SameSite=Strict`;
+}
@@ -0,0 +1,80 @@
+// functions/_lib/certificates.js
+// Issued-certificate records for /api/verify/:id, stored as JSON under records/<id>.json in R2
+// (CERT_RECORDS if bound, otherwise CERTS_BUCKET next to the generated PDFs; /api/download only
+// serves certificates/, so records are never downloadable).
+//
+// { version: 1, id, name, award, issuer, date, status: "valid" | "revoked", issuedAt, batchKey, templateKey }
+// Only what the verify page shows is kept: the row's other columns (emails etc.) are not stored.
+// Revoking a certificate = setting its record's status to "revoked".
+import { newCertificateId, verifyUrlFor } from "../../src/lib/certificateId.js";
+
+const PREFIX = "records/";
+const RECORD_VERSION = 1;
+const WRITE_BATCH = 25;
+
+export function recordsBucket(env) {
+  return env.CERT_RECORDS || env.CERTS_BUCKET;
+}
+
+function recordKey(id) {
+  return `${PREFIX}${id}.json`;
+}
+
+// Gives every row a fresh certificateId (+ verifyUrl for {{verify_url}}) before rendering
+export function assignCertificateIds(rows, origin) {
+  return rows.map((row) => {
+    const certificateId = newCertificateId();
+    return { ...row, certificateId, verifyUrl: verifyUrlFor(origin, certificateId) };
+  });
+}
+
+// Stores one record per row once the batch has been generated. `texts` supplies the
+// date/issuer defaults for rows without their own.
+export async function storeCertificateRecords(env, rows, { texts, batchKey, templateKey }) {
+  const bucket = recordsBucket(env);
+  const issuedAt = new Date().toISOString();
+  const store = (row) => {
+    const record = {
+      version: RECORD_VERSION,
+      id: row.certificateId,
+      name: row.name,
+      award: row.award,
+      issuer: row.issuer || texts.issuerDefault || "",
+      date: row.date || texts.dateTextDefault || "",
+      status: "valid",
+      issuedAt,
+      batchKey,
+      templateKey,
+    };
+    return bucket.put(recordKey(row.certificateId), JSON.stringify(record), {
+      httpMetadata: { contentType: "application/json" },
+      customMetadata: { name: record.name, batchKey, issuedAt },
+    });
+  };
+
+  // A few writes at a time rather than one burst for the whole batch
+  for (let i = 0; i < rows.length; i += WRITE_BATCH) {
+    await Promise.all(rows.slice(i, i + WRITE_BATCH).map(store));
+  }
+}
+
+// => the public part of a record ({ id, name, award, issuer, date, status, issuedAt }) or null
+export async function readCertificateRecord(env, id) {
+  const obj = await recordsBucket(env).get(recordKey(id));
+  if (!obj) return null;
+  let record;
+  try {
+    record = JSON.parse(await obj.text());
+  } catch {
+    return null;
+  }
+  return {
+    id,
+    name: record.name || "",
+    award: record.award || "",
+    issuer: record.issuer || "",
+    date: record.date || "",
+    status: record.status === "revoked" ? "revoked" : "valid",
+    issuedAt: record.issuedAt || "",
+  };
+}
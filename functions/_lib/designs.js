@@ -0,0 +1,140 @@
+// functions/_lib/designs.js
+// Named designs stored as JSON under designs/<org>/<id>.json in R2 (CERT_DESIGNS if bound,
+// otherwise the template bucket, where /api/template doesn't serve designs/). Every call is
+// scoped to the caller's organisation (_lib/auth.js); the routes only serve signed-in callers,
+// so there is no shared anonymous folder. Name and timestamps are mirrored into
+// customMetadata so listing doesn't have to read every object.
+import { normalizeDesign } from "../../src/lib/design.js";
+
+const PREFIX = "designs/";
+
+// Request bodies beyond this are refused before parsing (a design is a few KB of layout)
+export const MAX_DESIGN_BYTES = 256 * 1024;
+
+export const SIGN_IN_FOR_DESIGNS = "Sign in with your API key to use saved designs.";
+
+export function designsBucket(env) {
+  return env.CERT_DESIGNS || env.CERT_TEMPLATES;
+}
+
+export function isDesignId(id) {
+  return /^[a-z0-9-]{1,64}$/i.test(String(id || ""));
+}
+
+function orgPrefix(org) {
+  return `${PREFIX}${org}/`;
+}
+
+function designKey(org, id) {
+  return `${orgPrefix(org)}${id}.json`;
+}
+
+function summaryFrom(id, meta, etag) {
+  return {
+    id,
+    name: meta?.name || id,
+    templateKey: meta?.templateKey || "",
+    paper: meta?.paper || "",
+    createdAt: meta?.createdAt || "",
+    updatedAt: meta?.updatedAt || "",
+    etag: etag || "",
+  };
+}
+
+// Reads a request's JSON body, up to MAX_DESIGN_BYTES. An empty body is `fallback` when one
+// is given. => { body } | { error, status }
+export async function readDesignBody(request, { fallback } = {}) {
+  const tooLarge = { error: `Design is too large (max ${MAX_DESIGN_BYTES / 1024} KB).`, status: 413 };
+  if (Number(request.headers.get("Content-Length")) > MAX_DESIGN_BYTES) return tooLarge;
+
+  // Content-Length may be missing or wrong: count what actually arrives
+  const chunks = [];
+  let size = 0;
+  if (request.body) {
+    const reader = request.body.getReader();
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      size += value.byteLength;
+      if (size > MAX_DESIGN_BYTES) {
+        await reader.cancel();
+        return tooLarge;
+      }
+      chunks.push(value);
+    }
+  }
+
+  const bytes = new Uint8Array(size);
+  let offset = 0;
+  for (const chunk of chunks) {
+    bytes.set(chunk, offset);
+    offset += chunk.byteLength;
+  }
+  const text = new TextDecoder().decode(bytes);
+  if (!text.trim() && fallback !== undefined) return { body: fallback };
+  try {
+    const body = JSON.parse(text);
+    if (body && typeof body === "object") return { body };
+  } catch {
+    // falls through
+  }
+  return { error: "Expected a JSON body.", status: 400 };
+}
+
+// => [{ id, name, templateKey, paper, createdAt, updatedAt, etag }], newest first
+export async function listDesigns(env, org) {
+  const bucket = designsBucket(env);
+  const prefix = orgPrefix(org);
+  const designs = [];
+  let cursor;
+  do {
+    const page = await bucket.list({ prefix, cursor, include: ["customMetadata"] });
+    for (const o of page.objects || []) {
+      const id = o.key.slice(prefix.length).replace(/\.json$/, "");
+      if (isDesignId(id)) designs.push(summaryFrom(id, o.customMetadata, o.etag));
+    }
+    cursor = page.truncated ? page.cursor : undefined;
+  } while (cursor);
+
+  return designs.sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+}
+
+// => { id, ...design, createdAt, updatedAt, etag } or null
+export async function readDesign(env, org, id) {
+  const obj = await designsBucket(env).get(designKey(org, id));
+  if (!obj) return null;
+  const parsed = normalizeDesign(await obj.text());
+  if (parsed.error) return null;
+  const meta = obj.customMetadata || {};
+  return { id, ...parsed.design, createdAt: meta.createdAt || "", updatedAt: meta.updatedAt || "", etag: obj.etag };
+}
+
+// Validates and stores `input`. `ifMatch` (an etag) makes the write conditional.
+// => { design } | { error, status }
+export async function writeDesign(env, org, id, input, { createdAt, ifMatch } = {}) {
+  const parsed = normalizeDesign(input);
+  if (parsed.error) return { error: parsed.error, status: 400 };
+
+  const now = new Date().toISOString();
+  const meta = {
+    name: parsed.design.name,
+    templateKey: parsed.design.templateKey,
+    paper: parsed.design.paper,
+    createdAt: createdAt || now,
+    updatedAt: now,
+  };
+
+  const obj = await designsBucket(env).put(designKey(org, id), JSON.stringify(parsed.design), {
+    httpMetadata: { contentType: "application/json" },
+    customMetadata: meta,
+    ...(ifMatch ? { onlyIf: { etagMatches: ifMatch } } : {}),
+  });
+  // R2 returns null when the onlyIf precondition fails
+  if (!obj) return { error: "This design was changed by someone else. Reload it and try again.", status: 412 };
+
+  return { design: { id, ...parsed.design, createdAt: meta.createdAt, updatedAt: meta.updatedAt, etag: obj.etag } };
+}
+
+export async function deleteDesign(env, org, id) {
+  await designsBucket(env).delete(designKey(org, id));
+}
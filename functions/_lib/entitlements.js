@@ -0,0 +1,19 @@
+// functions/_lib/entitlements.js
+// Free-vs-paid decision for full-batch generation.
+//
+// An entitlement check is any async function ({ request, env }) => result, where result is
+// { allowed: true, plan, maxRows, org } or { allowed: false, reason }. Handlers take the check
+// as a parameter so tests can pass a stub instead of configuring keys.
+import { authenticate } from "./auth.js";
+
+export const FREE_PLAN = { allowed: false, plan: "free", reason: "Full-batch generation requires a paid plan." };
+
+// Default check: the caller must present one of the keys in env.PAID_API_KEYS (see _lib/auth.js).
+// env.PAID_MAX_ROWS optionally caps the batch size (0/unset = unlimited).
+export async function checkEntitlement({ request, env }) {
+  const caller = await authenticate(request, env);
+  if (!caller) return FREE_PLAN;
+
+  const maxRows = Number(env.PAID_MAX_ROWS);
+  return { allowed: true, plan: "paid", maxRows: Number.isFinite(maxRows) && maxRows > 0 ? maxRows : Infinity, org: caller.org };
+}
@@ -0,0 +1,17 @@
+// functions/_lib/fonts.js
+// Font store for the server renderer: TTF/OTF files under fonts/ in R2 (CERT_FONTS if bound,
+// otherwise the template bucket). Names come from src/lib/fonts.js, e.g. "Cinzel-Bold.ttf".
+
+// Font files never change under the same name, so keep them for the isolate's lifetime.
+const fontBytesCache = new Map();
+
+export function createR2FontLoader(env) {
+  const bucket = env.CERT_FONTS || env.CERT_TEMPLATES;
+  return async function loadFontBytes(file) {
+    if (fontBytesCache.has(file)) return fontBytesCache.get(file);
+    const obj = await bucket.get(`fonts/${file}`);
+    const bytes = obj ? new Uint8Array(await obj.arrayBuffer()) : null;
+    if (bytes) fontBytesCache.set(file, bytes);
+    return bytes;
+  };
+}
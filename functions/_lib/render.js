@@ -0,0 +1,458 @@
+// functions/_lib/render.js
+// Shared certificate renderer used by /api/preview and /api/generate.
+import { PDFDocument, PDFEmbeddedPage, StandardFonts, rgb, degrees } from "pdf-lib";
+import { createFontResolver, prepareText } from "../../src/lib/pdfFonts.js";
+import { parseFontStyle } from "../../src/lib/fonts.js";
+import { drawLayoutField, drawRichLayoutField, prepareSpans } from "../../src/lib/pdfText.js";
+import { drawQrElement, drawImageElement, drawShapeElement } from "../../src/lib/pdfElements.js";
+import { imageKeyForRow, imageTypeOf } from "../../src/lib/assets.js";
+import { normalizeLayout, scaleFields, fieldTextForRow, fieldSpansForRow, isTextField } from "../../src/lib/layout.js";
+import { decodeText } from "../../src/lib/csv.js";
+import { SIZES, CUSTOM_PAPER, UNIT_POINTS, isPaperSize, pageSizeFor } from "../../src/lib/constants.js";
+import { normalizePrintOptions, addCertificatePage, drawPrintMarks, hexToRgb, printColor } from "../../src/lib/print.js";
+import { normalizeImposition, imposePdf } from "../../src/lib/imposition.js";
+import { parseCsv } from "../../src/lib/parsers.js";
+import { canReadTemplateKey } from "./templates.js";
+
+export const WATERMARK_TEXT = "PREVIEW — UPGRADE TO REMOVE WATERMARK";
+
+export function jsonResponse(data, status = 200, extraHeaders = {}) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { "Content-Type": "application/json", ...extraHeaders },
+  });
+}
+
+function clamp01(n) {
+  if (!Number.isFinite(n)) return 0;
+  return Math.max(0, Math.min(1, n));
+}
+
+export function safeJsonParse(str, fallback) {
+  try {
+    return JSON.parse(str);
+  } catch {
+    return fallback;
+  }
+}
+
+// Draw background image (or embedded PDF page) as "cover" over `box` (keeps aspect ratio,
+// fills it): the trim area, or the bleed area in the print profile
+function drawBackgroundCover(page, img, box) {
+  const imgW = img.width;
+  const imgH = img.height;
+  const scale = Math.max(box.width / imgW, box.height / imgH);
+  const drawW = imgW * scale;
+  const drawH = imgH * scale;
+  const x = box.x + (box.width - drawW) / 2;
+  const y = box.y + (box.height - drawH) / 2;
+  if (img instanceof PDFEmbeddedPage) page.drawPage(img, { x, y, width: drawW, height: drawH });
+  else page.drawImage(img, { x, y, width: drawW, height: drawH });
+}
+
+// ---------- size handling + optional fit ----------
+function readSize(style, fieldKey, fallback) {
+  const raw = style?.[fieldKey]?.size;
+  const n = Number(raw);
+  if (Number.isFinite(n) && n > 1 && n < 300) return n;
+  return fallback;
+}
+
+// Optional: treat “weight” on UI as bold toggle (we ship Regular + Bold files per family)
+function isBoldFromWeight(style, fieldKey, defaultBold) {
+  const w = Number(style?.[fieldKey]?.weight);
+  if (Number.isFinite(w)) return w >= 700;
+  return !!defaultBold;
+}
+
+// style_json italic flag: { italic: true } or an editor fontStyle like "bold italic"
+function isItalic(style, fieldKey) {
+  const s = style?.[fieldKey];
+  return s?.italic === true || String(s?.fontStyle || s?.style || "").toLowerCase().includes("italic");
+}
+
+// Extra columns for {{placeholders}}: a row's `data` object plus any other scalar keys
+// (so rows_json can be either { name, title, course } or { name, title, data: { course } }).
+function rowData(r) {
+  const data = {};
+  for (const [k, v] of Object.entries(r || {})) {
+    if (k !== "data" && v != null && typeof v !== "object") data[k] = String(v);
+  }
+  if (r?.data && typeof r.data === "object") {
+    for (const [k, v] of Object.entries(r.data)) if (v != null) data[k] = String(v);
+  }
+  return data;
+}
+
+// User-added text fields: [{ id, text }] where text may contain {{column}} placeholders.
+// Position and style come from pos_json[id] / style_json[id] like the built-in fields.
+function readCustomFields(form) {
+  const list = safeJsonParse((form.get("custom_fields_json") || "[]").toString(), []);
+  if (!Array.isArray(list)) return [];
+  return list
+    .filter((f) => f && typeof f.id === "string" && f.id && typeof f.text === "string")
+    .map((f) => ({ id: f.id, text: f.text }));
+}
+
+// Reads template, rows, texts and the layout (layout_json, or legacy pos_json/style_json) from the form.
+// Returns { error, status } on bad input, otherwise everything renderCertificatesPdf needs.
+// CSV uploads also carry rowErrors: [{ line, message }] for rows that were skipped. Only shared
+// templates and the caller's organisation's (`org`, see _lib/auth.js) can be used.
+// More valid rows than `maxRows` is a 413, answered before the template is fetched.
+export async function readRenderRequest(form, env, org, { maxRows = Infinity } = {}) {
+  const templateKey = (form.get("template_key") || "").toString();
+  if (!templateKey) return { error: "Missing template_key", status: 400 };
+  if (!canReadTemplateKey(templateKey, org)) return { error: "Template not found in R2", status: 404 };
+
+  // Page: paper_size (+ orientation, + page_width/page_height/page_unit for CUSTOM). Without
+  // paper_size a layout_json keeps its own page; legacy forms default to A4.
+  const paperSize = (form.get("paper_size") || "").toString().toUpperCase();
+  if (paperSize && !isPaperSize(paperSize)) {
+    return { error: `paper_size must be one of ${[...Object.keys(SIZES), CUSTOM_PAPER].join(", ")}.`, status: 400 };
+  }
+  const orientation = (form.get("orientation") || "landscape").toString().toLowerCase();
+  if (orientation !== "landscape" && orientation !== "portrait") {
+    return { error: "orientation must be landscape or portrait.", status: 400 };
+  }
+  let customPaper = null;
+  if (paperSize === CUSTOM_PAPER) {
+    customPaper = {
+      width: Number(form.get("page_width")),
+      height: Number(form.get("page_height")),
+      unit: (form.get("page_unit") || "mm").toString(),
+    };
+    if (!(customPaper.width > 0) || !(customPaper.height > 0) || !UNIT_POINTS[customPaper.unit]) {
+      return { error: "CUSTOM paper needs page_width, page_height and page_unit (mm or in).", status: 400 };
+    }
+  }
+
+  // print_profile=print (+ bleed_mm, crop_marks=0 to leave the marks off)
+  const printOptions = normalizePrintOptions({
+    profile: (form.get("print_profile") || "screen").toString(),
+    bleedMm: form.get("bleed_mm") ?? undefined,
+    marks: (form.get("crop_marks") ?? "1").toString() !== "0",
+  });
+  if (printOptions.error) return { error: printOptions.error, status: 400 };
+
+  // per_sheet=2|4|8 tiles certificates onto sheet_size sheets (+ gutter_mm, sheet_order, cut_marks=0)
+  const impositionOptions = normalizeImposition({
+    perSheet: form.get("per_sheet") ?? undefined,
+    sheet: form.get("sheet_size") || undefined,
+    gutterMm: form.get("gutter_mm") ?? undefined,
+    order: form.get("sheet_order") || undefined,
+    marks: (form.get("cut_marks") ?? "1").toString() !== "0",
+  });
+  if (impositionOptions.error) return { error: impositionOptions.error, status: 400 };
+
+  // Rows
+  const rowsJsonStr = (form.get("rows_json") || "").toString();
+  const file = form.get("file");
+
+  let rows = [];
+  let rowErrors = [];
+  if (rowsJsonStr) {
+    const parsedRows = safeJsonParse(rowsJsonStr, []);
+    if (!Array.isArray(parsedRows)) return { error: "rows_json must be a JSON array.", status: 400 };
+    rows = parsedRows;
+  } else {
+    if (!file || typeof file === "string") return { error: "Missing rows_json or CSV file.", status: 400 };
+    const csvText = decodeText(await file.arrayBuffer());
+    const parsed = parseCsv(csvText, { delimiter: (form.get("delimiter") || "").toString() || undefined });
+    if (parsed.error) return { error: parsed.error, rowErrors: parsed.errors || [], status: 400 };
+    rows = parsed.rows;
+    rowErrors = parsed.errors;
+  }
+
+  rows = rows
+    .map((r) => ({
+      name: (r?.name || "").toString(),
+      award: (r?.award ?? r?.title ?? "").toString(),
+      date: (r?.date || "").toString(),
+      issuer: (r?.issuer || "").toString(),
+      data: rowData(r),
+    }))
+    .filter((r) => r.name && r.award);
+
+  if (rows.length === 0) return { error: "No valid rows found (need name + title/award).", rowErrors, status: 400 };
+  if (rows.length > maxRows) return { error: `Your plan allows up to ${maxRows} certificates per batch.`, status: 413 };
+
+  const texts = {
+    certificateTitle: (form.get("certificate_title") || "Certificate of Achievement").toString(),
+    subtitle: (form.get("subtitle") || "").toString(),
+    description: (form.get("description") || "").toString(),
+    dateTextDefault: (form.get("date_text") || "").toString(),
+    issuerDefault: (form.get("issuer") || "").toString(),
+  };
+
+  // Layout: the editor's layout_json (lib/layout.js), or one built from the legacy pos/style fields
+  const requested = paperSize ? pageSizeFor(paperSize, orientation, customPaper) : null;
+  const legacy = requested || pageSizeFor("A4", orientation);
+  const layoutJson = (form.get("layout_json") || "").toString();
+  const parsedLayout = layoutJson
+    ? normalizeLayout(layoutJson)
+    : layoutFromLegacy(
+        {
+          texts,
+          customFields: readCustomFields(form),
+          pos: safeJsonParse((form.get("pos_json") || "{}").toString(), {}),
+          style: safeJsonParse((form.get("style_json") || "{}").toString(), {}),
+        },
+        legacy.w,
+        legacy.h
+      );
+  if (parsedLayout.error) return { error: parsedLayout.error, status: 400 };
+  const { layout } = parsedLayout;
+  const page = requested ? { width: requested.w, height: requested.h } : layout.page;
+
+  // Get template from R2, once everything cheaper has been checked
+  const obj = await env.CERT_TEMPLATES.get(templateKey);
+  if (!obj) return { error: "Template not found in R2", status: 404 };
+  const templateBytes = new Uint8Array(await obj.arrayBuffer());
+
+  return {
+    templateKey,
+    templateBytes,
+    paperSize: paperSize || layout.paper || "A4",
+    rows,
+    rowErrors,
+    texts,
+    layout: { ...layout, page, fields: scaleFields(layout.fields, layout.page, page) },
+    print: printOptions.print,
+    imposition: impositionOptions.imposition,
+  };
+}
+
+// Built-in fields of the legacy pos_json/style_json form, with their old default styling.
+const LEGACY_FIELDS = [
+  { id: "certTitle", text: "certificateTitle", bold: true, color: "#1e2233", size: 40, minSize: 18, widthPct: 0.86 },
+  { id: "subtitle", text: "subtitle", bold: false, color: "#2b2f44", size: 18, minSize: 10, widthPct: 0.86 },
+  { id: "name", bold: true, color: "#1e2233", size: 32, minSize: 18, widthPct: 0.86 },
+  { id: "description", text: "description", bold: false, color: "#2b2f44", size: 16, minSize: 10, widthPct: 0.86 },
+  { id: "award", bold: false, color: "#2b2f44", size: 18, minSize: 11, widthPct: 0.86 },
+  // date usually sits in a smaller area
+  { id: "date", bold: false, color: "#2b2f44", size: 12, minSize: 9, widthPct: 0.4 },
+  { id: "issuer", bold: true, color: "#1e2233", size: 14, minSize: 10, widthPct: 0.45 },
+];
+
+// Legacy form => layout. pos_json[id] = { x, y } (0..1, y from the top) was the centre of the
+// text's baseline. Fields stay centred in their old width but now wrap inside it instead of
+// running off the page; the old minimum sizes only kick in for words wider than the box.
+function layoutFromLegacy({ texts, customFields, pos, style }, w, h) {
+  const specs = [
+    ...LEGACY_FIELDS,
+    ...customFields.map((cf) => ({ id: cf.id, custom: true, value: cf.text, bold: false, color: "#2b2f44", size: 16, minSize: 9, widthPct: 0.86 })),
+  ];
+
+  const fields = specs.map((spec) => {
+    const bold = isBoldFromWeight(style, spec.id, spec.bold);
+    const italic = isItalic(style, spec.id);
+    const fontSize = readSize(style, spec.id, spec.size);
+    const width = Number(style?.[spec.id]?.width) > 0 ? Number(style[spec.id].width) * w : w * spec.widthPct;
+    const cx = clamp01(Number(pos?.[spec.id]?.x ?? 0.5)) * w;
+    const baselineY = clamp01(Number(pos?.[spec.id]?.y ?? 0.5)) * h;
+
+    return {
+      id: spec.id,
+      ...(spec.custom ? { custom: true } : {}),
+      text: spec.value ?? (spec.text ? texts[spec.text] : ""),
+      x: cx - width / 2,
+      y: baselineY - fontSize * 0.8, // baseline => box top, assuming a typical 0.8em ascent
+      width,
+      // box options can also be set per field in style_json
+      height: style?.[spec.id]?.height,
+      maxLines: style?.[spec.id]?.maxLines,
+      align: style?.[spec.id]?.align || "center",
+      fontFamily: (style?.[spec.id]?.font || "helvetica").toString(),
+      fontSize,
+      fontStyle: [bold && "bold", italic && "italic"].filter(Boolean).join(" ") || "normal",
+      fill: (style?.[spec.id]?.color || spec.color).toString(),
+      minFontSize: Math.min(spec.minSize, fontSize),
+    };
+  });
+
+  return normalizeLayout({ version: 1, page: { width: w, height: h }, fields });
+}
+
+// Renders one page per row. Returns { error, status } or { pdfBytes, warnings }.
+// `print` (lib/print.js) adds bleed, crop marks and TrimBox/BleedBox; null = trim-size pages.
+// `imposition` (lib/imposition.js) then tiles the pages onto larger sheets.
+// `loadFontBytes(file)` supplies TTF/OTF bytes for editor families (see _lib/fonts.js);
+// without it every family falls back to Helvetica.
+// `loadAssetBytes(key)` supplies image element bytes (see _lib/assets.js); without it image
+// elements are left out.
+export async function renderCertificatesPdf(
+  { templateKey, templateBytes, rows, texts, layout, print = null, imposition = null },
+  { watermark = false, loadFontBytes = async () => null, loadAssetBytes = async () => null } = {}
+) {
+  const pdfDoc = await PDFDocument.create();
+
+  // Embed background (PNG/JPG, or the first page of a PDF as a vector XObject)
+  const ext = templateKey.toLowerCase().split(".").pop();
+  let bgImg = null;
+  if (ext === "pdf") {
+    try {
+      [bgImg] = await pdfDoc.embedPdf(templateBytes, [0]);
+    } catch (e) {
+      return { error: `Could not read the PDF template: ${e?.message || "invalid file"}`, status: 400 };
+    }
+  } else {
+    bgImg =
+      ext === "png"
+        ? await pdfDoc.embedPng(templateBytes)
+        : ext === "jpg" || ext === "jpeg"
+        ? await pdfDoc.embedJpg(templateBytes)
+        : null;
+  }
+
+  if (!bgImg) return { error: "Unsupported template format. Use PNG, JPG or PDF.", status: 400 };
+
+  const { width: w, height: h } = layout.page;
+  const defaults = { dateText: texts.dateTextDefault, issuerText: texts.issuerDefault };
+
+  // Fonts: editor families are embedded (subset) from the font store, cached per document
+  const resolveFont = createFontResolver(pdfDoc, loadFontBytes);
+  const warnings = [];
+  const warned = new Set();
+
+  // Shapes `text` with the field's family + per-script fallbacks; records what couldn't be drawn
+  async function shapeText(field, text, rowIndex) {
+    const family = field.fontFamily;
+    const prepared = await prepareText(resolveFont, family, parseFontStyle(field.fontStyle), text);
+
+    if (prepared.fallback && !warned.has(family)) {
+      warned.add(family);
+      warnings.push(`Font "${family}" is not available on the server; used Helvetica.`);
+    }
+    if (prepared.missing.length) {
+      warnings.push(
+        `Row ${rowIndex + 1} (${field.id}): no font can draw ${prepared.missing.map((c) => `"${c}"`).join(", ")}; replaced with "?".`
+      );
+    }
+    return prepared;
+  }
+
+  // Image elements: each asset is embedded once and reused by every row that draws it
+  const images = new Map();
+  function embedAsset(key) {
+    if (!images.has(key)) {
+      images.set(
+        key,
+        (async () => {
+          const bytes = key ? await loadAssetBytes(key) : null;
+          const type = bytes ? imageTypeOf(bytes) : "";
+          if (type === "png") return pdfDoc.embedPng(bytes);
+          if (type === "jpeg") return pdfDoc.embedJpg(bytes);
+          return null;
+        })().catch(() => null)
+      );
+    }
+    return images.get(key);
+  }
+
+  const wmFont = watermark ? await pdfDoc.embedFont(StandardFonts.HelveticaBold) : null;
+
+  for (let i = 0; i < rows.length; i++) {
+    const row = rows[i];
+    const { page, geometry } = addCertificatePage(pdfDoc, w, h, print);
+    drawBackgroundCover(page, bgImg, print ? geometry.bleed : geometry.trim);
+    drawPrintMarks(page, geometry, print);
+    const origin = { x: geometry.trim.x, y: geometry.trim.y };
+
+    for (const field of layout.fields) {
+      if (field.type === "shape") {
+        const fill = field.fill ? printColor(hexToRgb(field.fill), print) : null;
+        const stroke = field.stroke ? printColor(hexToRgb(field.stroke), print) : null;
+        drawShapeElement(page, field, { pageHeight: h, fill, stroke, origin });
+        continue;
+      }
+      if (field.type === "image") {
+        const image = await embedAsset(imageKeyForRow(field, row));
+        if (image) drawImageElement(page, field, image, { pageHeight: h, origin });
+        else warnings.push(`Row ${i + 1} (${field.id}): image not found; left out.`);
+        continue;
+      }
+      const text = fieldTextForRow(field, row, defaults);
+      if (!text.trim()) continue;
+      if (field.type === "qr") {
+        const background = field.background ? printColor(hexToRgb(field.background), print) : null;
+        if (!drawQrElement(page, field, text, { pageHeight: h, color: printColor(hexToRgb(field.fill), print), background, origin })) {
+          warnings.push(`Row ${i + 1} (${field.id}): too much data for a QR code; left out.`);
+        }
+        continue;
+      }
+      const paint = {
+        pageHeight: h,
+        color: printColor(hexToRgb(field.fill), print),
+        strokeColor: field.stroke ? printColor(hexToRgb(field.stroke), print) : null,
+        shadowColor: field.shadowColor ? printColor(hexToRgb(field.shadowColor), print) : null,
+        origin,
+      };
+      let fit;
+      if (field.rich) {
+        const spans = fieldSpansForRow(field, row, defaults);
+        const preparedFor = await prepareSpans(field, spans, (fontStyle, t) => shapeText({ ...field, fontStyle }, t, i));
+        fit = drawRichLayoutField(page, field, spans, preparedFor, { ...paint, colorFor: (hex) => printColor(hexToRgb(hex), print) });
+      } else {
+        fit = drawLayoutField(page, field, text, await shapeText(field, text, i), paint);
+      }
+      if (fit?.overflow) {
+        warnings.push(`Row ${i + 1} (${field.id}): text doesn't fit its box; ${fit.overflow} line(s) cut.`);
+      }
+    }
+
+    // Watermark (preview only)
+    if (watermark) {
+      page.drawText(WATERMARK_TEXT, {
+        x: origin.x + 40,
+        y: origin.y + h * 0.35,
+        size: 22,
+        font: wmFont,
+        color: rgb(0.75, 0.75, 0.75),
+        rotate: degrees(25),
+        opacity: 0.35,
+      });
+    }
+  }
+
+  let pdfBytes = await pdfDoc.save();
+  if (imposition) {
+    const imposed = await imposePdf(pdfBytes, imposition);
+    pdfBytes = imposed.pdfBytes;
+    if (imposed.grid && imposed.grid.scale < 1) {
+      warnings.push(`Certificates were scaled to ${Math.round(imposed.grid.scale * 100)}% to fit ${imposition.perSheet} per ${imposition.sheet} sheet.`);
+    }
+  }
+  return { pdfBytes, warnings };
+}
+
+// Glyph pre-flight: for every row/field, which characters the chosen font can't draw.
+// `missing` => no font in the fallback chain has them (rendered as "?")
+// `substituted` => drawn, but with a fallback family ({ family: chars })
+export async function preflightGlyphs({ rows, texts, layout }, { loadFontBytes = async () => null } = {}) {
+  const pdfDoc = await PDFDocument.create();
+  const resolveFont = createFontResolver(pdfDoc, loadFontBytes);
+  const defaults = { dateText: texts.dateTextDefault, issuerText: texts.issuerDefault };
+  const unavailable = new Set();
+  const issues = [];
+
+  for (let i = 0; i < rows.length; i++) {
+    for (const field of layout.fields) {
+      if (!isTextField(field)) continue;
+      const text = fieldTextForRow(field, rows[i], defaults);
+      if (!text.trim()) continue;
+
+      const prepared = await prepareText(resolveFont, field.fontFamily, parseFontStyle(field.fontStyle), text);
+      if (prepared.fallback) unavailable.add(field.fontFamily);
+
+      if (prepared.missing.length || Object.keys(prepared.substituted).length) {
+        issues.push({ row: i + 1, field: field.id, font: field.fontFamily, text, missing: prepared.missing, substituted: prepared.substituted });
+      }
+    }
+  }
+
+  return {
+    rows: issues,
+    missingRows: Array.from(new Set(issues.filter((x) => x.missing.length).map((x) => x.row))),
+    unavailableFonts: Array.from(unavailable),
+  };
+}
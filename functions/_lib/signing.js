@@ -0,0 +1,66 @@
+// functions/_lib/signing.js
+// HMAC-signed, expiring download links: /api/download/<key>?exp=<unix seconds>&sig=<base64url>.
+// Signing is enabled by setting env.DOWNLOAD_SIGNING_SECRET; without it links are unsigned.
+
+const DEFAULT_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+function base64UrlEncode(bytes) {
+  let bin = "";
+  for (const b of new Uint8Array(bytes)) bin += String.fromCharCode(b);
+  return btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function base64UrlDecode(str) {
+  const b64 = str.replace(/-/g, "+").replace(/_/g, "/") + "===".slice((str.length + 3) % 4);
+  const bin = atob(b64);
+  const out = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) out[i] = bin.charCodeAt(i);
+  return out;
+}
+
+async function hmacKey(secret) {
+  return crypto.subtle.importKey("raw", new TextEncoder().encode(secret), { name: "HMAC", hash: "SHA-256" }, false, [
+    "sign",
+    "verify",
+  ]);
+}
+
+function payloadFor(key, exp) {
+  return new TextEncoder().encode(`${key}\n${exp}`);
+}
+
+export function signingEnabled(env) {
+  return !!env.DOWNLOAD_SIGNING_SECRET;
+}
+
+export async function signDownloadKey(key, env, ttlSeconds) {
+  const ttl = Number(ttlSeconds ?? env.DOWNLOAD_LINK_TTL);
+  const exp = Math.floor(Date.now() / 1000) + (Number.isFinite(ttl) && ttl > 0 ? ttl : DEFAULT_TTL_SECONDS);
+  const sig = await crypto.subtle.sign("HMAC", await hmacKey(env.DOWNLOAD_SIGNING_SECRET), payloadFor(key, exp));
+  return { exp, sig: base64UrlEncode(sig) };
+}
+
+// Relative URL for a stored artifact, signed when signing is enabled.
+export async function downloadUrlFor(key, env) {
+  const path = `/api/download/${encodeURIComponent(key)}`;
+  if (!signingEnabled(env)) return path;
+  const { exp, sig } = await signDownloadKey(key, env);
+  return `${path}?exp=${exp}&sig=${sig}`;
+}
+
+// Returns "" when the token is valid, otherwise a reason.
+export async function verifyDownloadToken(key, exp, sig, env) {
+  if (!exp || !sig) return "Missing download token.";
+  const expN = Number(exp);
+  if (!Number.isInteger(expN)) return "Invalid download token.";
+  if (expN < Math.floor(Date.now() / 1000)) return "Download link has expired.";
+
+  let sigBytes;
+  try {
+    sigBytes = base64UrlDecode(sig);
+  } catch {
+    return "Invalid download token.";
+  }
+  const ok = await crypto.subtle.verify("HMAC", await hmacKey(env.DOWNLOAD_SIGNING_SECRET), sigBytes, payloadFor(key, expN));
+  return ok ? "" : "Invalid download token.";
+}
@@ -0,0 +1,254 @@
+// functions/_lib/templates.js
+// Certificate backgrounds in CERT_TEMPLATES: the shared set under templates/ (served from the
+// public CDN) and per-organisation uploads under orgs/<org>/templates/<id>.<ext>, with a
+// thumbnail under orgs/<org>/thumbs/ and the label/paper/orientation in customMetadata. The
+// organisation is the caller's (_lib/auth.js); nothing outside it is readable through the API.
+// Any template can have a sidecar "<key>.json" (src/lib/templateMeta.js) with its display
+// name, category, recommended fonts/colours and default field layout.
+import { PDFDocument } from "pdf-lib";
+import { SIZES } from "../../src/lib/constants.js";
+import { normalizeTemplateMeta, templateMetaKey } from "../../src/lib/templateMeta.js";
+
+const CDN_BASE = "https://cdn.budgetwonders.eu"; // public R2 domain for the shared templates
+const SHARED_PREFIX = "templates/";
+
+export const MAX_TEMPLATE_BYTES = 20 * 1024 * 1024;
+export const MAX_THUMBNAIL_BYTES = 512 * 1024;
+export const MAX_LABEL = 80;
+// Long side at least ~120 dpi on A4/Letter; the cap keeps PNG decoding inside Worker memory
+export const MIN_TEMPLATE_PX = 1400;
+export const MAX_TEMPLATE_PX = 10000;
+// Backgrounds are drawn "cover": a different aspect ratio crops the artwork
+const ASPECT_TOLERANCE = 0.06;
+
+const EXTENSIONS = { png: "png", jpeg: "jpg", pdf: "pdf" };
+
+function orgPrefix(org) {
+  return `orgs/${org}/`;
+}
+
+function assetUrl(key) {
+  return `/api/template?key=${encodeURIComponent(key)}`;
+}
+
+// "png" | "jpeg" | "pdf" | "" from the leading bytes, not the client's content type
+export function sniffTemplateType(bytes) {
+  if (bytes.length >= 8 && bytes[0] === 0x89 && bytes[1] === 0x50 && bytes[2] === 0x4e && bytes[3] === 0x47) return "png";
+  if (bytes.length >= 3 && bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff) return "jpeg";
+  if (bytes.length >= 5 && String.fromCharCode(...bytes.slice(0, 5)) === "%PDF-") return "pdf";
+  return "";
+}
+
+function pngSize(bytes) {
+  if (bytes.length < 24) return null;
+  const dv = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  return { width: dv.getUint32(16), height: dv.getUint32(20) };
+}
+
+// Walks the JPEG markers up to the first SOFn frame header
+function jpegSize(bytes) {
+  const dv = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let i = 2;
+  while (i + 9 < bytes.length) {
+    if (bytes[i] !== 0xff) return null;
+    const marker = bytes[i + 1];
+    if (marker === 0xff) {
+      i += 1;
+      continue;
+    }
+    const len = dv.getUint16(i + 2);
+    const isSof = marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc;
+    if (isSof) return { width: dv.getUint16(i + 7), height: dv.getUint16(i + 5) };
+    i += 2 + len;
+  }
+  return null;
+}
+
+// => { width, height, unit: "px" | "pt" } or null
+export async function templateDimensions(bytes, type) {
+  if (type === "png") return { ...pngSize(bytes), unit: "px" };
+  if (type === "jpeg") {
+    const size = jpegSize(bytes);
+    return size ? { ...size, unit: "px" } : null;
+  }
+  if (type === "pdf") {
+    try {
+      const doc = await PDFDocument.load(bytes, { updateMetadata: false });
+      if (!doc.getPageCount()) return null;
+      const { width, height } = doc.getPage(0).getSize();
+      return { width: Math.round(width), height: Math.round(height), unit: "pt" };
+    } catch {
+      return null;
+    }
+  }
+  return null;
+}
+
+export function orientationOf({ width, height }) {
+  return width >= height ? "landscape" : "portrait";
+}
+
+// Checks a background against the paper it's meant for. => { dimensions, orientation } | { error }
+export async function validateTemplate(bytes, type, { paper, orientation }) {
+  const dimensions = await templateDimensions(bytes, type);
+  if (!dimensions?.width || !dimensions?.height) return { error: "Could not read the background's dimensions." };
+
+  const { width, height, unit } = dimensions;
+  const actual = orientationOf(dimensions);
+  if (orientation && orientation !== actual) {
+    return { error: `The background is ${actual} (${width}×${height} ${unit}) but ${orientation} was selected.` };
+  }
+
+  if (unit === "px") {
+    if (Math.max(width, height) < MIN_TEMPLATE_PX) {
+      return { error: `The background is ${width}×${height} px; use at least ${MIN_TEMPLATE_PX} px on the long side for print quality.` };
+    }
+    if (Math.max(width, height) > MAX_TEMPLATE_PX) {
+      return { error: `The background is ${width}×${height} px; the limit is ${MAX_TEMPLATE_PX} px per side.` };
+    }
+  }
+
+  const { w, h } = SIZES[paper];
+  const expected = Math.max(w, h) / Math.min(w, h);
+  const ratio = Math.max(width, height) / Math.min(width, height);
+  if (Math.abs(ratio - expected) / expected > ASPECT_TOLERANCE) {
+    return {
+      error: `The background's aspect ratio (${ratio.toFixed(2)}) doesn't match ${paper} (${expected.toFixed(2)}); crop it to the paper size or pick another one.`,
+    };
+  }
+
+  return { dimensions, orientation: actual };
+}
+
+const TEMPLATE_FILE = /\.(png|jpg|jpeg|pdf)$/i;
+
+function sharedTemplate(o) {
+  return {
+    key: o.key,
+    label: o.key.split("/").pop().replace(TEMPLATE_FILE, ""),
+    url: `${CDN_BASE}/${o.key}`,
+  };
+}
+
+function orgTemplate(o) {
+  const meta = o.customMetadata || {};
+  return {
+    key: o.key,
+    label: meta.label || o.key.split("/").pop(),
+    url: assetUrl(o.key),
+    thumbnailUrl: meta.thumbnailKey ? assetUrl(meta.thumbnailKey) : "",
+    type: meta.type || "",
+    paper: meta.paper || "",
+    orientation: meta.orientation || "",
+    width: Number(meta.width) || 0,
+    height: Number(meta.height) || 0,
+    custom: true,
+    uploadedAt: meta.uploadedAt || "",
+  };
+}
+
+// Sidecar fields win over names derived from the file / upload form
+function withMeta(template, meta) {
+  if (!meta) return { ...template, category: "", fonts: [], colors: [], layout: null };
+  return {
+    ...template,
+    label: meta.name || template.label,
+    category: meta.category,
+    paper: meta.paper || template.paper || "",
+    orientation: meta.orientation || template.orientation || "",
+    fonts: meta.fonts,
+    colors: meta.colors,
+    layout: meta.layout,
+  };
+}
+
+async function listAll(bucket, options) {
+  const objects = [];
+  let cursor;
+  do {
+    const page = await bucket.list({ ...options, cursor });
+    objects.push(...(page.objects || []));
+    cursor = page.truncated ? page.cursor : undefined;
+  } while (cursor);
+  return objects;
+}
+
+// => normalized sidecar metadata for `templateKey`, or null (none / invalid)
+export async function readTemplateMeta(env, templateKey) {
+  const obj = await env.CERT_TEMPLATES.get(templateMetaKey(templateKey));
+  if (!obj) return null;
+  const parsed = normalizeTemplateMeta(await obj.text());
+  return parsed.error ? null : parsed.meta;
+}
+
+// => { meta } | { error, status }
+export async function writeTemplateMeta(env, templateKey, input) {
+  const parsed = normalizeTemplateMeta(input);
+  if (parsed.error) return { error: parsed.error, status: 400 };
+  await env.CERT_TEMPLATES.put(templateMetaKey(templateKey), JSON.stringify(parsed.meta), {
+    httpMetadata: { contentType: "application/json" },
+  });
+  return { meta: parsed.meta };
+}
+
+// Only objects that have a sidecar are read again, in parallel
+async function attachMeta(env, objects, toTemplate) {
+  const keys = new Set(objects.map((o) => o.key));
+  const files = objects.filter((o) => TEMPLATE_FILE.test(o.key));
+  return Promise.all(
+    files.map(async (o) => withMeta(toTemplate(o), keys.has(templateMetaKey(o.key)) ? await readTemplateMeta(env, o.key) : null))
+  );
+}
+
+// Shared templates first, then the organisation's uploads (newest first)
+export async function listTemplates(env, org) {
+  const bucket = env.CERT_TEMPLATES;
+  const [shared, own] = await Promise.all([
+    listAll(bucket, { prefix: SHARED_PREFIX }),
+    listAll(bucket, { prefix: `${orgPrefix(org)}templates/`, include: ["customMetadata"] }),
+  ]);
+
+  const uploads = await attachMeta(env, own, orgTemplate);
+  uploads.sort((a, b) => String(b.uploadedAt).localeCompare(String(a.uploadedAt)));
+  return [...(await attachMeta(env, shared, sharedTemplate)), ...uploads];
+}
+
+// Shared templates (and their sidecars) plus anything of the caller's organisation
+export function canReadTemplateKey(key, org) {
+  const k = String(key || "");
+  return k.startsWith(SHARED_PREFIX) || k.startsWith(orgPrefix(org));
+}
+
+export function isOrgTemplateKey(key, org) {
+  return String(key || "").startsWith(`${orgPrefix(org)}templates/`) && TEMPLATE_FILE.test(key);
+}
+
+// Stores a validated upload (+ optional thumbnail bytes). => { template }
+export async function storeTemplate(env, org, { bytes, type, label, paper, orientation, dimensions, thumbnail }) {
+  const id = crypto.randomUUID();
+  const key = `${orgPrefix(org)}templates/${id}.${EXTENSIONS[type]}`;
+  const bucket = env.CERT_TEMPLATES;
+
+  let thumbnailKey = "";
+  if (thumbnail) {
+    thumbnailKey = `${orgPrefix(org)}thumbs/${id}.${EXTENSIONS[thumbnail.type]}`;
+    await bucket.put(thumbnailKey, thumbnail.bytes, {
+      httpMetadata: { contentType: thumbnail.type === "png" ? "image/png" : "image/jpeg" },
+    });
+  }
+
+  const meta = {
+    label,
+    paper,
+    orientation,
+    type,
+    width: String(dimensions.width),
+    height: String(dimensions.height),
+    thumbnailKey,
+    uploadedAt: new Date().toISOString(),
+  };
+  const contentType = type === "pdf" ? "application/pdf" : type === "png" ? "image/png" : "image/jpeg";
+  await bucket.put(key, bytes, { httpMetadata: { contentType }, customMetadata: meta });
+
+  return { template: withMeta(orgTemplate({ key, customMetadata: meta }), null) };
+}
@@ -0,0 +1,41 @@
+// functions/api/assets/index.js
+// GET  /api/assets => { assets: [{ key, name, url, type, width, height, uploadedAt }] }
+// POST /api/assets   (multipart: file, name?) => 201 { asset }
+//
+// The caller's organisation (see _lib/auth.js) image library for logos,
+// signatures and seals. The asset is named after the file ("Jane Doe.png" => jane-doe), which is
+// what a per-row column like {{signature}} refers to; the same name replaces the image.
+import { jsonResponse } from "../../_lib/render.js";
+import { authenticate, orgIdFor } from "../../_lib/auth.js";
+import { MAX_ASSET_BYTES, listAssets, storeAsset } from "../../_lib/assets.js";
+
+export async function onRequestGet({ request, env }) {
+  try {
+    const assets = await listAssets(env, await orgIdFor(request, env));
+    return jsonResponse({ assets }, 200, { "Cache-Control": "no-store" });
+  } catch (e) {
+    return jsonResponse({ error: e?.message || "Failed to list images" }, 500);
+  }
+}
+
+export async function onRequestPost({ request, env }) {
+  try {
+    const caller = await authenticate(request, env);
+    if (!caller) return jsonResponse({ error: "Sign in with your API key to upload images." }, 401);
+
+    const form = await request.formData().catch(() => null);
+    const file = form?.get("file");
+    if (!file || typeof file === "string") return jsonResponse({ error: "Missing file." }, 400);
+    if (file.size > MAX_ASSET_BYTES) {
+      return jsonResponse({ error: `File is too large (max ${MAX_ASSET_BYTES / 1024 / 1024} MB).` }, 413);
+    }
+
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    const name = (form.get("name") || "").toString() || file.name || "";
+    const stored = await storeAsset(env, caller.org, { bytes, name });
+    if (stored.error) return jsonResponse({ error: stored.error }, stored.status);
+    return jsonResponse({ asset: stored.asset }, 201, { "Cache-Control": "no-store" });
+  } catch (e) {
+    return jsonResponse({ error: e?.message || "Upload failed" }, 500);
+  }
+}
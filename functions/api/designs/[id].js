@@ -0,0 +1,54 @@
+// functions/api/designs/[id].js
+// GET    /api/designs/:id => { design }
+// PUT    /api/designs/:id   (JSON design; optional If-Match: <etag>) => { design }
+// DELETE /api/designs/:id => 204
+//
+// Only the signed-in caller's organisation's designs (_lib/auth.js); others are "not found".
+import { jsonResponse } from "../../_lib/render.js";
+import { authenticate } from "../../_lib/auth.js";
+import { SIGN_IN_FOR_DESIGNS, isDesignId, readDesign, readDesignBody, writeDesign, deleteDesign } from "../../_lib/designs.js";
+
+export async function onRequestGet({ request, params, env }) {
+  try {
+    const caller = await authenticate(request, env);
+    if (!caller) return jsonResponse({ error: SIGN_IN_FOR_DESIGNS }, 401);
+    if (!isDesignId(params.id)) return jsonResponse({ error: "Invalid design id." }, 400);
+    const design = await readDesign(env, caller.org, params.id);
+    if (!design) return jsonResponse({ error: "Design not found." }, 404);
+    return jsonResponse({ design }, 200, { "Cache-Control": "no-store", ETag: `"${design.etag}"` });
+  } catch (e) {
+    return jsonResponse({ error: e?.message || "Failed to load design" }, 500);
+  }
+}
+
+export async function onRequestPut({ request, params, env }) {
+  try {
+    const caller = await authenticate(request, env);
+    if (!caller) return jsonResponse({ error: SIGN_IN_FOR_DESIGNS }, 401);
+    if (!isDesignId(params.id)) return jsonResponse({ error: "Invalid design id." }, 400);
+    const existing = await readDesign(env, caller.org, params.id);
+    if (!existing) return jsonResponse({ error: "Design not found." }, 404);
+
+    const { body, error, status } = await readDesignBody(request);
+    if (error) return jsonResponse({ error }, status);
+
+    const ifMatch = (request.headers.get("If-Match") || "").replace(/^W\//, "").replace(/"/g, "").trim();
+    const saved = await writeDesign(env, caller.org, params.id, body, { createdAt: existing.createdAt, ifMatch: ifMatch || undefined });
+    if (saved.error) return jsonResponse({ error: saved.error }, saved.status);
+    return jsonResponse({ design: saved.design }, 200, { "Cache-Control": "no-store" });
+  } catch (e) {
+    return jsonResponse({ error: e?.message || "Failed to save design" }, 500);
+  }
+}
+
+export async function onRequestDelete({ request, params, env }) {
+  try {
+    const caller = await authenticate(request, env);
+    if (!caller) return jsonResponse({ error: SIGN_IN_FOR_DESIGNS }, 401);
+    if (!isDesignId(params.id)) return jsonResponse({ error: "Invalid design id." }, 400);
+    await deleteDesign(env, caller.org, params.id);
+    return new Response(null, { status: 204 });
+  } catch (e) {
+    return jsonResponse({ error: e?.message || "Failed to delete design" }, 500);
+  }
+}
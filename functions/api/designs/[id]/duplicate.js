@@ -0,0 +1,25 @@
+// functions/api/designs/[id]/duplicate.js
+// POST /api/designs/:id/duplicate   (optional JSON { name }) => 201 { design }
+import { jsonResponse } from "../../../_lib/render.js";
+import { authenticate } from "../../../_lib/auth.js";
+import { SIGN_IN_FOR_DESIGNS, isDesignId, readDesign, readDesignBody, writeDesign } from "../../../_lib/designs.js";
+
+export async function onRequestPost({ request, params, env }) {
+  try {
+    const caller = await authenticate(request, env);
+    if (!caller) return jsonResponse({ error: SIGN_IN_FOR_DESIGNS }, 401);
+    if (!isDesignId(params.id)) return jsonResponse({ error: "Invalid design id." }, 400);
+    const source = await readDesign(env, caller.org, params.id);
+    if (!source) return jsonResponse({ error: "Design not found." }, 404);
+
+    const { body, error, status } = await readDesignBody(request, { fallback: {} });
+    if (error) return jsonResponse({ error }, status);
+    const name = (body.name || "").toString().trim() || `${source.name} (copy)`;
+
+    const saved = await writeDesign(env, caller.org, crypto.randomUUID(), { ...source, name });
+    if (saved.error) return jsonResponse({ error: saved.error }, saved.status);
+    return jsonResponse({ design: saved.design }, 201, { "Cache-Control": "no-store" });
+  } catch (e) {
+    return jsonResponse({ error: e?.message || "Failed to duplicate design" }, 500);
+  }
+}
@@ -0,0 +1,35 @@
+// functions/api/designs/index.js
+// GET  /api/designs => { designs: [{ id, name, templateKey, paper, createdAt, updatedAt }] }
+// POST /api/designs   (JSON design, see src/lib/design.js) => 201 { design }
+//
+// Designs belong to the caller's organisation (_lib/auth.js), like uploaded templates.
+// Anonymous callers get a 401: they have no organisation of their own to save into.
+import { jsonResponse } from "../../_lib/render.js";
+import { authenticate } from "../../_lib/auth.js";
+import { SIGN_IN_FOR_DESIGNS, listDesigns, readDesignBody, writeDesign } from "../../_lib/designs.js";
+
+export async function onRequestGet({ request, env }) {
+  try {
+    const caller = await authenticate(request, env);
+    if (!caller) return jsonResponse({ error: SIGN_IN_FOR_DESIGNS }, 401);
+    return jsonResponse({ designs: await listDesigns(env, caller.org) }, 200, { "Cache-Control": "no-store" });
+  } catch (e) {
+    return jsonResponse({ error: e?.message || "Failed to list designs" }, 500);
+  }
+}
+
+export async function onRequestPost({ request, env }) {
+  try {
+    const caller = await authenticate(request, env);
+    if (!caller) return jsonResponse({ error: SIGN_IN_FOR_DESIGNS }, 401);
+
+    const { body, error, status } = await readDesignBody(request);
+    if (error) return jsonResponse({ error }, status);
+
+    const saved = await writeDesign(env, caller.org, crypto.randomUUID(), body);
+    if (saved.error) return jsonResponse({ error: saved.error }, saved.status);
+    return jsonResponse({ design: saved.design }, 201, { "Cache-Control": "no-store" });
+  } catch (e) {
+    return jsonResponse({ error: e?.message || "Failed to save design" }, 500);
+  }
+}
@@ -1,15 +1,115 @@
-export async function onRequestGet({ params, env }) {
-  const key = params.key; // includes the path chunk after /download/
+// functions/api/download/[key].js
+// Streams stored certificate artifacts (PDF, ZIP, PNG) from CERTS_BUCKET. Only keys under the
+// artifact prefixes are served; anything else in the bucket stays private.
+import { signingEnabled, verifyDownloadToken } from "../../_lib/signing.js";
+
+const ARTIFACT_PREFIXES = ["certificates/"];
+
+const CONTENT_TYPES = {
+  pdf: "application/pdf",
+  zip: "application/zip",
+  png: "image/png",
+};
+
+function contentTypeFor(obj, key) {
+  const stored = obj.httpMetadata?.contentType || obj.customMetadata?.contentType;
+  if (stored) return stored;
+  const ext = key.toLowerCase().split(".").pop();
+  return CONTENT_TYPES[ext] || "application/octet-stream";
+}
+
+function filenameFor(obj, key) {
+  const raw = obj.customMetadata?.filename || key.split("/").pop() || "download";
+  return raw.replace(/[\r\n"\\]/g, "_");
+}
+
+function contentDisposition(filename) {
+  const ascii = filename.replace(/[^\x20-\x7e]/g, "_");
+  return `attachment; filename="${ascii}"; filename*=UTF-8''${encodeURIComponent(filename)}`;
+}
+
+// "bytes=a-b" | "bytes=a-" | "bytes=-n" => { offset, length }; null when absent or invalid (the
+// whole object is served, RFC 9110 §14.2); false when unsatisfiable. Multi-range requests are
+// served as a full response, and so is an empty object.
+export function parseRange(header, size) {
+  if (!header || !size) return null;
+  const m = header.trim().match(/^bytes=(\d*)-(\d*)$/i);
+  if (!m) return null;
+  const [, startStr, endStr] = m;
+  if (!startStr && !endStr) return null;
+
+  if (!startStr) {
+    const suffix = Number(endStr);
+    if (suffix <= 0) return false;
+    const length = Math.min(suffix, size);
+    return { offset: size - length, length };
+  }
+
+  const start = Number(startStr);
+  if (endStr && Number(endStr) < start) return null;
+  if (start >= size) return false;
+  const end = endStr ? Math.min(Number(endStr), size - 1) : size - 1;
+  return { offset: start, length: end - start + 1 };
+}
+
+function etagMatches(ifNoneMatch, etag) {
+  if (!ifNoneMatch || !etag) return false;
+  if (ifNoneMatch.trim() === "*") return true;
+  const weakless = (t) => t.trim().replace(/^W\//, "");
+  return ifNoneMatch.split(",").some((t) => weakless(t) === weakless(etag));
+}
+
+async function serve({ request, params, env }, { withBody }) {
+  let key = params.key; // the (already decoded) path chunk after /download/
+  if (Array.isArray(key)) key = key.join("/");
   if (!key) return new Response("Missing key", { status: 400 });
+  if (!ARTIFACT_PREFIXES.some((prefix) => key.startsWith(prefix))) return new Response("Not found", { status: 404 });
 
-  const obj = await env.CERTS_BUCKET.get(decodeURIComponent(key));
-  if (!obj) return new Response("Not found", { status: 404 });
+  if (signingEnabled(env)) {
+    const url = new URL(request.url);
+    const reason = await verifyDownloadToken(key, url.searchParams.get("exp"), url.searchParams.get("sig"), env);
+    if (reason) return new Response(reason, { status: 403, headers: { "Cache-Control": "no-store" } });
+  }
+
+  const head = await env.CERTS_BUCKET.head(key);
+  if (!head) return new Response("Not found", { status: 404 });
+
+  const etag = head.httpEtag;
+  const baseHeaders = {
+    "Content-Type": contentTypeFor(head, key),
+    "Content-Disposition": contentDisposition(filenameFor(head, key)),
+    "Cache-Control": "private, no-cache",
+    "Accept-Ranges": "bytes",
+    "X-Content-Type-Options": "nosniff",
+    ETag: etag,
+  };
 
- return new Response(pdfBytes, {
-  headers: {
-    "Content-Type": "application/pdf",
-    "Content-Disposition": 'attachment; filename="certificate_preview.pdf"',
-    "Cache-Control": "no-store"
+  if (etagMatches(request.headers.get("If-None-Match"), etag)) {
+    return new Response(null, { status: 304, headers: { ETag: etag, "Cache-Control": baseHeaders["Cache-Control"] } });
   }
-});
+
+  const range = parseRange(request.headers.get("Range"), head.size);
+  if (range === false) {
+    return new Response(null, { status: 416, headers: { ...baseHeaders, "Content-Range": `bytes */${head.size}` } });
+  }
+
+  const length = range ? range.length : head.size;
+  const headers = { ...baseHeaders, "Content-Length": String(length) };
+  if (range) headers["Content-Range"] = `bytes ${range.offset}-${range.offset + range.length - 1}/${head.size}`;
+  const status = range ? 206 : 200;
+
+  if (!withBody) return new Response(null, { status, headers });
+
+  const obj = await env.CERTS_BUCKET.get(key, range ? { range } : undefined);
+  if (!obj) return new Response("Not found", { status: 404 });
+
+  return new Response(obj.body, { status, headers });
+}
+
+export function onRequestGet(context) {
+  return serve(context, { withBody: true });
+}
+
+export function onRequestHead(context) {
+  return serve(context, { withBody: false });
 }
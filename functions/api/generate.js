@@ -0,0 +1,72 @@
+// functions/api/generate.js
+// Full-batch generation: every row, no watermark, result stored in CERTS_BUCKET
+// and served later by /api/download/[key]. Every certificate gets an ID ({{certificate_id}})
+// and a record for /api/verify/:id.
+import { jsonResponse, readRenderRequest, renderCertificatesPdf } from "../_lib/render.js";
+import { createR2FontLoader } from "../_lib/fonts.js";
+import { createR2AssetLoader } from "../_lib/assets.js";
+import { checkEntitlement as defaultCheckEntitlement } from "../_lib/entitlements.js";
+import { orgIdFor } from "../_lib/auth.js";
+import { downloadUrlFor } from "../_lib/signing.js";
+import { assignCertificateIds, storeCertificateRecords } from "../_lib/certificates.js";
+
+export function createGenerateHandler({ checkEntitlement = defaultCheckEntitlement } = {}) {
+  return async function onRequestPost({ request, env }) {
+    try {
+      const entitlement = await checkEntitlement({ request, env });
+      if (!entitlement?.allowed) {
+        return jsonResponse({ error: entitlement?.reason || "Not allowed.", plan: entitlement?.plan || "free" }, 402);
+      }
+
+      const form = await request.formData();
+
+      // A stubbed check may not know the organisation; fall back to the request's
+      const org = entitlement.org || (await orgIdFor(request, env));
+
+      const input = await readRenderRequest(form, env, org, { maxRows: entitlement.maxRows ?? Infinity });
+      if (input.error) return jsonResponse({ error: input.error, rowErrors: input.rowErrors }, input.status);
+
+      const rows = assignCertificateIds(input.rows, new URL(request.url).origin);
+      const rendered = await renderCertificatesPdf({ ...input, rows }, { watermark: false, loadFontBytes: createR2FontLoader(env), loadAssetBytes: createR2AssetLoader(env, org) });
+      if (rendered.error) return jsonResponse({ error: rendered.error }, rendered.status);
+
+      const id = crypto.randomUUID();
+      const key = `certificates/${id}.pdf`;
+      const filename = "certificates.pdf";
+
+      await env.CERTS_BUCKET.put(key, rendered.pdfBytes, {
+        httpMetadata: {
+          contentType: "application/pdf",
+          contentDisposition: `attachment; filename="${filename}"`,
+        },
+        customMetadata: {
+          filename,
+          count: String(input.rows.length),
+          templateKey: input.templateKey,
+          paperSize: input.paperSize,
+          plan: entitlement.plan || "",
+          createdAt: new Date().toISOString(),
+        },
+      });
+      await storeCertificateRecords(env, rows, { texts: input.texts, batchKey: key, templateKey: input.templateKey });
+
+      return jsonResponse(
+        {
+          key,
+          count: input.rows.length,
+          certificates: rows.map((r) => ({ id: r.certificateId, name: r.name, verifyUrl: r.verifyUrl })),
+          rowErrors: input.rowErrors,
+          warnings: rendered.warnings,
+          size: rendered.pdfBytes.byteLength,
+          url: await downloadUrlFor(key, env),
+        },
+        201,
+        { "Cache-Control": "no-store" }
+      );
+    } catch (e) {
+      return jsonResponse({ error: e?.message || "Server error" }, 500);
+    }
+  };
+}
+
+export const onRequestPost = createGenerateHandler();
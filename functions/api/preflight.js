@@ -0,0 +1,24 @@
+// functions/api/preflight.js
+// Same form as /api/preview and /api/generate; reports rows with characters the chosen fonts can't draw.
+import { jsonResponse, readRenderRequest, preflightGlyphs } from "../_lib/render.js";
+import { createR2FontLoader } from "../_lib/fonts.js";
+
+export async function onRequestPost({ request, env }) {
+  try {
+    const form = await request.formData();
+
+    const input = await readRenderRequest(form, env);
+    if (input.error) return jsonResponse({ error: input.error, rowErrors: input.rowErrors }, input.status);
+
+    const report = await preflightGlyphs(input, { loadFontBytes: createR2FontLoader(env) });
+
+    return jsonResponse({
+      ok: report.missingRows.length === 0,
+      rowCount: input.rows.length,
+      rowErrors: input.rowErrors,
+      ...report,
+    });
+  } catch (e) {
+    return jsonResponse({ error: e?.message || "Server error" }, 500);
+  }
+}
@@ -0,0 +1,24 @@
+// functions/api/session.js
+// GET    /api/session => { org, authenticated }
+// POST   /api/session   (Authorization: Bearer <paid key>) => { org } + session cookie
+// DELETE /api/session => 204, cookie cleared
+//
+// The cookie lets the editor's own requests (including image loads) act for the key's
+// organisation, see _lib/auth.js.
+import { jsonResponse } from "../_lib/render.js";
+import { DEFAULT_ORG, authenticate, sessionCookie } from "../_lib/auth.js";
+
+export async function onRequestGet({ request, env }) {
+  const caller = await authenticate(request, env);
+  return jsonResponse({ org: caller?.org || DEFAULT_ORG, authenticated: !!caller }, 200, { "Cache-Control": "no-store" });
+}
+
+export async function onRequestPost({ request, env }) {
+  const caller = await authenticate(request, env);
+  if (!caller) return jsonResponse({ error: "Unknown API key." }, 401);
+  return jsonResponse({ org: caller.org }, 200, { "Cache-Control": "no-store", "Set-Cookie": sessionCookie(caller.key) });
+}
+
+export function onRequestDelete() {
+  return new Response(null, { status: 204, headers: { "Set-Cookie": sessionCookie("") } });
+}
@@ -1,22 +1,33 @@
+// GET /api/template?key=<key> streams a shared template or one of the caller's organisation's
+// uploads (backgrounds, thumbnails, images); other keys in the bucket are not served.
+import { isAssetKey } from "../../src/lib/assets.js";
+import { orgIdFor } from "../_lib/auth.js";
+import { canReadTemplateKey } from "../_lib/templates.js";
+
 export async function onRequestGet({ request, env }) {
   const url = new URL(request.url);
   const key = url.searchParams.get("key");
   if (!key) return new Response("Missing key", { status: 400 });
+  if (!canReadTemplateKey(key, await orgIdFor(request, env))) return new Response("Not found", { status: 404 });
 
   const obj = await env.CERT_TEMPLATES.get(key);
   if (!obj) return new Response("Not found", { status: 404 });
 
   const ext = key.toLowerCase().split(".").pop();
+  // Image assets (_lib/assets.js) have no extension; their type is stored with the object
   const contentType =
+    obj.httpMetadata?.contentType ? obj.httpMetadata.contentType :
     ext === "png" ? "image/png" :
     ext === "jpg" || ext === "jpeg" ? "image/jpeg" :
     ext === "webp" ? "image/webp" :
+    ext === "pdf" ? "application/pdf" :
     "application/octet-stream";
 
   return new Response(obj.body, {
     headers: {
       "Content-Type": contentType,
-      "Cache-Control": "public, max-age=86400",
+      // Re-uploading an asset under the same name replaces it; uploads are per organisation
+      "Cache-Control": isAssetKey(key) ? "private, no-cache" : key.startsWith("orgs/") ? "private, max-age=86400" : "public, max-age=86400",
     },
   });
 }
@@ -0,0 +1,83 @@
+// functions/api/templates/index.js
+// GET  /api/templates => { templates: [{ key, label, url, category, paper, orientation, fonts, colors, layout, ... }] }
+// POST /api/templates   (multipart: file, label, paper, orientation?, thumbnail?) => 201 { template }
+//
+// Uploads go to the signed-in caller's organisation (see _lib/auth.js). PNG/JPG/PDF
+// only, detected from the file bytes; the thumbnail is a small PNG/JPG made by the browser.
+import { jsonResponse } from "../../_lib/render.js";
+import { authenticate, orgIdFor } from "../../_lib/auth.js";
+import {
+  MAX_LABEL,
+  MAX_TEMPLATE_BYTES,
+  MAX_THUMBNAIL_BYTES,
+  listTemplates,
+  sniffTemplateType,
+  storeTemplate,
+  validateTemplate,
+} from "../../_lib/templates.js";
+import { SIZES } from "../../../src/lib/constants.js";
+
+export async function onRequestGet({ request, env }) {
+  try {
+    const templates = await listTemplates(env, await orgIdFor(request, env));
+    return jsonResponse({ templates }, 200, { "Cache-Control": "no-store" });
+  } catch (e) {
+    return jsonResponse({ error: e?.message || "Failed to list templates" }, 500);
+  }
+}
+
+export async function onRequestPost({ request, env }) {
+  try {
+    const caller = await authenticate(request, env);
+    if (!caller) return jsonResponse({ error: "Sign in with your API key to upload templates." }, 401);
+
+    const form = await request.formData().catch(() => null);
+    const file = form?.get("file");
+    if (!file || typeof file === "string") return jsonResponse({ error: "Missing file." }, 400);
+    if (file.size > MAX_TEMPLATE_BYTES) {
+      return jsonResponse({ error: `File is too large (max ${MAX_TEMPLATE_BYTES / 1024 / 1024} MB).` }, 413);
+    }
+
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    const type = sniffTemplateType(bytes);
+    if (!type) return jsonResponse({ error: "Unsupported file type. Upload a PNG, JPG or PDF." }, 415);
+
+    const paper = (form.get("paper") || "A4").toString().toUpperCase();
+    if (!SIZES[paper]) return jsonResponse({ error: `Unknown paper size "${paper}".` }, 400);
+
+    const orientation = (form.get("orientation") || "").toString().toLowerCase();
+    if (orientation && orientation !== "landscape" && orientation !== "portrait") {
+      return jsonResponse({ error: "Orientation must be landscape or portrait." }, 400);
+    }
+
+    const label =
+      (form.get("label") || "").toString().replace(/\s+/g, " ").trim().slice(0, MAX_LABEL) ||
+      (file.name || "Template").replace(/\.[^.]+$/, "").slice(0, MAX_LABEL);
+
+    const checked = await validateTemplate(bytes, type, { paper, orientation });
+    if (checked.error) return jsonResponse({ error: checked.error }, 422);
+
+    let thumbnail = null;
+    const thumbFile = form.get("thumbnail");
+    if (thumbFile && typeof thumbFile !== "string") {
+      const thumbBytes = new Uint8Array(await thumbFile.arrayBuffer());
+      const thumbType = sniffTemplateType(thumbBytes);
+      if (thumbType !== "png" && thumbType !== "jpeg") return jsonResponse({ error: "Thumbnail must be a PNG or JPG." }, 415);
+      if (thumbBytes.byteLength > MAX_THUMBNAIL_BYTES) return jsonResponse({ error: "Thumbnail is too large." }, 413);
+      thumbnail = { bytes: thumbBytes, type: thumbType };
+    }
+
+    const { template } = await storeTemplate(env, caller.org, {
+      bytes,
+      type,
+      label,
+      paper,
+      orientation: checked.orientation,
+      dimensions: checked.dimensions,
+      thumbnail,
+    });
+    return jsonResponse({ template }, 201, { "Cache-Control": "no-store" });
+  } catch (e) {
+    return jsonResponse({ error: e?.message || "Upload failed" }, 500);
+  }
+}
@@ -0,0 +1,46 @@
+// functions/api/templates/meta.js
+// GET /api/templates/meta?key=<template key> => { meta } (null when the template has none)
+// PUT /api/templates/meta?key=<template key>   (JSON, see src/lib/templateMeta.js) => { meta }
+//
+// Shared templates' sidecars are managed in R2 directly; through the API an organisation can
+// only read shared sidecars and its own, and only a signed-in caller can describe its uploads.
+import { jsonResponse } from "../../_lib/render.js";
+import { authenticate, orgIdFor } from "../../_lib/auth.js";
+import { canReadTemplateKey, isOrgTemplateKey, readTemplateMeta, writeTemplateMeta } from "../../_lib/templates.js";
+
+function templateKeyFrom(request) {
+  return new URL(request.url).searchParams.get("key") || "";
+}
+
+export async function onRequestGet({ request, env }) {
+  try {
+    const key = templateKeyFrom(request);
+    if (!key) return jsonResponse({ error: "Missing key" }, 400);
+    if (!canReadTemplateKey(key, await orgIdFor(request, env))) return jsonResponse({ error: "Template not found." }, 404);
+    return jsonResponse({ meta: await readTemplateMeta(env, key) }, 200, { "Cache-Control": "no-store" });
+  } catch (e) {
+    return jsonResponse({ error: e?.message || "Failed to load template metadata" }, 500);
+  }
+}
+
+export async function onRequestPut({ request, env }) {
+  try {
+    const caller = await authenticate(request, env);
+    if (!caller) return jsonResponse({ error: "Sign in with your API key to edit templates." }, 401);
+
+    const key = templateKeyFrom(request);
+    if (!isOrgTemplateKey(key, caller.org)) {
+      return jsonResponse({ error: "Only your organisation's uploaded templates can be edited." }, 403);
+    }
+    if (!(await env.CERT_TEMPLATES.head(key))) return jsonResponse({ error: "Template not found." }, 404);
+
+    const body = await request.json().catch(() => null);
+    if (!body) return jsonResponse({ error: "Expected a JSON body." }, 400);
+
+    const saved = await writeTemplateMeta(env, key, body);
+    if (saved.error) return jsonResponse({ error: saved.error }, saved.status);
+    return jsonResponse({ meta: saved.meta }, 200, { "Cache-Control": "no-store" });
+  } catch (e) {
+    return jsonResponse({ error: e?.message || "Failed to save template metadata" }, 500);
+  }
+}
@@ -0,0 +1,19 @@
+// functions/api/verify/[id].js
+// GET /api/verify/:id => { certificate: { id, name, award, issuer, date, status, issuedAt } }
+// Public: anyone holding a certificate can check it was issued here and is still valid.
+import { jsonResponse } from "../../_lib/render.js";
+import { readCertificateRecord } from "../../_lib/certificates.js";
+import { normalizeCertificateId } from "../../../src/lib/certificateId.js";
+
+export async function onRequestGet({ params, env }) {
+  try {
+    const id = normalizeCertificateId(params.id);
+    if (!id) return jsonResponse({ error: "That is not a valid certificate ID." }, 400);
+
+    const certificate = await readCertificateRecord(env, id);
+    if (!certificate) return jsonResponse({ error: "No certificate with this ID was issued." }, 404);
+    return jsonResponse({ certificate }, 200, { "Cache-Control": "no-store" });
+  } catch (e) {
+    return jsonResponse({ error: e?.message || "Verification failed" }, 500);
+  }
+}
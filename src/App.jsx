@@ -4,13 +4,59 @@ import JSZip from "jszip";
 
 import CertificateStage from "./components/CertificateStage";
 import TextEditorOverlay from "./components/TextEditorOverlay";
-
-import { SIZES, MAX_PREVIEW, FONT_OPTIONS, niceFieldLabel, clamp } from "./lib/constants";
-import { parseCsv, parseTxt } from "./lib/parsers";
-import { ensureFontLink, fetchTemplates, ensureFontLoaded } from "./lib/templates";
-import { exportPdfFromStage, exportZipPngFromStage } from "./lib/export";
+import DesignsPicker from "./components/DesignsPicker";
+import TemplateUpload from "./components/TemplateUpload";
+import QrInspector from "./components/QrInspector";
+import ImageInspector from "./components/ImageInspector";
+import ShapeInspector from "./components/ShapeInspector";
+import TextEffectsInspector from "./components/TextEffectsInspector";
+
+import {
+  SIZES,
+  PAPER_OPTIONS,
+  CUSTOM_PAPER,
+  UNIT_POINTS,
+  MAX_PREVIEW,
+  FONT_OPTIONS,
+  niceFieldLabel,
+  pageSizeFor,
+  orientationOfPage,
+} from "./lib/constants";
+import { csvTable, parseTxt, defaultMapping, rowsFromTable, formatRowErrors } from "./lib/parsers";
+import { decodeText } from "./lib/csv";
+import { isSpreadsheetFile, readWorkbook, sheetTable } from "./lib/spreadsheet";
+import { BUILT_IN_PLACEHOLDERS, placeholderKey } from "./lib/placeholders";
+import { CERT_FIELDS, guessMapping, loadSavedMapping, saveMapping, assignField } from "./lib/columnMapping";
+import { ensureFontLink, fetchTemplates, ensureFontLoaded, saveTemplateMeta, uploadAsset } from "./lib/templates";
+import { exportPdfFromStage, exportZipPngFromStage, exportVectorPdfFromLayout } from "./lib/export";
+import {
+  layoutFromFields,
+  fieldsFromLayout,
+  fieldTextForRow,
+  isRowField,
+  fieldSpansForRow,
+  supportsRichText,
+  scaleFields,
+  QR_DEFAULTS,
+  SHAPE_DEFAULTS,
+} from "./lib/layout";
+import { parseRichText, richTextMarkup, spansText } from "./lib/richText";
+import { DESIGN_VERSION, normalizeDesign } from "./lib/design";
+import { loadDraft, saveDraft } from "./lib/designStore";
+import { useUndoHistory } from "./lib/history";
+import { isPdfUrl, usePdfRaster } from "./lib/pdfRaster";
+import { DEFAULT_BLEED_MM, MAX_BLEED_MM, normalizePrintOptions } from "./lib/print";
+import { SAMPLE_CERTIFICATE_ID, verifyUrlFor } from "./lib/certificateId";
+import { PER_SHEET_OPTIONS, DEFAULT_GUTTER_MM, MAX_GUTTER_MM, normalizeImposition } from "./lib/imposition";
+import { imageKeyForRow } from "./lib/assets";
+import { preloadAssetImages } from "./lib/assetImages";
 import { styles } from "./styles/appStyles";
 
+// Certificate IDs are issued by /api/generate; the canvas and local exports show a sample one
+function withSampleCertificateId(row) {
+  return { certificateId: SAMPLE_CERTIFICATE_ID, verifyUrl: verifyUrlFor(window.location.origin, SAMPLE_CERTIFICATE_ID), ...row };
+}
+
 export default function App() {
   useEffect(() => ensureFontLink(), []);
 
@@ -19,16 +65,50 @@ export default function App() {
   const [templatesLoading, setTemplatesLoading] = useState(true);
   const [templatesError, setTemplatesError] = useState("");
 
+  // Page: named paper (or CUSTOM + customPaper in mm/in) and orientation, in PDF points
   const [paper, setPaper] = useState("A4");
-  const { w: CW, h: CH } = SIZES[paper];
+  const [orientation, setOrientation] = useState("landscape");
+  const [customPaper, setCustomPaper] = useState({ width: 297, height: 210, unit: "mm" });
+  const { w: CW, h: CH } = pageSizeFor(paper, orientation, customPaper);
 
   const [templateKey, setTemplateKey] = useState("");
   const selectedTemplate = useMemo(() => templates.find((t) => t.key === templateKey) || null, [templates, templateKey]);
+  const templateKeyRef = useRef(templateKey);
+  templateKeyRef.current = templateKey;
+
+  // Dropdown groups: [[category, templates]], uncategorised first
+  const templateGroups = useMemo(() => {
+    const groups = new Map();
+    for (const t of templates) {
+      const c = t.category || "";
+      if (!groups.has(c)) groups.set(c, []);
+      groups.get(c).push(t);
+    }
+    return [...groups].sort(([a], [b]) => (a === "" ? -1 : b === "" ? 1 : a.localeCompare(b)));
+  }, [templates]);
+
+  const recommendedFonts = useMemo(
+    () => (selectedTemplate?.fonts || []).map((id) => FONT_OPTIONS.find((f) => f.id === id)).filter(Boolean),
+    [selectedTemplate]
+  );
 
   // Input mode
   const [inputMode, setInputMode] = useState("manual"); // manual | upload
   const [uploadFile, setUploadFile] = useState(null);
-  const [rows, setRows] = useState([]);
+  const [workbookSheets, setWorkbookSheets] = useState([]); // XLSX/ODS uploads
+  const [sheetIndex, setSheetIndex] = useState(0);
+
+  // Uploaded table ({ kind, headers, records }) + which header feeds which certificate field
+  const [uploadTable, setUploadTable] = useState(null);
+  const [columnMapping, setColumnMapping] = useState([]);
+  const [mappingOpen, setMappingOpen] = useState(false);
+
+  const mappedUpload = useMemo(() => {
+    if (!uploadTable) return { rows: [], errors: [] };
+    return rowsFromTable(uploadTable, columnMapping);
+  }, [uploadTable, columnMapping]);
+  const rows = mappedUpload.rows || [];
+  const rowErrors = mappedUpload.errors || [];
 
   // ✅ Manual table rows
   const [manualRows, setManualRows] = useState([{ name: "Student Name", award: "For outstanding performance" }]);
@@ -43,11 +123,21 @@ export default function App() {
 
   const [busy, setBusy] = useState(false);
   const [error, setError] = useState("");
+  const [pdfMode, setPdfMode] = useState("vector"); // vector | image
+  const [printProfile, setPrintProfile] = useState("screen"); // screen | print
+  const [bleedMm, setBleedMm] = useState(DEFAULT_BLEED_MM);
+  const [cropMarks, setCropMarks] = useState(true);
+  const [perSheet, setPerSheet] = useState(1); // N-up imposition
+  const [sheetSize, setSheetSize] = useState("A4");
+  const [gutterMm, setGutterMm] = useState(DEFAULT_GUTTER_MM);
+  const [sheetOrder, setSheetOrder] = useState("stack");
+  const [cutMarks, setCutMarks] = useState(true);
 
   // Konva refs
   const stageRef = useRef(null);
   const stageContainerRef = useRef(null);
   const transformerRef = useRef(null);
+  const imageInputRef = useRef(null);
 
   const [selectedId, setSelectedId] = useState("");
 
@@ -156,10 +246,99 @@ export default function App() {
     { id: "issuer", text: "Issuer / Organization", x: 680, y: 550, fontFamily: "Inter", fontSize: 16, fontStyle: "bold", fill: "#1e2233", align: "right", width: 300 },
   ]);
 
-  function updateField(id, patch) {
+  // The same versioned layout the server renders (see lib/layout.js)
+  const layout = useMemo(() => layoutFromFields(fields, { paper, width: CW, height: CH }), [fields, paper, CW, CH]);
+
+  // Empty / invalid number inputs clear an optional field property
+  function optionalNumber(value) {
+    const n = Number(value);
+    return value === "" || !Number.isFinite(n) || n <= 0 ? undefined : n;
+  }
+
+  function patchField(id, patch) {
     setFields((prev) => prev.map((f) => (f.id === id ? { ...f, ...patch } : f)));
   }
 
+  // User edits: repeated changes to the same properties of a field (slider drags, colour
+  // picking, typing, nudging a field around) coalesce into one undo step
+  function updateField(id, patch) {
+    remember(`field:${id}:${Object.keys(patch).sort().join(",")}`);
+    patchField(id, patch);
+  }
+
+  // ✅ User-added elements (text fields, QR codes, images, shapes); their text may contain {{column}} placeholders.
+  // `make(n)` returns the element's properties (n = the next free custom number); `back` puts
+  // the element behind the others (drawn first on the canvas and in the PDF)
+  function addElement(make, { back = false } = {}) {
+    const n = fields.filter((f) => f.custom).reduce((max, f) => Math.max(max, Number(f.id.replace("custom", "")) || 0), 0) + 1;
+    const id = `custom${n}`;
+    remember();
+    setFields((prev) => (back ? [{ id, custom: true, ...make(n) }, ...prev] : [...prev, { id, custom: true, ...make(n) }]));
+    setSelectedId(id);
+  }
+
+  // `preset` overrides the new field's defaults (label, text, position, size…)
+  function addCustomField(preset = {}) {
+    addElement((n) => ({
+      label: `Custom text ${n}`,
+      text: "{{name}}",
+      x: CW / 2,
+      y: CH / 2,
+      fontFamily: "Inter",
+      fontSize: 18,
+      fontStyle: "normal",
+      fill: "#2b2f44",
+      align: "center",
+      width: 500,
+      ...preset,
+    }));
+  }
+
+  function addQrCode() {
+    const { size } = QR_DEFAULTS;
+    addElement((n) => ({ type: "qr", label: `QR code ${n}`, ...QR_DEFAULTS, x: CW - size - 40, y: CH - size - 40, rotation: 0 }));
+  }
+
+  // Decorations go behind the text: a line under the centre (signature/divider rule), or a
+  // rectangle to restyle as a ribbon or frame
+  function addShape(shape) {
+    const { width, height } = SHAPE_DEFAULTS;
+    addElement(
+      (n) =>
+        shape === "line"
+          ? { type: "shape", label: `Line ${n}`, ...SHAPE_DEFAULTS, shape, x: CW / 2 - width / 2, y: CH / 2 + 60, height: 0, strokeWidth: 1.5, rotation: 0 }
+          : { type: "shape", label: `Shape ${n}`, ...SHAPE_DEFAULTS, shape, x: CW / 2 - width / 2, y: CH / 2 - height / 2, rotation: 0 },
+      { back: true }
+    );
+  }
+
+  // Uploads the picked file to the organisation's image library and places it bottom-left,
+  // 160pt wide at the image's proportions
+  async function addImage(file) {
+    if (!file) return;
+    setError("");
+    try {
+      const asset = await uploadAsset(file);
+      const width = 160;
+      const height = asset.width && asset.height ? Math.round((width * asset.height) / asset.width) : width;
+      addElement((n) => ({ type: "image", label: `Image ${n}`, src: asset.key, text: "", x: 40, y: CH - height - 40, width, height, rotation: 0, opacity: 1 }));
+    } catch (e) {
+      setError(String(e?.message || "Upload failed"));
+    }
+  }
+
+  // Stage exports snapshot right after switching rows, so every row's images are loaded first
+  function preloadRowImages(list) {
+    const images = fields.filter((f) => f.type === "image");
+    return preloadAssetImages(list.slice(0, MAX_PREVIEW).flatMap((r) => images.map((f) => imageKeyForRow(f, withSampleCertificateId(r)))));
+  }
+
+  function removeField(id) {
+    remember();
+    setFields((prev) => prev.filter((f) => f.id !== id));
+    setSelectedId("");
+  }
+
   // Sync free texts into fields
   useEffect(() => {
     setFields((prev) =>
@@ -199,20 +378,17 @@ export default function App() {
     );
   }, [sampleRow, issuerText, dateText]);
 
-  // When paper changes, adjust stage + keep fields proportional-ish
-  useEffect(() => {
-    const { w, h } = SIZES[paper];
-    setFields((prev) =>
-      prev.map((f) => ({
-        ...f,
-        x: clamp((f.x / CW) * w, 0, w),
-        y: clamp((f.y / CH) * h, 0, h),
-        width: (f.width / CW) * w,
-      }))
-    );
+  // Paper / orientation / custom size change from the user: fields follow the page (lib/layout.js scaleFields)
+  function changePage(patch, { record = true } = {}) {
+    const next = { paper, orientation, customPaper, ...patch };
+    const { w, h } = pageSizeFor(next.paper, next.orientation, next.customPaper);
+    if (record) remember();
+    setPaper(next.paper);
+    setOrientation(next.orientation);
+    setCustomPaper(next.customPaper);
+    if (w !== CW || h !== CH) setFields((prev) => scaleFields(prev, { width: CW, height: CH }, { width: w, height: h }));
     setSelectedId("");
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [paper]);
+  }
 
   // Load templates
   useEffect(() => {
@@ -224,7 +400,8 @@ export default function App() {
         const list = await fetchTemplates();
         if (!alive) return;
         setTemplates(list);
-        if (list.length > 0) setTemplateKey(list[0].key);
+        // Keep a template restored from a draft/design if it still exists
+        if (list.length > 0 && !list.some((t) => t.key === templateKeyRef.current)) selectTemplate(list[0], { record: false });
       } catch (e) {
         if (!alive) return;
         setTemplatesError(String(e?.message || "Failed to load templates"));
@@ -238,14 +415,207 @@ export default function App() {
     };
   }, []);
 
-  // Background image
-  const [bg] = useImage(selectedTemplate?.url || "", "anonymous");
+  // ✅ Saved designs: the named design the editor was loaded from ({ id, name, etag }) or null
+  const [designMeta, setDesignMeta] = useState(null);
+
+  // Current editor state as a design (lib/design.js)
+  function getDesign(name) {
+    return {
+      version: DESIGN_VERSION,
+      name,
+      templateKey,
+      paper,
+      texts: { certTitle, subtitle, description, dateText, issuerText },
+      layout,
+    };
+  }
+
+  // Row-bound fields show the current preview row, not whoever was previewed when saving
+  function withRowTexts(list, defaults) {
+    return list.map((f) => (isRowField(f) ? { ...f, text: fieldTextForRow(f, sampleRow, defaults) } : f));
+  }
+
+  function applyDesign(design, { record = true } = {}) {
+    if (record) remember();
+    const { texts } = design;
+    const page = design.layout.page;
+    const nextPaper = SIZES[design.paper] || design.paper === CUSTOM_PAPER ? design.paper : "A4";
+    const nextOrientation = orientationOfPage(page);
+    // Custom pages come back in mm; named papers use their own size in the saved orientation
+    const nextCustom =
+      nextPaper === CUSTOM_PAPER
+        ? { width: Math.round((page.width / UNIT_POINTS.mm) * 10) / 10, height: Math.round((page.height / UNIT_POINTS.mm) * 10) / 10, unit: "mm" }
+        : customPaper;
+    const { w, h } = pageSizeFor(nextPaper, nextOrientation, nextCustom);
+
+    setPaper(nextPaper);
+    setOrientation(nextOrientation);
+    setCustomPaper(nextCustom);
+    if (design.templateKey) setTemplateKey(design.templateKey);
+    setCertTitle(texts.certTitle);
+    setSubtitle(texts.subtitle);
+    setDescription(texts.description);
+    setDateText(texts.dateText);
+    setIssuerText(texts.issuerText);
+
+    setFields(withRowTexts(fieldsFromLayout(design.layout, { width: w, height: h }), texts));
+    setSelectedId("");
+  }
+
+  // ✅ Undo / redo over the fields, the page and the texts that feed them. Recipient rows are data, not
+  // design, so they aren't part of a snapshot.
+  const history = useUndoHistory(
+    () => ({ fields, paper, orientation, customPaper, certTitle, subtitle, description, dateText, issuerText }),
+    (s) => {
+      setPaper(s.paper);
+      setOrientation(s.orientation);
+      setCustomPaper(s.customPaper);
+      setCertTitle(s.certTitle);
+      setSubtitle(s.subtitle);
+      setDescription(s.description);
+      setDateText(s.dateText);
+      setIssuerText(s.issuerText);
+      setFields(withRowTexts(s.fields, s));
+      setSelectedId((cur) => (s.fields.some((f) => f.id === cur) ? cur : ""));
+    }
+  );
+  const { remember } = history;
+
+  // ✅ Picking a template applies its metadata defaults (lib/templateMeta.js): paper size and
+  // orientation (fields are rescaled), then the default field layout if it has one. Built-in
+  // fields keep their current text; only geometry/style change. Elements the user added stay.
+  const [templateNotice, setTemplateNotice] = useState("");
+
+  function selectTemplate(t, { record = true } = {}) {
+    if (!t) return;
+    setTemplateKey(t.key);
+    setTemplateNotice("");
+    const nextPaper = SIZES[t.paper] ? t.paper : paper;
+    const nextOrientation = t.orientation || orientation;
+    if (!t.layout) {
+      if (nextPaper !== paper || nextOrientation !== orientation) changePage({ paper: nextPaper, orientation: nextOrientation }, { record });
+      return;
+    }
+
+    if (record) remember();
+    const { w, h } = pageSizeFor(nextPaper, nextOrientation, customPaper);
+    setPaper(nextPaper);
+    setOrientation(nextOrientation);
+    const defaults = fieldsFromLayout(t.layout, { width: w, height: h });
+    // Elements the previous template's layout brought in are replaced, not kept
+    const previous = new Set((selectedTemplate?.layout?.fields || []).filter((f) => f.custom).map((f) => f.id));
+    setFields((prev) => {
+      const placed = defaults.map((f) => {
+        const current = prev.find((p) => p.id === f.id);
+        return current && !f.custom ? { ...f, text: current.text } : f;
+      });
+      // Everything else (built-ins the template leaves out, the user's own text, QR, images and
+      // shapes) stays, moved to the new page like changePage does. The user's elements get new
+      // numbers where the template's own use theirs.
+      const taken = new Set(placed.map((f) => f.id));
+      let n = [...prev, ...placed].filter((f) => f.custom).reduce((max, f) => Math.max(max, Number(f.id.replace("custom", "")) || 0), 0);
+      const kept = scaleFields(
+        prev.filter((p) => (p.custom ? !previous.has(p.id) : !taken.has(p.id))).map((p) => (taken.has(p.id) ? { ...p, id: `custom${++n}` } : p)),
+        { width: CW, height: CH },
+        { width: w, height: h }
+      );
+      return [...kept.filter((f) => f.type === "shape"), ...placed, ...kept.filter((f) => f.type !== "shape")];
+    });
+    setSelectedId("");
+  }
+
+  async function saveLayoutAsTemplateDefault() {
+    const t = selectedTemplate;
+    if (!t) return;
+    try {
+      const meta = await saveTemplateMeta(t.key, {
+        name: t.label,
+        category: t.category,
+        paper: paper === CUSTOM_PAPER ? "" : paper,
+        orientation,
+        fonts: t.fonts,
+        colors: t.colors,
+        layout,
+      });
+      setTemplates((prev) =>
+        prev.map((x) => (x.key === t.key ? { ...x, label: meta.name || x.label, paper: meta.paper, orientation: meta.orientation, fonts: meta.fonts, colors: meta.colors, layout: meta.layout } : x))
+      );
+      setTemplateNotice("Saved. Picking this template now starts from the current layout.");
+    } catch (e) {
+      setTemplateNotice(String(e?.message || "Failed to save the template default"));
+    }
+  }
+
+  // Typing into one of the Texts inputs is one undo step per burst
+  function textChange(key, setter) {
+    return (e) => {
+      remember(`text:${key}`);
+      setter(e.target.value);
+    };
+  }
+
+  // Ctrl/Cmd+Z, Ctrl/Cmd+Shift+Z, Ctrl+Y. Text inputs (and the inline editor) keep their own
+  // native undo; the inline editor's commit is a single step here.
+  useEffect(() => {
+    function onKeyDown(e) {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      const t = e.target;
+      if (t?.isContentEditable || ["INPUT", "TEXTAREA", "SELECT"].includes(t?.tagName)) return;
+      const key = e.key.toLowerCase();
+      if (key === "z" && !e.shiftKey) history.undo();
+      else if ((key === "z" && e.shiftKey) || (key === "y" && !e.metaKey)) history.redo();
+      else return;
+      e.preventDefault();
+    }
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, [history.undo, history.redo]);
+
+  // Restore the autosaved draft once on load
+  useEffect(() => {
+    const draft = loadDraft();
+    const parsed = draft ? normalizeDesign(draft.design) : null;
+    if (!parsed?.design) return;
+    applyDesign(parsed.design, { record: false });
+    if (draft.designId) setDesignMeta({ id: draft.designId, name: parsed.design.name, etag: draft.etag || "" });
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  // Autosave the draft (debounced)
+  useEffect(() => {
+    const t = setTimeout(() => {
+      saveDraft({
+        design: getDesign(designMeta?.name || "Untitled design"),
+        designId: designMeta?.id || "",
+        etag: designMeta?.etag || "",
+      });
+    }, 800);
+    return () => clearTimeout(t);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [layout, templateKey, paper, certTitle, subtitle, description, dateText, issuerText, designMeta]);
+
+  // Background image; PDF templates are rasterized for the stage, exports embed the PDF page itself
+  const templateUrl = selectedTemplate?.url || "";
+  const [imageBg] = useImage(isPdfUrl(templateUrl) ? "" : templateUrl, "anonymous");
+  const [pdfBg, pdfBgStatus] = usePdfRaster(templateUrl);
+  const bg = pdfBg || imageBg;
+
+  // Row used to resolve {{placeholders}} on the canvas: the exporting row, else the preview row
+  const [exportRow, setExportRow] = useState(null);
+  const mergeRow = useMemo(() => withSampleCertificateId(exportRow || sampleRow), [exportRow, sampleRow]);
+
+  // Placeholders the current data can fill
+  const availablePlaceholders = useMemo(() => {
+    const cols = inputMode === "upload" && uploadTable ? uploadTable.headers.map(placeholderKey).filter(Boolean) : [];
+    return Array.from(new Set([...BUILT_IN_PLACEHOLDERS, ...cols]));
+  }, [inputMode, uploadTable]);
 
   const selectedField = useMemo(() => fields.find((f) => f.id === selectedId) || null, [fields, selectedId]);
 
   // Inline editor overlay state
   const [editingId, setEditingId] = useState("");
   const [editorValue, setEditorValue] = useState("");
+  const [editorRich, setEditorRich] = useState(undefined); // undefined = plain editor (row-bound fields)
   const [editorRect, setEditorRect] = useState(null);
 
   function openEditorFor(id) {
@@ -256,9 +626,12 @@ export default function App() {
     const node = stage.findOne(`#${id}`);
     if (!node) return;
 
-    const text = fields.find((f) => f.id === id)?.text ?? "";
+    const field = fields.find((f) => f.id === id);
+    if (field?.type) return; // QR codes, images and shapes are edited in the inspector
+    const text = field?.text ?? "";
     setEditingId(id);
     setEditorValue(text);
+    setEditorRich(supportsRichText(field) ? !!field.rich : undefined);
 
     const box = node.getClientRect({ relativeTo: stage });
     const canvasEl = container.querySelector("canvas");
@@ -278,7 +651,11 @@ export default function App() {
   function closeEditor() {
     if (!editingId) return;
 
-    updateField(editingId, { text: editorValue });
+    const field = fields.find((f) => f.id === editingId);
+    const richChanged = editorRich !== undefined && editorRich !== !!field?.rich;
+    // Name/award come from the recipient rows, which history doesn't track
+    if ((editorValue !== (field?.text ?? "") || richChanged) && editingId !== "name" && editingId !== "award") remember();
+    patchField(editingId, editorRich === undefined ? { text: editorValue } : { text: editorValue, rich: editorRich });
 
     if (editingId === "certTitle") setCertTitle(editorValue);
     if (editingId === "subtitle") setSubtitle(editorValue);
@@ -298,25 +675,68 @@ export default function App() {
     }
 
     setEditingId("");
+    setEditorRich(undefined);
     setEditorRect(null);
   }
 
+  function loadTable(table) {
+    if (table.error) {
+      setUploadTable(null);
+      setColumnMapping([]);
+      setError(table.error);
+      return;
+    }
+    setError("");
+
+    const saved = table.kind === "TXT" ? null : loadSavedMapping(table.headers);
+    const mapping = saved || (table.kind === "TXT" ? defaultMapping(table.headers) : guessMapping(table.headers));
+    setUploadTable(table);
+    setColumnMapping(mapping);
+    // Ask for confirmation unless the user already mapped this exact header layout before
+    setMappingOpen(table.kind !== "TXT" && !saved);
+  }
+
+  function updateColumnMapping(index, fieldId) {
+    const next = assignField(columnMapping, index, fieldId);
+    setColumnMapping(next);
+    if (uploadTable) saveMapping(uploadTable.headers, next);
+  }
+
   async function handleUpload(file) {
     setUploadFile(file);
     setError("");
-    const text = await file.text();
-
-    let parsed;
-    if (file.name.toLowerCase().endsWith(".csv")) parsed = parseCsv(text);
-    else if (file.name.toLowerCase().endsWith(".txt")) parsed = parseTxt(text);
-    else parsed = { error: "Upload a .csv or .txt file." };
-
-    if (parsed.error) {
-      setRows([]);
-      setError(parsed.error);
-    } else {
-      setRows(parsed.rows);
+    setWorkbookSheets([]);
+    const lower = file.name.toLowerCase();
+
+    if (isSpreadsheetFile(lower)) {
+      const wb = await readWorkbook(await file.arrayBuffer(), lower);
+      if (wb.error) return loadTable({ error: wb.error });
+
+      // Start on the first sheet that has any data
+      const first = Math.max(0, wb.sheets.findIndex((sh) => sh.rows.length > 1));
+      setWorkbookSheets(wb.sheets);
+      setSheetIndex(first);
+      return loadTable(sheetTable(wb.sheets[first]));
     }
+
+    const text = decodeText(await file.arrayBuffer());
+
+    if (lower.endsWith(".csv")) return loadTable(csvTable(text));
+    if (lower.endsWith(".txt")) {
+      const parsed = parseTxt(text);
+      if (parsed.error) return loadTable(parsed);
+      return loadTable({
+        kind: "TXT",
+        headers: ["name", "title"],
+        records: parsed.rows.map((r, i) => ({ cells: [r.name, r.award], line: i + 1 })),
+      });
+    }
+    loadTable({ error: "Upload a .csv, .txt, .xlsx or .ods file." });
+  }
+
+  function selectSheet(idx) {
+    setSheetIndex(idx);
+    loadTable(sheetTable(workbookSheets[idx]));
   }
 
   function effectiveRows() {
@@ -336,10 +756,20 @@ export default function App() {
         award: (r.award || "").trim(),
         date: (r.date || dateText || "").trim(),
         issuer: (r.issuer || issuerText || "").trim(),
+        data: r.data || {},
       }))
       .filter((r) => r.name && r.award);
   }
 
+  // Final text of a field for one recipient (what the stage shows during export)
+  function textForRow(field, r) {
+    return fieldTextForRow(field, withSampleCertificateId(r), { dateText, issuerText });
+  }
+
+  function spansForRow(field, r) {
+    return fieldSpansForRow(field, withSampleCertificateId(r), { dateText, issuerText });
+  }
+
   async function exportPdfPreview() {
     setError("");
     if (!selectedTemplate) return setError("No template selected.");
@@ -347,12 +777,30 @@ export default function App() {
     const list = effectiveRows();
     if (!list.length) return setError("Provide at least 1 recipient (manual or upload).");
 
+    const { print, error: printError } = normalizePrintOptions({ profile: printProfile, bleedMm, marks: cropMarks });
+    if (printError) return setError(printError);
+    const { imposition, error: impositionError } = normalizeImposition({
+      perSheet,
+      sheet: sheetSize,
+      gutterMm,
+      order: sheetOrder,
+      marks: cutMarks,
+    });
+    if (impositionError) return setError(impositionError);
+
+    if (pdfMode === "vector") return exportVectorPdfPreview(list, print, imposition);
+
     setBusy(true);
     try {
+      await preloadRowImages(list);
       await exportPdfFromStage({
         rows: list,
         cw: CW,
         ch: CH,
+        print,
+        imposition,
+        bg,
+        templateUrl: selectedTemplate.url,
         stageRef,
         transformerRef,
         selectedId,
@@ -361,6 +809,7 @@ export default function App() {
         closeEditor,
         max: MAX_PREVIEW,
         beforeEachRow: async (r) => {
+          setExportRow(r);
           const effectiveDate = r.date || dateText;
           const effectiveIssuer = r.issuer || issuerText;
 
@@ -375,6 +824,7 @@ export default function App() {
           );
         },
         afterExportRestore: () => {
+          setExportRow(null);
           const effectiveDate = sampleRow.date || dateText;
           const effectiveIssuer = sampleRow.issuer || issuerText;
 
@@ -396,6 +846,29 @@ export default function App() {
     }
   }
 
+  async function exportVectorPdfPreview(list, print, imposition) {
+    if (editingId) closeEditor();
+    setBusy(true);
+    try {
+      await exportVectorPdfFromLayout({
+        rows: list,
+        layout,
+        textFor: textForRow,
+        spansFor: spansForRow,
+        bg,
+        templateUrl: selectedTemplate.url,
+        print,
+        imposition,
+        title: (fields.find((f) => f.id === "certTitle")?.rich ? spansText(parseRichText(certTitle)) : certTitle) || "Certificates",
+        max: MAX_PREVIEW,
+      });
+    } catch (e) {
+      setError(String(e?.message || "Export failed"));
+    } finally {
+      setBusy(false);
+    }
+  }
+
   async function exportPngZipPreview() {
     setError("");
     if (!selectedTemplate) return setError("No template selected.");
@@ -406,6 +879,7 @@ export default function App() {
     setBusy(true);
     try {
       const zip = new JSZip();
+      await preloadRowImages(list);
       await exportZipPngFromStage({
         rows: list,
         stageRef,
@@ -417,6 +891,7 @@ export default function App() {
         zip,
         max: MAX_PREVIEW,
         beforeEachRow: async (r) => {
+          setExportRow(r);
           const effectiveDate = r.date || dateText;
           const effectiveIssuer = r.issuer || issuerText;
 
@@ -431,6 +906,7 @@ export default function App() {
           );
         },
         afterExportRestore: () => {
+          setExportRow(null);
           const effectiveDate = sampleRow.date || dateText;
           const effectiveIssuer = sampleRow.issuer || issuerText;
 
@@ -461,6 +937,100 @@ export default function App() {
         </div>
 
         <div style={styles.headerActions}>
+          <button onClick={history.undo} disabled={!history.canUndo} style={history.canUndo ? styles.btnGhost : styles.btnDisabled} title="Undo (Ctrl/⌘+Z)">
+            Undo
+          </button>
+          <button onClick={history.redo} disabled={!history.canRedo} style={history.canRedo ? styles.btnGhost : styles.btnDisabled} title="Redo (Ctrl/⌘+Shift+Z)">
+            Redo
+          </button>
+          <select
+            style={{ ...styles.select, width: "auto" }}
+            value={pdfMode}
+            onChange={(e) => setPdfMode(e.target.value)}
+            title="Vector keeps text sharp and selectable; Image is an exact canvas snapshot"
+          >
+            <option value="vector">PDF: vector text</option>
+            <option value="image">PDF: image snapshot</option>
+          </select>
+          <select
+            style={{ ...styles.select, width: "auto" }}
+            value={printProfile}
+            onChange={(e) => setPrintProfile(e.target.value)}
+            title="Print adds bleed, crop marks and trim/bleed boxes for a print shop"
+          >
+            <option value="screen">Profile: screen</option>
+            <option value="print">Profile: print</option>
+          </select>
+          {printProfile === "print" && (
+            <>
+              <label style={styles.headerField} title="Background extended past the trim on every side">
+                Bleed
+                <input
+                  type="number"
+                  min={0}
+                  max={MAX_BLEED_MM}
+                  step={0.5}
+                  style={{ ...styles.input, width: 64 }}
+                  value={bleedMm}
+                  onChange={(e) => setBleedMm(e.target.value)}
+                />
+                mm
+              </label>
+              <label style={styles.headerField}>
+                <input type="checkbox" checked={cropMarks} onChange={(e) => setCropMarks(e.target.checked)} />
+                Crop marks
+              </label>
+            </>
+          )}
+          <select
+            style={{ ...styles.select, width: "auto" }}
+            value={perSheet}
+            onChange={(e) => setPerSheet(Number(e.target.value))}
+            title="Tile several certificates on one sheet for cutting"
+          >
+            {PER_SHEET_OPTIONS.map((n) => (
+              <option key={n} value={n}>
+                {n === 1 ? "1 per page" : `${n} per sheet`}
+              </option>
+            ))}
+          </select>
+          {perSheet > 1 && (
+            <>
+              <select style={{ ...styles.select, width: "auto" }} value={sheetSize} onChange={(e) => setSheetSize(e.target.value)} title="Sheet size">
+                {PAPER_OPTIONS.filter((p) => p.id !== CUSTOM_PAPER).map((p) => (
+                  <option key={p.id} value={p.id}>
+                    Sheet: {p.id}
+                  </option>
+                ))}
+              </select>
+              <label style={styles.headerField} title="Space between certificates on the sheet">
+                Gutter
+                <input
+                  type="number"
+                  min={0}
+                  max={MAX_GUTTER_MM}
+                  step={1}
+                  style={{ ...styles.input, width: 64 }}
+                  value={gutterMm}
+                  onChange={(e) => setGutterMm(e.target.value)}
+                />
+                mm
+              </label>
+              <select
+                style={{ ...styles.select, width: "auto" }}
+                value={sheetOrder}
+                onChange={(e) => setSheetOrder(e.target.value)}
+                title="Cut & stack: cut the whole pile, stack the piles left to right and the recipients come out in order"
+              >
+                <option value="stack">Order: cut & stack</option>
+                <option value="rows">Order: sheet by sheet</option>
+              </select>
+              <label style={styles.headerField}>
+                <input type="checkbox" checked={cutMarks} onChange={(e) => setCutMarks(e.target.checked)} />
+                Cut marks
+              </label>
+            </>
+          )}
           <button onClick={exportPdfPreview} disabled={busy} style={busy ? styles.btnDisabled : styles.btnPrimary}>
             {busy ? "Exporting…" : `Export PDF (max ${MAX_PREVIEW})`}
           </button>
@@ -473,13 +1043,16 @@ export default function App() {
       <div style={styles.grid}>
         {/* LEFT PANEL */}
         <div style={styles.panel}>
+          <DesignsPicker current={designMeta} setCurrent={setDesignMeta} getDesign={getDesign} applyDesign={applyDesign} />
+          <div style={styles.hr} />
+
           <div style={styles.panelTitle}>Inputs</div>
 
           <div style={styles.block}>
             <label style={styles.label}>Input mode</label>
             <select style={styles.select} value={inputMode} onChange={(e) => setInputMode(e.target.value)}>
               <option value="manual">Manual (table)</option>
-              <option value="upload">Upload CSV/TXT (batch)</option>
+              <option value="upload">Upload CSV/TXT/XLSX (batch)</option>
             </select>
           </div>
 
@@ -595,21 +1168,89 @@ export default function App() {
             </div>
           ) : (
             <div style={styles.block}>
-              <label style={styles.label}>Upload .csv or .txt</label>
+              <label style={styles.label}>Upload .csv, .txt, .xlsx or .ods</label>
               <input
                 type="file"
-                accept=".csv,.txt,text/csv,text/plain"
+                accept=".csv,.txt,.xlsx,.ods,text/csv,text/plain,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet,application/vnd.oasis.opendocument.spreadsheet"
                 onChange={(e) => e.target.files?.[0] && handleUpload(e.target.files[0])}
               />
+              {workbookSheets.length > 1 && (
+                <div style={{ marginTop: 10 }}>
+                  <label style={styles.label}>Sheet</label>
+                  <select style={styles.select} value={sheetIndex} onChange={(e) => selectSheet(Number(e.target.value))}>
+                    {workbookSheets.map((sh, i) => (
+                      <option key={i} value={i}>
+                        {sh.name} ({Math.max(0, sh.rows.length - 1)} rows)
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              )}
               <div style={styles.help}>
-                CSV headers: <code>name,title</code> (optional <code>date</code>, <code>issuer</code>) • TXT:{" "}
+                First row must hold column headers (comma, semicolon or tab separated for CSV); you map them to certificate fields after upload • TXT:{" "}
                 <code>Name - Title</code>
               </div>
+              {uploadTable && uploadTable.kind !== "TXT" && (
+                <div style={styles.mappingBox}>
+                  <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", gap: 10 }}>
+                    <div style={{ fontSize: 12, fontWeight: 800 }}>Column mapping</div>
+                    <button
+                      style={{ ...styles.btnGhost, padding: "6px 10px" }}
+                      onClick={() => {
+                        // Confirming an untouched guess should still be remembered
+                        if (mappingOpen) saveMapping(uploadTable.headers, columnMapping);
+                        setMappingOpen((v) => !v);
+                      }}
+                    >
+                      {mappingOpen ? "Done" : "Edit"}
+                    </button>
+                  </div>
+
+                  {mappingOpen ? (
+                    <div style={{ marginTop: 10, display: "grid", gap: 8 }}>
+                      {uploadTable.headers.map((h, i) => (
+                        <div key={i} style={styles.mappingRow}>
+                          <div style={{ minWidth: 0 }}>
+                            <div style={styles.mappingHeader}>{h || `Column ${i + 1}`}</div>
+                            <div style={styles.mappingSample}>{String(uploadTable.records[0]?.cells[i] ?? "") || "—"}</div>
+                          </div>
+                          <select
+                            style={styles.select}
+                            value={columnMapping[i] || ""}
+                            onChange={(e) => updateColumnMapping(i, e.target.value)}
+                          >
+                            <option value="">Ignore</option>
+                            {CERT_FIELDS.map((f) => (
+                              <option key={f.id} value={f.id}>
+                                {f.label}
+                                {f.required ? " *" : ""}
+                              </option>
+                            ))}
+                          </select>
+                        </div>
+                      ))}
+                    </div>
+                  ) : (
+                    <div style={styles.help}>
+                      {CERT_FIELDS.filter((f) => columnMapping.includes(f.id))
+                        .map((f) => `${f.label} ← ${uploadTable.headers[columnMapping.indexOf(f.id)] || "?"}`)
+                        .join(" • ") || "No columns mapped yet."}
+                    </div>
+                  )}
+                </div>
+              )}
+              {uploadTable && mappedUpload.error && <div style={styles.error}>{mappedUpload.error}</div>}
               {uploadFile && rows.length > 0 && (
                 <div style={styles.help}>
                   <b>Rows:</b> {rows.length} (preview shows first)
                 </div>
               )}
+              {uploadFile && rowErrors.length > 0 && !mappedUpload.error && (
+                <div style={styles.warning}>
+                  <b>Skipped / problem rows ({rowErrors.length}):</b>
+                  {"\n" + formatRowErrors(rowErrors).join("\n")}
+                </div>
+              )}
             </div>
           )}
 
@@ -617,14 +1258,69 @@ export default function App() {
 
           <div style={styles.panelTitle}>Template</div>
 
-          <div style={styles.block}>
-            <label style={styles.label}>Paper size</label>
-            <select style={styles.select} value={paper} onChange={(e) => setPaper(e.target.value)}>
-              <option value="A4">A4 (landscape)</option>
-              <option value="LETTER">US Letter (landscape)</option>
-            </select>
+          <div style={styles.row2}>
+            <div style={styles.block}>
+              <label style={styles.label}>Paper size</label>
+              <select style={styles.select} value={paper} onChange={(e) => changePage({ paper: e.target.value })}>
+                {PAPER_OPTIONS.map((p) => (
+                  <option key={p.id} value={p.id}>
+                    {p.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            <div style={styles.block}>
+              <label style={styles.label}>Orientation</label>
+              <select style={styles.select} value={orientation} onChange={(e) => changePage({ orientation: e.target.value })}>
+                <option value="landscape">Landscape</option>
+                <option value="portrait">Portrait</option>
+              </select>
+            </div>
           </div>
 
+          {paper === CUSTOM_PAPER && (
+            <div style={styles.block}>
+              <label style={styles.label}>Custom size (width × height)</label>
+              <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr 70px", gap: 8 }}>
+                {["width", "height"].map((side) => (
+                  // Applied on blur / Enter so half-typed sizes don't rescale the fields
+                  <input
+                    key={`${side}-${customPaper[side]}-${customPaper.unit}`}
+                    type="number"
+                    min={1}
+                    step={customPaper.unit === "in" ? 0.1 : 1}
+                    style={styles.input}
+                    defaultValue={customPaper[side]}
+                    onKeyDown={(e) => e.key === "Enter" && e.currentTarget.blur()}
+                    onBlur={(e) => {
+                      const n = Number(e.target.value);
+                      if (n > 0 && n !== Number(customPaper[side])) changePage({ customPaper: { ...customPaper, [side]: n } });
+                      else e.target.value = customPaper[side];
+                    }}
+                  />
+                ))}
+                <select
+                  style={styles.select}
+                  value={customPaper.unit}
+                  onChange={(e) => {
+                    // Same physical size in the other unit
+                    const unit = e.target.value;
+                    const k = UNIT_POINTS[customPaper.unit] / UNIT_POINTS[unit];
+                    const round = (n) => Math.round(Number(n) * k * 100) / 100;
+                    setCustomPaper({ width: round(customPaper.width), height: round(customPaper.height), unit });
+                  }}
+                >
+                  <option value="mm">mm</option>
+                  <option value="in">in</option>
+                </select>
+              </div>
+              <div style={styles.help}>
+                {Math.round(CW)} × {Math.round(CH)} pt. The orientation decides which side is the long one.
+              </div>
+            </div>
+          )}
+
           <div style={styles.block}>
             <label style={styles.label}>Template</label>
             {templatesLoading ? (
@@ -634,43 +1330,113 @@ export default function App() {
             ) : templates.length === 0 ? (
               <div style={styles.help}>No templates found (R2: templates/templates/)</div>
             ) : (
-              <select style={styles.select} value={templateKey} onChange={(e) => setTemplateKey(e.target.value)}>
-                {templates.map((t) => (
-                  <option key={t.key} value={t.key}>
-                    {t.label}
-                  </option>
-                ))}
+              <select style={styles.select} value={templateKey} onChange={(e) => selectTemplate(templates.find((t) => t.key === e.target.value))}>
+                {templateGroups.map(([category, list]) => {
+                  const options = list.map((t) => (
+                    <option key={t.key} value={t.key}>
+                      {t.custom ? `★ ${t.label}${t.paper ? ` (${t.paper})` : ""}` : t.label}
+                    </option>
+                  ));
+                  return category ? (
+                    <optgroup key={category} label={category}>
+                      {options}
+                    </optgroup>
+                  ) : (
+                    options
+                  );
+                })}
               </select>
             )}
+            {selectedTemplate?.custom && (
+              <button style={{ ...styles.btnGhost, padding: "6px 10px", marginTop: 8 }} onClick={saveLayoutAsTemplateDefault}>
+                Use current layout as this template's default
+              </button>
+            )}
+            {templateNotice && <div style={styles.help}>{templateNotice}</div>}
+            {pdfBgStatus === "loading" && <div style={styles.help}>Rendering PDF background…</div>}
+            {pdfBgStatus === "failed" && <div style={{ ...styles.help, color: "#b42318" }}>Couldn't render this PDF background.</div>}
+            {selectedTemplate?.thumbnailUrl && (
+              <img src={selectedTemplate.thumbnailUrl} alt="" style={{ display: "block", width: "100%", marginTop: 8, borderRadius: 8 }} />
+            )}
           </div>
 
+          <TemplateUpload
+            paper={paper}
+            orientation={orientation}
+            onUploaded={(t) => {
+              setTemplates((prev) => [...prev, t]);
+              selectTemplate(t);
+            }}
+          />
+
           <div style={styles.hr} />
 
           <div style={styles.panelTitle}>Texts</div>
 
           <div style={styles.block}>
             <label style={styles.label}>Certificate Title</label>
-            <input style={styles.input} value={certTitle} onChange={(e) => setCertTitle(e.target.value)} />
+            <input style={styles.input} value={certTitle} onChange={textChange("certTitle", setCertTitle)} />
           </div>
 
           <div style={styles.block}>
             <label style={styles.label}>Free text (below title)</label>
-            <input style={styles.input} value={subtitle} onChange={(e) => setSubtitle(e.target.value)} placeholder="(optional)" />
+            <input style={styles.input} value={subtitle} onChange={textChange("subtitle", setSubtitle)} placeholder="(optional)" />
           </div>
 
           <div style={styles.block}>
             <label style={styles.label}>Free text (below name)</label>
-            <input style={styles.input} value={description} onChange={(e) => setDescription(e.target.value)} placeholder="(optional)" />
+            <input style={styles.input} value={description} onChange={textChange("description", setDescription)} placeholder="(optional)" />
           </div>
 
           <div style={styles.block}>
             <label style={styles.label}>Date</label>
-            <input style={styles.input} value={dateText} onChange={(e) => setDateText(e.target.value)} />
+            <input style={styles.input} value={dateText} onChange={textChange("dateText", setDateText)} />
           </div>
 
           <div style={styles.block}>
             <label style={styles.label}>Issuer</label>
-            <input style={styles.input} value={issuerText} onChange={(e) => setIssuerText(e.target.value)} />
+            <input style={styles.input} value={issuerText} onChange={textChange("issuerText", setIssuerText)} />
+          </div>
+
+          <div style={styles.block}>
+            <button style={styles.btnGhost} onClick={() => addCustomField()}>
+              + Add text field
+            </button>
+            <button
+              style={{ ...styles.btnGhost, marginLeft: 8 }}
+              onClick={() =>
+                addCustomField({ label: "Certificate ID", text: "Certificate ID: {{certificate_id}}", y: CH - 36, fontSize: 11, width: 400 })
+              }
+            >
+              + Add certificate ID
+            </button>
+            <button style={{ ...styles.btnGhost, marginTop: 8 }} onClick={addQrCode}>
+              + Add QR code
+            </button>
+            <button style={{ ...styles.btnGhost, marginTop: 8, marginLeft: 8 }} onClick={() => imageInputRef.current?.click()}>
+              + Add image
+            </button>
+            <button style={{ ...styles.btnGhost, marginTop: 8 }} onClick={() => addShape("line")}>
+              + Add line
+            </button>
+            <button style={{ ...styles.btnGhost, marginTop: 8, marginLeft: 8 }} onClick={() => addShape("rect")}>
+              + Add shape
+            </button>
+            <input
+              ref={imageInputRef}
+              type="file"
+              accept="image/png,image/jpeg,.png,.jpg,.jpeg"
+              style={{ display: "none" }}
+              onChange={(e) => {
+                addImage(e.target.files?.[0]);
+                e.target.value = "";
+              }}
+            />
+            <div style={styles.help}>
+              Custom fields can use placeholders filled per recipient, e.g. <code>{"{{hours}} CPD hours"}</code>; images can
+              too, e.g. a <code>{"{{signature}}"}</code> column naming uploaded files. Generated
+              certificates get a unique <code>{"{{certificate_id}}"}</code> that anyone can check at <code>/verify</code>.
+            </div>
           </div>
 
           {error && <div style={styles.error}>{error}</div>}
@@ -682,7 +1448,7 @@ export default function App() {
             <div style={styles.canvasTitleRow}>
               <div>
                 <div style={styles.canvasTitle}>Live preview</div>
-                <div style={styles.canvasHint}>Click to select • drag to move • resize handles • double-click to edit</div>
+                <div style={styles.canvasHint}>Click to select • drag to move • resize and rotate handles • double-click to edit</div>
               </div>
               <div style={styles.badge}>{paper}</div>
             </div>
@@ -692,6 +1458,7 @@ export default function App() {
               ch={CH}
               bg={bg}
               fields={fields}
+              mergeRow={mergeRow}
               selectedId={selectedId}
               setSelectedId={setSelectedId}
               updateField={updateField}
@@ -701,7 +1468,18 @@ export default function App() {
               openEditorFor={openEditorFor}
             />
 
-            <TextEditorOverlay open={!!editingId} value={editorValue} onChange={setEditorValue} onClose={closeEditor} nodeAbsRect={editorRect} />
+            <TextEditorOverlay
+              open={!!editingId}
+              value={editorValue}
+              rich={editorRich}
+              placeholders={availablePlaceholders}
+              onChange={(text, rich) => {
+                setEditorValue(text);
+                if (rich !== undefined) setEditorRich(rich);
+              }}
+              onClose={closeEditor}
+              nodeAbsRect={editorRect}
+            />
           </div>
         </div>
 
@@ -711,16 +1489,59 @@ export default function App() {
 
           {!selectedField ? (
             <div style={styles.help}>Select a field on the template to edit style.</div>
+          ) : selectedField.type === "qr" ? (
+            <QrInspector
+              field={selectedField}
+              updateField={updateField}
+              placeholders={availablePlaceholders}
+              onDelete={() => removeField(selectedField.id)}
+            />
+          ) : selectedField.type === "shape" ? (
+            <ShapeInspector field={selectedField} updateField={updateField} onDelete={() => removeField(selectedField.id)} />
+          ) : selectedField.type === "image" ? (
+            <ImageInspector
+              field={selectedField}
+              updateField={updateField}
+              placeholders={availablePlaceholders}
+              onDelete={() => removeField(selectedField.id)}
+            />
           ) : (
             <>
               <div style={styles.block}>
-                <div style={styles.pill}>Selected: {niceFieldLabel(selectedField.id)}</div>
+                <div style={styles.pill}>Selected: {selectedField.label || niceFieldLabel(selectedField.id)}</div>
               </div>
 
               <div style={styles.block}>
                 <label style={styles.label}>Text</label>
                 <input style={styles.input} value={selectedField.text} onChange={(e) => updateField(selectedField.id, { text: e.target.value })} />
-                <div style={styles.help}>Tip: double-click on canvas to edit faster.</div>
+                <div style={styles.help}>
+                  Tip: double-click on canvas to edit faster{supportsRichText(selectedField) ? " — with bold, italic, underline and colour for parts of the text" : ""}.
+                </div>
+                {supportsRichText(selectedField) && (
+                  <label style={{ ...styles.help, display: "flex", alignItems: "center", gap: 6 }}>
+                    <input
+                      type="checkbox"
+                      checked={!!selectedField.rich}
+                      onChange={(e) =>
+                        updateField(
+                          selectedField.id,
+                          e.target.checked
+                            ? { text: richTextMarkup([{ text: selectedField.text }]), rich: true }
+                            : { text: spansText(parseRichText(selectedField.text)), rich: false }
+                        )
+                      }
+                    />
+                    Formatting marks: <code>**bold**</code> <code>*italic*</code> <code>__underline__</code> <code>[color=#c9a227]…[/color]</code>
+                  </label>
+                )}
+                {selectedField.custom && (
+                  <div style={styles.help}>
+                    Placeholders:{" "}
+                    {availablePlaceholders.map((k) => (
+                      <code key={k} style={{ marginRight: 6 }}>{`{{${k}}}`}</code>
+                    ))}
+                  </div>
+                )}
               </div>
 
               <div style={styles.block}>
@@ -737,11 +1558,22 @@ export default function App() {
                     stageRef.current?.getLayers()?.forEach((l) => l.batchDraw());
                   }}
                 >
-                  {FONT_OPTIONS.map((f) => (
-                    <option key={f.id} value={f.id}>
-                      {f.label}
-                    </option>
-                  ))}
+                  {recommendedFonts.length > 0 && (
+                    <optgroup label="Recommended for this template">
+                      {recommendedFonts.map((f) => (
+                        <option key={f.id} value={f.id}>
+                          {f.label}
+                        </option>
+                      ))}
+                    </optgroup>
+                  )}
+                  <optgroup label="All fonts">
+                    {FONT_OPTIONS.map((f) => (
+                      <option key={f.id} value={f.id}>
+                        {f.label}
+                      </option>
+                    ))}
+                  </optgroup>
                 </select>
               </div>
 
@@ -764,6 +1596,25 @@ export default function App() {
                     onChange={(e) => updateField(selectedField.id, { fill: e.target.value })}
                     style={{ height: 42, borderRadius: 12, border: "1px solid rgba(0,0,0,0.15)", width: "100%" }}
                   />
+                  {selectedTemplate?.colors?.length > 0 && (
+                    <div style={{ display: "flex", gap: 6, flexWrap: "wrap", marginTop: 6 }} title="Recommended for this template">
+                      {selectedTemplate.colors.map((c) => (
+                        <button
+                          key={c}
+                          title={c}
+                          onClick={() => updateField(selectedField.id, { fill: c })}
+                          style={{
+                            width: 22,
+                            height: 22,
+                            borderRadius: 6,
+                            background: c,
+                            cursor: "pointer",
+                            border: selectedField.fill === c ? "2px solid #5b7cff" : "1px solid rgba(0,0,0,0.2)",
+                          }}
+                        />
+                      ))}
+                    </div>
+                  )}
                 </div>
               </div>
 
@@ -773,6 +1624,7 @@ export default function App() {
                   <option value="left">Left</option>
                   <option value="center">Center</option>
                   <option value="right">Right</option>
+                  <option value="justify">Justify</option>
                 </select>
               </div>
 
@@ -802,6 +1654,49 @@ export default function App() {
                 <div style={styles.help}>{Math.round(selectedField.width)}px</div>
               </div>
 
+              <div style={styles.row2}>
+                <div style={styles.block}>
+                  <label style={styles.label}>Max lines</label>
+                  <input
+                    style={styles.input}
+                    type="number"
+                    min="1"
+                    placeholder="No limit"
+                    value={selectedField.maxLines ?? ""}
+                    onChange={(e) => updateField(selectedField.id, { maxLines: optionalNumber(e.target.value) })}
+                  />
+                </div>
+                <div style={styles.block}>
+                  <label style={styles.label}>Box height</label>
+                  <input
+                    style={styles.input}
+                    type="number"
+                    min="10"
+                    placeholder="Auto"
+                    value={selectedField.height ? Math.round(selectedField.height) : ""}
+                    onChange={(e) => updateField(selectedField.id, { height: optionalNumber(e.target.value) })}
+                  />
+                </div>
+              </div>
+
+              <div style={styles.block}>
+                <label style={styles.label}>Shrink to fit (minimum size)</label>
+                <input
+                  style={styles.input}
+                  type="number"
+                  min="6"
+                  max={selectedField.fontSize}
+                  placeholder="Off"
+                  value={selectedField.minFontSize ?? ""}
+                  onChange={(e) => updateField(selectedField.id, { minFontSize: optionalNumber(e.target.value) })}
+                />
+                <div style={styles.help}>
+                  Long text shrinks down to this size to fit the max lines / box height; anything still too long is cut.
+                </div>
+              </div>
+
+              <TextEffectsInspector field={selectedField} updateField={updateField} />
+
               <button
                 style={styles.btnGhost}
                 onClick={() => {
@@ -812,17 +1707,27 @@ export default function App() {
                       selectedField.id === "award" || selectedField.id === "subtitle" || selectedField.id === "description" || selectedField.id === "date"
                         ? "#2b2f44"
                         : "#1e2233",
+                    letterSpacing: 0,
+                    stroke: "",
+                    shadowColor: "",
                   });
                 }}
               >
                 Reset style (selected)
               </button>
+
+              {selectedField.custom && (
+                <button style={{ ...styles.btnGhost, marginLeft: 10 }} onClick={() => removeField(selectedField.id)}>
+                  Delete field
+                </button>
+              )}
             </>
           )}
 
           <div style={styles.hr} />
           <div style={styles.help}>
-            Export is <b>pixel-perfect</b> because it uses the same canvas snapshot — <b>without</b> editor tools.
+            Vector PDF writes real, selectable text with the chosen fonts. Image PDF and PNG ZIP are <b>pixel-perfect</b>
+            canvas snapshots — <b>without</b> editor tools.
           </div>
         </div>
       </div>
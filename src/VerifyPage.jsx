@@ -0,0 +1,93 @@
+import React, { useEffect, useState } from "react";
+import { normalizeCertificateId } from "./lib/certificateId";
+import { styles } from "./styles/appStyles";
+
+// Public /verify?id=… page: looks the ID up through /api/verify/:id and shows who the
+// certificate was issued to and whether it is still valid.
+async function lookUp(id) {
+  const res = await fetch(`/api/verify/${encodeURIComponent(id)}`);
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || `Verification failed (${res.status})`);
+  return data.certificate;
+}
+
+function initialId() {
+  return new URLSearchParams(window.location.search).get("id") || "";
+}
+
+export default function VerifyPage() {
+  const [input, setInput] = useState(initialId);
+  const [certificate, setCertificate] = useState(null);
+  const [error, setError] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  async function verify(value) {
+    setCertificate(null);
+    setError("");
+    const id = normalizeCertificateId(value);
+    if (!id) return setError("Enter the 12-character ID printed on the certificate, e.g. 7K3Q-M9XD-2HFA.");
+
+    setBusy(true);
+    try {
+      setCertificate(await lookUp(id));
+      setInput(id);
+      window.history.replaceState(null, "", `?id=${encodeURIComponent(id)}`);
+    } catch (e) {
+      setError(String(e?.message || "Verification failed"));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  useEffect(() => {
+    if (initialId()) verify(initialId());
+  }, []);
+
+  const revoked = certificate?.status === "revoked";
+
+  return (
+    <div style={styles.page}>
+      <div style={{ ...styles.panel, maxWidth: 560, margin: "40px auto" }}>
+        <div style={styles.brand}>Certifyly</div>
+        <div style={{ ...styles.subbrand, marginBottom: 16 }}>Certificate verification</div>
+
+        <form
+          style={{ display: "flex", gap: 10, marginBottom: 12 }}
+          onSubmit={(e) => {
+            e.preventDefault();
+            verify(input);
+          }}
+        >
+          <input style={styles.input} value={input} onChange={(e) => setInput(e.target.value)} placeholder="Certificate ID" />
+          <button type="submit" disabled={busy} style={busy ? styles.btnDisabled : styles.btnPrimary}>
+            {busy ? "Checking…" : "Verify"}
+          </button>
+        </form>
+
+        {error && <div style={styles.error}>{error}</div>}
+
+        {certificate && (
+          <div>
+            <div style={revoked ? styles.error : { ...styles.pill, marginBottom: 12 }}>
+              {revoked ? "This certificate has been revoked by its issuer." : "✓ Genuine and valid"}
+            </div>
+            <dl style={{ display: "grid", gridTemplateColumns: "120px 1fr", gap: "8px 12px", margin: 0 }}>
+              <dt style={styles.label}>Issued to</dt>
+              <dd style={{ margin: 0, fontWeight: 700 }}>{certificate.name}</dd>
+              <dt style={styles.label}>Award</dt>
+              <dd style={{ margin: 0 }}>{certificate.award}</dd>
+              <dt style={styles.label}>Issuer</dt>
+              <dd style={{ margin: 0 }}>{certificate.issuer || "—"}</dd>
+              <dt style={styles.label}>Date</dt>
+              <dd style={{ margin: 0 }}>{certificate.date || (certificate.issuedAt ? certificate.issuedAt.slice(0, 10) : "—")}</dd>
+              <dt style={styles.label}>Certificate ID</dt>
+              <dd style={{ margin: 0 }}>
+                <code>{certificate.id}</code>
+              </dd>
+            </dl>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
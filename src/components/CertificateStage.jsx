@@ -1,12 +1,224 @@
 import React, { useEffect } from "react";
-import { Stage, Layer, Image as KImage, Text as KText, Transformer } from "react-konva";
+import { Stage, Layer, Image as KImage, Text as KText, Group, Rect, Ellipse, Line, Path, Transformer } from "react-konva";
 import { coverRect } from "../lib/templates";
+import { fillPlaceholders } from "../lib/placeholders";
+import { boxLeft, anchorX, fieldSpansForRow, isRowField } from "../lib/layout";
+import { fitTextBox } from "../lib/textLayout";
+import { canvasMeasureFor } from "../lib/canvasText";
+import { richMeasure, richLinePieces, spanFontStyle, spansText } from "../lib/richText";
+import { baseDirection } from "../lib/scripts";
+import { qrCodeFor } from "../lib/qr";
+import { containRect, imageKeyForRow } from "../lib/assets";
+import { useAssetImage } from "../lib/assetImages";
+
+// Fields with box limits are fitted like the PDF renderer does: shrunk font size, and a
+// fixed KText height so Konva drops the lines that still don't fit.
+function fittedProps(f, text) {
+  if (!f.maxLines && !f.height && !f.minFontSize) return { fontSize: f.fontSize };
+  const fit = fitTextBox({ ...f, text }, canvasMeasureFor(f));
+  const lineHeightPx = fit.fontSize * (f.lineHeight || 1);
+  const limit = Math.min(f.height || Infinity, f.maxLines ? f.maxLines * lineHeightPx : Infinity);
+  return { fontSize: fit.fontSize, ...(Number.isFinite(limit) ? { height: limit + 0.5 } : {}) };
+}
+
+// Optional outline / drop shadow of a text field (lib/layout.js) as KText props
+function effectProps(f) {
+  return {
+    ...(f.stroke ? { stroke: f.stroke, strokeWidth: f.strokeWidth } : {}),
+    ...(f.shadowColor
+      ? {
+          shadowColor: f.shadowColor,
+          shadowBlur: f.shadowBlur,
+          shadowOffsetX: f.shadowOffsetX,
+          shadowOffsetY: f.shadowOffsetY,
+          shadowOpacity: f.shadowOpacity,
+        }
+      : {}),
+  };
+}
+
+// Rich-text field (lib/richText.js): KText can't mix styles, so the shared layout places one
+// single-line KText per styled piece inside a group at the box's top-left corner. `handlers`
+// are the plain KText's select/drag/transform handlers, which work on the group the same way.
+function RichTextNode({ f, spans, handlers }) {
+  const measures = new Map();
+  const measureSpan = (str, span, size) => {
+    const style = spanFontStyle(f.fontStyle, span);
+    if (!measures.has(style)) measures.set(style, canvasMeasureFor({ ...f, fontStyle: style }));
+    return measures.get(style)(str, size);
+  };
+  const fit = fitTextBox({ ...f, text: spansText(spans) }, richMeasure(spans, measureSpan));
+  const lineHeightPx = fit.fontSize * (f.lineHeight || 1);
+
+  return (
+    <Group id={f.id} x={boxLeft(f)} y={f.y} rotation={f.rotation || 0} draggable {...handlers}>
+      <Rect width={f.width} height={f.height || Math.max(1, fit.lines.length) * lineHeightPx} fill="rgba(0,0,0,0)" />
+      {fit.lines.map((line, i) =>
+        richLinePieces(line, spans, { align: f.align, boxWidth: f.width, size: fit.fontSize, measureSpan, rtl: baseDirection(line.text) === "rtl" }).map(
+          (p, j) => (
+            <KText
+              key={`${i}:${j}`}
+              text={p.text}
+              x={p.x}
+              y={i * lineHeightPx}
+              lineHeight={f.lineHeight || 1}
+              letterSpacing={f.letterSpacing || 0}
+              fontFamily={f.fontFamily}
+              fontSize={fit.fontSize}
+              fontStyle={spanFontStyle(f.fontStyle, p.span)}
+              fill={p.span.fill || f.fill}
+              textDecoration={p.span.underline ? "underline" : ""}
+              {...effectProps(f)}
+              listening={false}
+            />
+          )
+        )
+      )}
+    </Group>
+  );
+}
+
+const MAX_VIEW = { w: 1100, h: 780 };
+const MIN_QR = 24;
+const MIN_IMAGE = 16;
+const MIN_SHAPE = 8;
+
+// QR element: square group at (x, y); an empty or overlong content shows a dashed box
+function QrNode({ f, text, setSelectedId, updateField, transformerRef }) {
+  const code = qrCodeFor(text);
+  return (
+    <Group
+      id={f.id}
+      x={f.x}
+      y={f.y}
+      rotation={f.rotation || 0}
+      draggable
+      onClick={() => setSelectedId(f.id)}
+      onTap={() => setSelectedId(f.id)}
+      onDragEnd={(e) => updateField(f.id, { x: e.target.x(), y: e.target.y() })}
+      onTransformEnd={(e) => {
+        const node = e.target;
+        const size = Math.max(MIN_QR, f.size * node.scaleX());
+        node.scaleX(1);
+        node.scaleY(1);
+        updateField(f.id, { x: node.x(), y: node.y(), size, rotation: node.rotation() });
+        transformerRef.current?.getLayer()?.batchDraw();
+      }}
+    >
+      {code ? (
+        <>
+          <Rect width={f.size} height={f.size} fill={f.background || undefined} />
+          <Path data={code.path} scaleX={f.size / code.modules} scaleY={f.size / code.modules} fill={f.fill} />
+        </>
+      ) : (
+        <>
+          <Rect width={f.size} height={f.size} stroke="#6b7280" dash={[4, 4]} strokeWidth={1} />
+          <KText text={text.trim() ? "Too long" : "QR"} width={f.size} height={f.size} align="center" verticalAlign="middle" fontSize={12} fill="#6b7280" />
+        </>
+      )}
+    </Group>
+  );
+}
+
+// Image element: box group at (x, y), rotating around its top-left corner like the PDF; the
+// image is fitted ("contain") inside. A missing image shows a dashed box.
+function ImageNode({ f, row, setSelectedId, updateField, transformerRef }) {
+  const image = useAssetImage(imageKeyForRow(f, row));
+  const r = image ? containRect(image.width, image.height, f.width, f.height) : null;
+  return (
+    <Group
+      id={f.id}
+      x={f.x}
+      y={f.y}
+      rotation={f.rotation || 0}
+      draggable
+      onClick={() => setSelectedId(f.id)}
+      onTap={() => setSelectedId(f.id)}
+      onDragEnd={(e) => updateField(f.id, { x: e.target.x(), y: e.target.y() })}
+      onTransformEnd={(e) => {
+        const node = e.target;
+        const width = Math.max(MIN_IMAGE, f.width * node.scaleX());
+        const height = Math.max(MIN_IMAGE, f.height * node.scaleY());
+        node.scaleX(1);
+        node.scaleY(1);
+        updateField(f.id, { x: node.x(), y: node.y(), width, height, rotation: node.rotation() });
+        transformerRef.current?.getLayer()?.batchDraw();
+      }}
+    >
+      {/* transparent hit area so the whole box can be grabbed */}
+      <Rect width={f.width} height={f.height} fill="rgba(0,0,0,0)" />
+      {r ? (
+        <KImage image={image} x={r.x} y={r.y} width={r.w} height={r.h} opacity={f.opacity ?? 1} />
+      ) : (
+        <>
+          <Rect width={f.width} height={f.height} stroke="#6b7280" dash={[4, 4]} strokeWidth={1} />
+          <KText
+            text={image === undefined ? "Loading…" : "No image"}
+            width={f.width}
+            height={f.height}
+            align="center"
+            verticalAlign="middle"
+            fontSize={12}
+            fill="#6b7280"
+          />
+        </>
+      )}
+    </Group>
+  );
+}
+
+// Shape element: group at (x, y) rotating around its top-left corner like the PDF. Lines run
+// along the group's x axis; a transparent rect lets unfilled shapes be grabbed anywhere.
+function ShapeNode({ f, setSelectedId, updateField, transformerRef }) {
+  const paint = { fill: f.fill || undefined, stroke: f.stroke || undefined, strokeWidth: f.stroke ? f.strokeWidth : 0 };
+  return (
+    <Group
+      id={f.id}
+      x={f.x}
+      y={f.y}
+      rotation={f.rotation || 0}
+      opacity={f.opacity ?? 1}
+      draggable
+      onClick={() => setSelectedId(f.id)}
+      onTap={() => setSelectedId(f.id)}
+      onDragEnd={(e) => updateField(f.id, { x: e.target.x(), y: e.target.y() })}
+      onTransformEnd={(e) => {
+        const node = e.target;
+        const width = Math.max(MIN_SHAPE, f.width * node.scaleX());
+        const height = f.shape === "line" ? 0 : Math.max(MIN_SHAPE, f.height * node.scaleY());
+        node.scaleX(1);
+        node.scaleY(1);
+        updateField(f.id, { x: node.x(), y: node.y(), width, height, rotation: node.rotation() });
+        transformerRef.current?.getLayer()?.batchDraw();
+      }}
+    >
+      {f.shape === "line" ? (
+        <Line points={[0, 0, f.width, 0]} {...paint} hitStrokeWidth={Math.max(12, f.strokeWidth)} />
+      ) : (
+        <>
+          <Rect width={f.width} height={f.height} fill="rgba(0,0,0,0)" />
+          {f.shape === "ellipse" ? (
+            <Ellipse x={f.width / 2} y={f.height / 2} radiusX={f.width / 2} radiusY={f.height / 2} {...paint} />
+          ) : (
+            <Rect
+              width={f.width}
+              height={f.height}
+              cornerRadius={f.shape === "roundRect" ? Math.min(f.cornerRadius, f.width / 2, f.height / 2) : 0}
+              {...paint}
+            />
+          )}
+        </>
+      )}
+    </Group>
+  );
+}
 
 export default function CertificateStage({
   cw,
   ch,
   bg,
   fields,
+  mergeRow,
   selectedId,
   setSelectedId,
   updateField,
@@ -33,11 +245,33 @@ export default function CertificateStage({
     tr.getLayer()?.batchDraw();
   }, [selectedId, fields, stageRef, transformerRef]);
 
+  const selected = fields.find((f) => f.id === selectedId);
+  const selectedType = selected?.type;
+  const selectedQr = selectedType === "qr";
+  const selectedImage = selectedType === "image";
+  const selectedShape = selectedType === "shape";
+  const selectedLine = selectedShape && selected.shape === "line";
+  const corners = ["top-left", "top-right", "bottom-left", "bottom-right"];
+  const sides = ["middle-left", "middle-right"];
+  const anchors = selectedQr || selectedImage ? corners : selectedLine ? sides : selectedShape ? [...sides, "top-center", "bottom-center", ...corners] : [...sides, ...corners];
+  const minSize = selectedQr
+    ? { w: MIN_QR, h: MIN_QR }
+    : selectedImage
+    ? { w: MIN_IMAGE, h: MIN_IMAGE }
+    : selectedShape
+    ? { w: MIN_SHAPE, h: selectedLine ? 0 : MIN_SHAPE }
+    : { w: 120, h: 20 };
+
+  // Large / portrait pages are shown scaled down; node coordinates stay in page points
+  const view = Math.min(1, MAX_VIEW.w / cw, MAX_VIEW.h / ch);
+
   return (
     <div style={styles.canvasStageOuter} ref={stageContainerRef}>
       <Stage
-        width={cw}
-        height={ch}
+        width={cw * view}
+        height={ch * view}
+        scaleX={view}
+        scaleY={view}
         ref={stageRef}
         style={styles.stage}
         onMouseDown={(e) => {
@@ -56,58 +290,87 @@ export default function CertificateStage({
           )}
 
           {/* text fields */}
-          {fields.map((f) => (
-            <KText
-              key={f.id}
-              id={f.id}
-              text={f.text || ""}
-              x={f.x - (f.align === "center" ? f.width / 2 : f.align === "right" ? f.width : 0)}
-              y={f.y}
-              width={f.width}
-              fontFamily={f.fontFamily}
-              fontSize={f.fontSize}
-              fontStyle={f.fontStyle}
-              fill={f.fill}
-              align={f.align}
-              draggable
-              onClick={() => setSelectedId(f.id)}
-              onTap={() => setSelectedId(f.id)}
-              onDblClick={() => openEditorFor(f.id)}
-              onDblTap={() => openEditorFor(f.id)}
-              onDragEnd={(e) => {
+          {fields.map((f) => {
+            // Row-bound fields already hold the row's value, printed as written
+            const text = isRowField(f) ? f.text || "" : fillPlaceholders(f.text || "", mergeRow);
+            if (f.type === "shape") {
+              return <ShapeNode key={f.id} f={f} setSelectedId={setSelectedId} updateField={updateField} transformerRef={transformerRef} />;
+            }
+            if (f.type === "image") {
+              return <ImageNode key={f.id} f={f} row={mergeRow} setSelectedId={setSelectedId} updateField={updateField} transformerRef={transformerRef} />;
+            }
+            if (f.type === "qr") {
+              return <QrNode key={f.id} f={f} text={text} setSelectedId={setSelectedId} updateField={updateField} transformerRef={transformerRef} />;
+            }
+            const handlers = {
+              onClick: () => setSelectedId(f.id),
+              onTap: () => setSelectedId(f.id),
+              onDblClick: () => openEditorFor(f.id),
+              onDblTap: () => openEditorFor(f.id),
+              onDragEnd: (e) => {
                 const node = e.target;
-                const newX =
-                  f.align === "center" ? node.x() + f.width / 2 : f.align === "right" ? node.x() + f.width : node.x();
-                updateField(f.id, { x: newX, y: node.y() });
-              }}
-              onTransformEnd={(e) => {
+                updateField(f.id, { x: anchorX(f.align, node.x(), f.width), y: node.y() });
+              },
+              onTransformEnd: (e) => {
                 const node = e.target;
                 const tr = transformerRef.current;
                 const scaleX = node.scaleX();
                 const scaleY = node.scaleY();
 
                 const nextWidth = Math.max(120, f.width * scaleX);
-                const nextFontSize = Math.max(10, Math.min(120, f.fontSize * scaleY));
 
                 node.scaleX(1);
                 node.scaleY(1);
 
-                const nx =
-                  f.align === "center" ? node.x() + nextWidth / 2 : f.align === "right" ? node.x() + nextWidth : node.x();
+                // Fixed-height boxes resize the box; free text scales the font
+                const vertical = f.height
+                  ? { height: Math.max(20, f.height * scaleY) }
+                  : { fontSize: Math.max(10, Math.min(120, f.fontSize * scaleY)) };
 
-                updateField(f.id, { x: nx, y: node.y(), width: nextWidth, fontSize: nextFontSize });
+                updateField(f.id, {
+                  x: anchorX(f.align, node.x(), nextWidth),
+                  y: node.y(),
+                  width: nextWidth,
+                  rotation: node.rotation(),
+                  ...vertical,
+                });
                 tr?.getLayer()?.batchDraw();
-              }}
-            />
-          ))}
+              },
+            };
+            if (f.rich) {
+              return <RichTextNode key={f.id} f={f} spans={fieldSpansForRow(f, mergeRow)} handlers={handlers} />;
+            }
+            return (
+              <KText
+                key={f.id}
+                id={f.id}
+                text={text}
+                x={boxLeft(f)}
+                y={f.y}
+                width={f.width}
+                lineHeight={f.lineHeight || 1}
+                letterSpacing={f.letterSpacing || 0}
+                rotation={f.rotation || 0}
+                fontFamily={f.fontFamily}
+                {...fittedProps(f, text)}
+                fontStyle={f.fontStyle}
+                fill={f.fill}
+                {...effectProps(f)}
+                align={f.align}
+                draggable
+                {...handlers}
+              />
+            );
+          })}
 
           <Transformer
             ref={transformerRef}
-            rotateEnabled={false}
-            enabledAnchors={["middle-left", "middle-right", "top-left", "top-right", "bottom-left", "bottom-right"]}
+            rotationSnaps={[0, 90, 180, 270]}
+            keepRatio={selectedQr || selectedImage}
+            enabledAnchors={anchors}
             boundBoxFunc={(oldBox, newBox) => {
-              if (newBox.width < 120) return oldBox;
-              if (newBox.height < 20) return oldBox;
+              if (newBox.width < minSize.w) return oldBox;
+              if (newBox.height < minSize.h) return oldBox;
               return newBox;
             }}
           />
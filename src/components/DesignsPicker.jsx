@@ -0,0 +1,133 @@
+import React, { useEffect, useState } from "react";
+import { styles } from "../styles/appStyles";
+import { listDesigns, loadDesign, createDesign, updateDesign, duplicateDesign, deleteDesign } from "../lib/designStore";
+
+// Named designs stored through /api/designs. `current` is { id, name, etag } of the design
+// the editor was loaded from (null for an unsaved draft); `getDesign(name)` snapshots the
+// editor, `applyDesign(design)` loads one into it.
+export default function DesignsPicker({ current, setCurrent, getDesign, applyDesign }) {
+  const [designs, setDesigns] = useState([]);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+  const [notice, setNotice] = useState("");
+
+  async function refresh() {
+    try {
+      setDesigns(await listDesigns());
+    } catch (e) {
+      setError(String(e?.message || "Failed to load designs"));
+    }
+  }
+
+  useEffect(() => {
+    refresh();
+  }, []);
+
+  async function run(action, doneMessage) {
+    setBusy(true);
+    setError("");
+    setNotice("");
+    try {
+      await action();
+      if (doneMessage) setNotice(doneMessage);
+      await refresh();
+    } catch (e) {
+      setError(String(e?.message || "Request failed"));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  function select(id) {
+    if (!id) {
+      setCurrent(null);
+      return;
+    }
+    run(async () => {
+      const design = await loadDesign(id);
+      applyDesign(design);
+      setCurrent({ id: design.id, name: design.name, etag: design.etag });
+    });
+  }
+
+  function saveAs() {
+    const name = window.prompt("Design name", current?.name ? `${current.name} (copy)` : "");
+    if (!name?.trim()) return;
+    run(async () => {
+      const saved = await createDesign(getDesign(name));
+      setCurrent({ id: saved.id, name: saved.name, etag: saved.etag });
+    }, `Saved “${name.trim()}”.`);
+  }
+
+  function save() {
+    if (!current) return saveAs();
+    run(async () => {
+      const saved = await updateDesign(current.id, getDesign(current.name), current.etag);
+      setCurrent({ id: saved.id, name: saved.name, etag: saved.etag });
+    }, `Saved “${current.name}”.`);
+  }
+
+  function rename() {
+    const name = window.prompt("Rename design", current.name);
+    if (!name?.trim() || name.trim() === current.name) return;
+    run(async () => {
+      const saved = await updateDesign(current.id, getDesign(name), current.etag);
+      setCurrent({ id: saved.id, name: saved.name, etag: saved.etag });
+    });
+  }
+
+  function duplicate() {
+    run(async () => {
+      const copy = await duplicateDesign(current.id);
+      const design = await loadDesign(copy.id);
+      applyDesign(design);
+      setCurrent({ id: design.id, name: design.name, etag: design.etag });
+    }, "Duplicated.");
+  }
+
+  function remove() {
+    if (!window.confirm(`Delete “${current.name}” for everyone? This can't be undone.`)) return;
+    run(async () => {
+      await deleteDesign(current.id);
+      setCurrent(null);
+    }, "Deleted. The editor keeps the layout as an unsaved draft.");
+  }
+
+  const btn = (enabled) => ({ ...(enabled ? styles.btnGhost : styles.btnDisabled), padding: "8px 10px" });
+
+  return (
+    <div style={styles.block}>
+      <label style={styles.label}>Design</label>
+      <select style={styles.select} value={current?.id || ""} disabled={busy} onChange={(e) => select(e.target.value)}>
+        <option value="">— Unsaved draft —</option>
+        {designs.map((d) => (
+          <option key={d.id} value={d.id}>
+            {d.name}
+          </option>
+        ))}
+      </select>
+
+      <div style={{ display: "flex", gap: 8, marginTop: 8, flexWrap: "wrap" }}>
+        <button style={btn(!busy)} disabled={busy} onClick={save}>
+          Save
+        </button>
+        <button style={btn(!busy)} disabled={busy} onClick={saveAs}>
+          Save as…
+        </button>
+        <button style={btn(!busy && current)} disabled={busy || !current} onClick={rename}>
+          Rename
+        </button>
+        <button style={btn(!busy && current)} disabled={busy || !current} onClick={duplicate}>
+          Duplicate
+        </button>
+        <button style={btn(!busy && current)} disabled={busy || !current} onClick={remove}>
+          Delete
+        </button>
+      </div>
+
+      {error && <div style={{ ...styles.error, marginTop: 8 }}>{error}</div>}
+      {notice && !error && <div style={styles.help}>{notice}</div>}
+      {!error && !notice && <div style={styles.help}>Changes are kept as a draft in this browser until you save.</div>}
+    </div>
+  );
+}
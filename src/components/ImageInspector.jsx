@@ -0,0 +1,109 @@
+import React, { useEffect, useState } from "react";
+import { styles } from "../styles/appStyles";
+import { fetchAssets, uploadAsset } from "../lib/templates";
+
+// Inspector for an "image" element (lib/layout.js): the image from the organisation's library,
+// an optional per-row image name, and opacity.
+export default function ImageInspector({ field, updateField, placeholders, onDelete }) {
+  const [assets, setAssets] = useState([]);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+  const [inputKey, setInputKey] = useState(0); // remount to clear the file input
+
+  useEffect(() => {
+    let alive = true;
+    fetchAssets()
+      .then((list) => alive && setAssets(list))
+      .catch(() => {});
+    return () => {
+      alive = false;
+    };
+  }, []);
+
+  // Several files at once: e.g. every signer's signature, named after the person
+  async function upload(files) {
+    if (!files.length) return;
+    setBusy(true);
+    setError("");
+    try {
+      const uploaded = [];
+      for (const file of files) uploaded.push(await uploadAsset(file));
+      const keys = new Set(uploaded.map((a) => a.key));
+      setAssets((prev) => [...prev.filter((a) => !keys.has(a.key)), ...uploaded].sort((a, b) => a.name.localeCompare(b.name)));
+      if (files.length === 1) updateField(field.id, { src: uploaded[0].key });
+    } catch (e) {
+      setError(String(e?.message || "Upload failed"));
+    } finally {
+      setBusy(false);
+      setInputKey((k) => k + 1);
+    }
+  }
+
+  const current = assets.find((a) => a.key === field.src);
+
+  return (
+    <>
+      <div style={styles.block}>
+        <div style={styles.pill}>Selected: {field.label || "Image"}</div>
+      </div>
+
+      <div style={styles.block}>
+        <label style={styles.label}>Image</label>
+        <select style={styles.select} value={field.src} onChange={(e) => updateField(field.id, { src: e.target.value })}>
+          {!current && <option value={field.src}>{field.src ? field.src.split("/").pop() : "— none —"}</option>}
+          {assets.map((a) => (
+            <option key={a.key} value={a.key}>
+              {a.name}
+            </option>
+          ))}
+        </select>
+        <input
+          key={inputKey}
+          type="file"
+          multiple
+          accept="image/png,image/jpeg,.png,.jpg,.jpeg"
+          style={{ ...styles.input, marginTop: 8 }}
+          disabled={busy}
+          onChange={(e) => upload([...(e.target.files || [])])}
+        />
+        {error && <div style={{ ...styles.error, marginTop: 8 }}>{error}</div>}
+        <div style={styles.help}>
+          {busy ? "Uploading…" : "PNG (transparent works best for signatures and seals) or JPG, up to 5 MB. Uploading a file with the same name replaces it."}
+        </div>
+      </div>
+
+      <div style={styles.block}>
+        <label style={styles.label}>Per recipient (optional)</label>
+        <input style={styles.input} value={field.text} placeholder="{{signature}}" onChange={(e) => updateField(field.id, { text: e.target.value })} />
+        <div style={styles.help}>
+          Name of an uploaded image per row, e.g. <code>{"{{signature}}"}</code> with a column of file names like “jane-doe.png”. Rows
+          where it's empty use the image above. Placeholders:{" "}
+          {placeholders.map((k) => (
+            <code key={k} style={{ marginRight: 6 }}>{`{{${k}}}`}</code>
+          ))}
+        </div>
+      </div>
+
+      <div style={styles.block}>
+        <label style={styles.label}>Opacity</label>
+        <input
+          type="range"
+          min={0.1}
+          max={1}
+          step={0.05}
+          value={field.opacity ?? 1}
+          onChange={(e) => updateField(field.id, { opacity: Number(e.target.value) })}
+          style={{ width: "100%" }}
+        />
+        <div style={styles.help}>
+          {Math.round((field.opacity ?? 1) * 100)}% • {Math.round(field.width)}×{Math.round(field.height)} • {Math.round(field.rotation || 0)}° — corner
+          handles resize, the top handle rotates.
+        </div>
+      </div>
+
+      <button style={styles.btnGhost} onClick={onDelete}>
+        Delete image
+      </button>
+    </>
+  );
+}
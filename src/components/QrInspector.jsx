@@ -0,0 +1,66 @@
+import React from "react";
+import { styles } from "../styles/appStyles";
+
+const colorInput = { height: 42, borderRadius: 12, border: "1px solid rgba(0,0,0,0.15)", width: "100%" };
+
+// Inspector for a "qr" element (lib/layout.js): content template, size and colours.
+export default function QrInspector({ field, updateField, placeholders, onDelete }) {
+  const transparent = !field.background;
+
+  return (
+    <>
+      <div style={styles.block}>
+        <div style={styles.pill}>Selected: {field.label || "QR code"}</div>
+      </div>
+
+      <div style={styles.block}>
+        <label style={styles.label}>Content</label>
+        <input style={styles.input} value={field.text} onChange={(e) => updateField(field.id, { text: e.target.value })} />
+        <div style={styles.help}>
+          A link or text per recipient, e.g. <code>{"{{verify_url}}"}</code> or <code>{"https://example.org/verify/{{id}}"}</code>.
+          Placeholders:{" "}
+          {placeholders.map((k) => (
+            <code key={k} style={{ marginRight: 6 }}>{`{{${k}}}`}</code>
+          ))}
+        </div>
+      </div>
+
+      <div style={styles.block}>
+        <label style={styles.label}>Size</label>
+        <input
+          type="range"
+          min={24}
+          max={300}
+          value={Math.round(field.size)}
+          onChange={(e) => updateField(field.id, { size: Number(e.target.value) })}
+          style={{ width: "100%" }}
+        />
+        <div style={styles.help}>{Math.round(field.size)}px square • corner handles also work. Keep it at least ~60px for phones to scan from paper.</div>
+      </div>
+
+      <div style={styles.block}>
+        <label style={styles.label}>Code color</label>
+        <input type="color" value={field.fill} onChange={(e) => updateField(field.id, { fill: e.target.value })} style={colorInput} />
+      </div>
+
+      <div style={styles.block}>
+        <label style={styles.label}>Background</label>
+        <input
+          type="color"
+          value={field.background || "#ffffff"}
+          disabled={transparent}
+          onChange={(e) => updateField(field.id, { background: e.target.value })}
+          style={colorInput}
+        />
+        <label style={{ ...styles.help, display: "flex", alignItems: "center", gap: 6 }}>
+          <input type="checkbox" checked={transparent} onChange={(e) => updateField(field.id, { background: e.target.checked ? "" : "#ffffff" })} />
+          Transparent (the template must be light behind the code)
+        </label>
+      </div>
+
+      <button style={styles.btnGhost} onClick={onDelete}>
+        Delete QR code
+      </button>
+    </>
+  );
+}
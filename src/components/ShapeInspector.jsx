@@ -0,0 +1,108 @@
+import React from "react";
+import { styles } from "../styles/appStyles";
+
+const colorInput = { height: 42, borderRadius: 12, border: "1px solid rgba(0,0,0,0.15)", width: "100%" };
+
+const SHAPE_LABELS = { line: "Line", rect: "Rectangle", roundRect: "Rounded rectangle", ellipse: "Ellipse" };
+
+// Colour input with a "None" checkbox; "" = none
+function OptionalColor({ label, value, fallback, onChange }) {
+  const none = !value;
+  return (
+    <div style={styles.block}>
+      <label style={styles.label}>{label}</label>
+      <input type="color" value={value || fallback} disabled={none} onChange={(e) => onChange(e.target.value)} style={colorInput} />
+      <label style={{ ...styles.help, display: "flex", alignItems: "center", gap: 6 }}>
+        <input type="checkbox" checked={none} onChange={(e) => onChange(e.target.checked ? "" : fallback)} />
+        None
+      </label>
+    </div>
+  );
+}
+
+// Inspector for a "shape" element (lib/layout.js): kind, fill, stroke, corner radius, opacity.
+export default function ShapeInspector({ field, updateField, onDelete }) {
+  const line = field.shape === "line";
+
+  function setShape(shape) {
+    if (shape === field.shape) return;
+    // Lines have no height or fill; give a line turned into a shape a box to fill
+    if (shape === "line") updateField(field.id, { shape, height: 0, fill: "" });
+    else if (line) updateField(field.id, { shape, height: Math.max(40, Math.round(field.width / 2)) });
+    else updateField(field.id, { shape });
+  }
+
+  return (
+    <>
+      <div style={styles.block}>
+        <div style={styles.pill}>Selected: {field.label || SHAPE_LABELS[field.shape]}</div>
+      </div>
+
+      <div style={styles.block}>
+        <label style={styles.label}>Shape</label>
+        <select style={styles.select} value={field.shape} onChange={(e) => setShape(e.target.value)}>
+          {Object.entries(SHAPE_LABELS).map(([value, label]) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </select>
+        <div style={styles.help}>
+          {Math.round(field.width)}
+          {line ? "pt long" : `×${Math.round(field.height)}`} • {Math.round(field.rotation || 0)}° — drag the handles to resize, the top
+          handle rotates.
+        </div>
+      </div>
+
+      {!line && <OptionalColor label="Fill" value={field.fill} fallback="#c9a227" onChange={(fill) => updateField(field.id, { fill })} />}
+
+      <OptionalColor label={line ? "Color" : "Stroke"} value={field.stroke} fallback="#2b2f44" onChange={(stroke) => updateField(field.id, { stroke })} />
+
+      <div style={styles.block}>
+        <label style={styles.label}>{line ? "Thickness" : "Stroke width"}</label>
+        <input
+          type="range"
+          min={0.5}
+          max={20}
+          step={0.5}
+          value={field.strokeWidth}
+          onChange={(e) => updateField(field.id, { strokeWidth: Number(e.target.value) })}
+          style={{ width: "100%" }}
+        />
+        <div style={styles.help}>{field.strokeWidth}pt</div>
+      </div>
+
+      {field.shape === "roundRect" && (
+        <div style={styles.block}>
+          <label style={styles.label}>Corner radius</label>
+          <input
+            type="range"
+            min={0}
+            max={Math.round(Math.min(field.width, field.height) / 2)}
+            value={Math.min(field.cornerRadius, Math.round(Math.min(field.width, field.height) / 2))}
+            onChange={(e) => updateField(field.id, { cornerRadius: Number(e.target.value) })}
+            style={{ width: "100%" }}
+          />
+        </div>
+      )}
+
+      <div style={styles.block}>
+        <label style={styles.label}>Opacity</label>
+        <input
+          type="range"
+          min={0.05}
+          max={1}
+          step={0.05}
+          value={field.opacity ?? 1}
+          onChange={(e) => updateField(field.id, { opacity: Number(e.target.value) })}
+          style={{ width: "100%" }}
+        />
+        <div style={styles.help}>{Math.round((field.opacity ?? 1) * 100)}%</div>
+      </div>
+
+      <button style={styles.btnGhost} onClick={onDelete}>
+        Delete {line ? "line" : "shape"}
+      </button>
+    </>
+  );
+}
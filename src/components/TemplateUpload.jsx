@@ -0,0 +1,71 @@
+import React, { useState } from "react";
+import { styles } from "../styles/appStyles";
+import { uploadTemplate } from "../lib/templates";
+import { CUSTOM_PAPER } from "../lib/constants";
+
+// Upload a branded background (PNG/JPG/PDF) for the organisation. The server checks type,
+// resolution and aspect ratio against the editor's `paper` and `orientation`;
+// `onUploaded(template)` gets the new entry.
+export default function TemplateUpload({ paper, orientation, onUploaded }) {
+  const [file, setFile] = useState(null);
+  const [label, setLabel] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+  const [notice, setNotice] = useState("");
+  const [inputKey, setInputKey] = useState(0); // remount to clear the file input
+
+  const custom = paper === CUSTOM_PAPER;
+
+  async function upload() {
+    if (!file || custom) return;
+    setBusy(true);
+    setError("");
+    setNotice("");
+    try {
+      const template = await uploadTemplate({ file, label: label.trim(), paper, orientation });
+      onUploaded(template);
+      setNotice(`Uploaded “${template.label}”.`);
+      setFile(null);
+      setLabel("");
+      setInputKey((k) => k + 1);
+    } catch (e) {
+      setError(String(e?.message || "Upload failed"));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <div style={styles.block}>
+      <label style={styles.label}>Upload your own background</label>
+      <input
+        key={inputKey}
+        type="file"
+        accept="image/png,image/jpeg,application/pdf,.png,.jpg,.jpeg,.pdf"
+        style={styles.input}
+        disabled={busy}
+        onChange={(e) => {
+          const f = e.target.files?.[0] || null;
+          setFile(f);
+          if (f && !label) setLabel(f.name.replace(/\.[^.]+$/, ""));
+        }}
+      />
+
+      {file && <input style={{ ...styles.input, marginTop: 8 }} value={label} onChange={(e) => setLabel(e.target.value)} placeholder="Label" />}
+
+      <button
+        style={{ ...(file && !busy && !custom ? styles.btnGhost : styles.btnDisabled), marginTop: 8 }}
+        disabled={!file || busy || custom}
+        onClick={upload}
+      >
+        {busy ? "Uploading…" : custom ? "Pick a named paper size to upload" : `Upload for ${paper} ${orientation}`}
+      </button>
+
+      {error && <div style={{ ...styles.error, marginTop: 8 }}>{error}</div>}
+      {notice && !error && <div style={styles.help}>{notice}</div>}
+      {!error && !notice && (
+        <div style={styles.help}>PNG or JPG (at least 1400 px on the long side) or PDF, matching the paper's proportions. Max 20 MB.</div>
+      )}
+    </div>
+  );
+}
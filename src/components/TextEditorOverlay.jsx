@@ -1,16 +1,250 @@
 import React, { useEffect, useRef } from "react";
+import { parseRichText, richTextMarkup, hasRichFormatting, spansText } from "../lib/richText";
 
-export default function TextEditorOverlay({ open, value, onChange, onClose, nodeAbsRect }) {
+const boxStyle = {
+  padding: "8px 10px",
+  borderRadius: 10,
+  border: "2px solid rgba(91,124,255,0.9)",
+  outline: "none",
+  fontSize: 16,
+  lineHeight: 1.2,
+  background: "rgba(255,255,255,0.95)",
+  boxShadow: "0 12px 25px rgba(0,0,0,0.15)",
+};
+
+const chipStyle =
+  "display:inline-block;padding:0 6px;margin:0 1px;border-radius:8px;background:rgba(91,124,255,0.15);" +
+  "border:1px solid rgba(91,124,255,0.45);font-size:0.85em;line-height:1.4;white-space:nowrap;cursor:default";
+
+const toolButton = {
+  minWidth: 30,
+  height: 28,
+  borderRadius: 8,
+  border: "1px solid rgba(0,0,0,0.15)",
+  background: "#fff",
+  cursor: "pointer",
+};
+
+const PLACEHOLDER_SPLIT_RE = /(\{\{\s*[^{}]+?\s*\}\})/;
+
+function escapeHtml(s) {
+  return s.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+function chipHtml(key) {
+  return `<span data-placeholder="${escapeHtml(key)}" contenteditable="false" style="${chipStyle}">${escapeHtml(key)}</span>`;
+}
+
+// Spans => editor HTML: <b>/<i>/<u>/<font color>, placeholders as chips, newlines as <br>
+function spansToHtml(spans) {
+  return spans
+    .map((s) => {
+      let html = s.text
+        .split(PLACEHOLDER_SPLIT_RE)
+        .map((part, i) => (i % 2 ? chipHtml(part.slice(2, -2).trim()) : escapeHtml(part).replace(/\n/g, "<br>")))
+        .join("");
+      if (s.underline) html = `<u>${html}</u>`;
+      if (s.italic) html = `<i>${html}</i>`;
+      if (s.bold) html = `<b>${html}</b>`;
+      if (s.fill) html = `<font color="${s.fill}">${html}</font>`;
+      return html;
+    })
+    .join("");
+}
+
+function cssColorToHex(color) {
+  const m = String(color || "").match(/^rgba?\((\d+),\s*(\d+),\s*(\d+)/);
+  if (!m) return /^#[0-9a-f]{3,6}$/i.test(color || "") ? color.toLowerCase() : "";
+  return "#" + m.slice(1, 4).map((n) => Number(n).toString(16).padStart(2, "0")).join("");
+}
+
+// Editor DOM => spans. Understands what contentEditable and execCommand produce: b/strong,
+// i/em, u, font[color], inline styles, <br> and block elements (Chrome's <div> per line).
+function domToSpans(root) {
+  const spans = [];
+  const push = (text, style) => spans.push({ text, ...style });
+
+  function walk(node, style) {
+    if (node.nodeType === Node.TEXT_NODE) {
+      push(node.nodeValue.replace(/\u00a0/g, " "), style);
+      return;
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE) return;
+    if (node.dataset.placeholder) {
+      push(`{{${node.dataset.placeholder}}}`, style);
+      return;
+    }
+    const tag = node.tagName;
+    if (tag === "BR") {
+      push("\n", style);
+      return;
+    }
+    const next = { ...style };
+    const css = node.style;
+    if (tag === "B" || tag === "STRONG" || css.fontWeight === "bold" || Number(css.fontWeight) >= 600) next.bold = true;
+    if (tag === "I" || tag === "EM" || css.fontStyle === "italic") next.italic = true;
+    if (tag === "U" || /underline/.test(css.textDecoration || css.textDecorationLine || "")) next.underline = true;
+    const color = cssColorToHex(node.getAttribute("color") || css.color);
+    if (color) next.fill = color;
+
+    const block = tag === "DIV" || tag === "P";
+    if (block && spans.length && !spans[spans.length - 1].text.endsWith("\n")) push("\n", style);
+    node.childNodes.forEach((child) => walk(child, next));
+  }
+
+  root.childNodes.forEach((child) => walk(child, {}));
+  // A lone trailing <br> is how contentEditable keeps an empty last line open
+  const last = spans[spans.length - 1];
+  if (last?.text === "\n") spans.pop();
+  return parseRichText(richTextMarkup(spans.filter((s) => s.text)));
+}
+
+// Rich editor: formatting toolbar + contentEditable with {{placeholder}} chips.
+// `onChange(text, rich)` gets markup (rich = true) or, without any formatting, plain text.
+function RichEditor({ value, rich, placeholders, onChange, onClose, nodeAbsRect }) {
+  const ref = useRef(null);
+  const wrapRef = useRef(null);
+  const selection = useRef(null);
+
+  useEffect(() => {
+    const el = ref.current;
+    if (!el) return;
+    el.innerHTML = spansToHtml(rich ? parseRichText(value) : [{ text: value }]);
+    const t = setTimeout(() => {
+      el.focus();
+      const range = document.createRange();
+      range.selectNodeContents(el);
+      range.collapse(false);
+      window.getSelection()?.removeAllRanges();
+      window.getSelection()?.addRange(range);
+    }, 10);
+    return () => clearTimeout(t);
+    // Initialised once per opening; the DOM is the source of truth while editing
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  function emit() {
+    const spans = domToSpans(ref.current);
+    if (hasRichFormatting(spans)) onChange(richTextMarkup(spans), true);
+    else onChange(spansText(spans), false);
+  }
+
+  function saveSelection() {
+    const sel = window.getSelection();
+    if (sel?.rangeCount && ref.current?.contains(sel.anchorNode)) selection.current = sel.getRangeAt(0).cloneRange();
+  }
+
+  function restoreSelection() {
+    ref.current?.focus();
+    if (!selection.current) return;
+    const sel = window.getSelection();
+    sel.removeAllRanges();
+    sel.addRange(selection.current);
+  }
+
+  function command(name, arg) {
+    restoreSelection();
+    document.execCommand("styleWithCSS", false, false);
+    document.execCommand(name, false, arg);
+    saveSelection();
+    emit();
+  }
+
+  function insertPlaceholder(key) {
+    restoreSelection();
+    document.execCommand("insertHTML", false, chipHtml(key));
+    saveSelection();
+    emit();
+  }
+
+  const { left, top, width, height } = nodeAbsRect;
+  // Toolbar buttons keep the focus (and selection) in the editor
+  const keepFocus = (e) => e.preventDefault();
+
+  return (
+    <div
+      ref={wrapRef}
+      style={{ position: "absolute", left, top: Math.max(0, top - 40), width: Math.max(260, width), zIndex: 50 }}
+      onBlur={(e) => {
+        if (!wrapRef.current?.contains(e.relatedTarget)) onClose();
+      }}
+    >
+      <div style={{ display: "flex", gap: 4, marginBottom: 4, flexWrap: "wrap", alignItems: "center" }}>
+        <button style={{ ...toolButton, fontWeight: 800 }} onMouseDown={keepFocus} onClick={() => command("bold")} title="Bold (Ctrl/⌘+B)">
+          B
+        </button>
+        <button style={{ ...toolButton, fontStyle: "italic" }} onMouseDown={keepFocus} onClick={() => command("italic")} title="Italic (Ctrl/⌘+I)">
+          I
+        </button>
+        <button style={{ ...toolButton, textDecoration: "underline" }} onMouseDown={keepFocus} onClick={() => command("underline")} title="Underline (Ctrl/⌘+U)">
+          U
+        </button>
+        <input type="color" title="Text color" style={{ ...toolButton, padding: 2, width: 34 }} onChange={(e) => command("foreColor", e.target.value)} />
+        <button style={toolButton} onMouseDown={keepFocus} onClick={() => command("removeFormat")} title="Clear formatting">
+          ⌫
+        </button>
+        <select
+          style={{ ...toolButton, minWidth: 0 }}
+          value=""
+          onChange={(e) => e.target.value && insertPlaceholder(e.target.value)}
+          title="Insert a placeholder"
+        >
+          <option value="">+ {"{{…}}"}</option>
+          {placeholders.map((k) => (
+            <option key={k} value={k}>
+              {k}
+            </option>
+          ))}
+        </select>
+      </div>
+      <div
+        ref={ref}
+        contentEditable
+        suppressContentEditableWarning
+        onInput={emit}
+        onKeyUp={saveSelection}
+        onMouseUp={saveSelection}
+        onBlur={saveSelection}
+        onPaste={(e) => {
+          e.preventDefault();
+          document.execCommand("insertText", false, e.clipboardData.getData("text/plain"));
+        }}
+        onKeyDown={(e) => {
+          // Enter commits like the plain editor; Shift+Enter adds a line
+          if (e.key === "Enter" && e.shiftKey) {
+            e.preventDefault();
+            document.execCommand("insertLineBreak");
+            emit();
+          } else if (e.key === "Enter" || e.key === "Escape") {
+            e.preventDefault();
+            onClose();
+          }
+        }}
+        style={{ ...boxStyle, minHeight: Math.max(34, height), whiteSpace: "pre-wrap", overflowWrap: "anywhere" }}
+      />
+    </div>
+  );
+}
+
+// Inline editor over the selected field. `rich` = undefined for row-bound fields (plain
+// textarea), otherwise whether the field's text is rich markup (lib/richText.js).
+export default function TextEditorOverlay({ open, value, rich, placeholders = [], onChange, onClose, nodeAbsRect }) {
   const ref = useRef(null);
 
   useEffect(() => {
-    if (!open) return;
+    if (!open || rich !== undefined) return;
     const t = setTimeout(() => ref.current?.focus(), 10);
     return () => clearTimeout(t);
-  }, [open]);
+  }, [open, rich]);
 
   if (!open || !nodeAbsRect) return null;
 
+  if (rich !== undefined) {
+    return (
+      <RichEditor value={value} rich={rich} placeholders={placeholders} onChange={onChange} onClose={onClose} nodeAbsRect={nodeAbsRect} />
+    );
+  }
+
   const { left, top, width, height } = nodeAbsRect;
 
   return (
@@ -30,20 +264,13 @@ export default function TextEditorOverlay({ open, value, onChange, onClose, node
         }
       }}
       style={{
+        ...boxStyle,
         position: "absolute",
         left,
         top,
         width: Math.max(120, width),
         height: Math.max(34, height),
-        padding: "8px 10px",
-        borderRadius: 10,
-        border: "2px solid rgba(91,124,255,0.9)",
-        outline: "none",
-        fontSize: 16,
-        lineHeight: 1.2,
         resize: "none",
-        background: "rgba(255,255,255,0.95)",
-        boxShadow: "0 12px 25px rgba(0,0,0,0.15)",
         zIndex: 50,
       }}
     />
@@ -0,0 +1,88 @@
+import React from "react";
+import { styles } from "../styles/appStyles";
+import { TEXT_EFFECT_DEFAULTS } from "../lib/layout";
+
+const colorInput = { height: 42, borderRadius: 12, border: "1px solid rgba(0,0,0,0.15)", width: "100%" };
+
+function Slider({ label, value, min, max, step = 1, unit = "", onChange }) {
+  return (
+    <div style={styles.block}>
+      <label style={styles.label}>
+        {label}: {Math.round(value * 100) / 100}
+        {unit}
+      </label>
+      <input type="range" min={min} max={max} step={step} value={value} onChange={(e) => onChange(Number(e.target.value))} style={{ width: "100%" }} />
+    </div>
+  );
+}
+
+// Text field rotation, spacing, outline and drop shadow (see lib/layout.js). Every export path
+// draws them; PDF has no blur, so PDFs get the shadow sharp at its offset.
+export default function TextEffectsInspector({ field, updateField }) {
+  const set = (patch) => updateField(field.id, patch);
+  const d = TEXT_EFFECT_DEFAULTS;
+
+  return (
+    <>
+      <Slider label="Rotation" value={field.rotation || 0} min={-180} max={180} unit="°" onChange={(rotation) => set({ rotation })} />
+      <div style={styles.row2}>
+        <Slider label="Line height" value={field.lineHeight || 1} min={0.6} max={3} step={0.05} unit="×" onChange={(lineHeight) => set({ lineHeight })} />
+        <Slider label="Letter spacing" value={field.letterSpacing || 0} min={-5} max={40} step={0.5} unit="px" onChange={(letterSpacing) => set({ letterSpacing })} />
+      </div>
+
+      <div style={styles.block}>
+        <label style={{ ...styles.label, display: "flex", alignItems: "center", gap: 6 }}>
+          <input
+            type="checkbox"
+            checked={!!field.stroke}
+            onChange={(e) => set(e.target.checked ? { stroke: "#ffffff", strokeWidth: field.strokeWidth || d.strokeWidth } : { stroke: "" })}
+          />
+          Outline
+        </label>
+        {field.stroke && (
+          <div style={styles.row2}>
+            <input type="color" value={field.stroke} onChange={(e) => set({ stroke: e.target.value })} style={colorInput} />
+            <Slider label="Width" value={field.strokeWidth} min={0.25} max={10} step={0.25} unit="px" onChange={(strokeWidth) => set({ strokeWidth })} />
+          </div>
+        )}
+      </div>
+
+      <div style={styles.block}>
+        <label style={{ ...styles.label, display: "flex", alignItems: "center", gap: 6 }}>
+          <input
+            type="checkbox"
+            checked={!!field.shadowColor}
+            onChange={(e) =>
+              set(
+                e.target.checked
+                  ? {
+                      shadowColor: "#000000",
+                      shadowBlur: field.shadowBlur ?? d.shadowBlur,
+                      shadowOffsetX: field.shadowOffsetX ?? d.shadowOffsetX,
+                      shadowOffsetY: field.shadowOffsetY ?? d.shadowOffsetY,
+                      shadowOpacity: field.shadowOpacity ?? d.shadowOpacity,
+                    }
+                  : { shadowColor: "" }
+              )
+            }
+          />
+          Shadow
+        </label>
+        {field.shadowColor && (
+          <>
+            <div style={styles.row2}>
+              <input type="color" value={field.shadowColor} onChange={(e) => set({ shadowColor: e.target.value })} style={colorInput} />
+              <Slider label="Opacity" value={field.shadowOpacity} min={0.05} max={1} step={0.05} onChange={(shadowOpacity) => set({ shadowOpacity })} />
+            </div>
+            <div style={styles.row2}>
+              <Slider label="Offset X" value={field.shadowOffsetX} min={-20} max={20} step={0.5} unit="px" onChange={(shadowOffsetX) => set({ shadowOffsetX })} />
+              <Slider label="Offset Y" value={field.shadowOffsetY} min={-20} max={20} step={0.5} unit="px" onChange={(shadowOffsetY) => set({ shadowOffsetY })} />
+            </div>
+            <Slider label="Blur" value={field.shadowBlur} min={0} max={30} step={0.5} unit="px" onChange={(shadowBlur) => set({ shadowBlur })} />
+            <div style={styles.help}>PDFs with real text (vector export, generated batches) draw the shadow without blur.</div>
+          </>
+        )}
+      </div>
+    </>
+  );
+}
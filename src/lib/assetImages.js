@@ -0,0 +1,49 @@
+// Browser-side loading of image element assets (lib/assets.js) for the Konva stage. Images are
+// kept for the session so switching rows during a stage export doesn't reload them; exports
+// preload every row's image first so each snapshot finds its image already decoded.
+import { useEffect, useState } from "react";
+import { assetUrl } from "./assets";
+
+const loaded = new Map(); // key => HTMLImageElement | null (failed)
+const pending = new Map(); // key => Promise
+
+export function loadAssetImage(key) {
+  if (loaded.has(key)) return Promise.resolve(loaded.get(key));
+  if (!pending.has(key)) {
+    pending.set(
+      key,
+      new Promise((resolve) => {
+        const img = new Image();
+        const done = (value) => {
+          loaded.set(key, value);
+          pending.delete(key);
+          resolve(value);
+        };
+        img.onload = () => done(img);
+        img.onerror = () => done(null);
+        img.src = assetUrl(key);
+      })
+    );
+  }
+  return pending.get(key);
+}
+
+export function preloadAssetImages(keys) {
+  return Promise.all([...new Set(keys.filter(Boolean))].map(loadAssetImage));
+}
+
+// => HTMLImageElement, undefined while loading, null when there is no image (or it failed)
+export function useAssetImage(key) {
+  const [, setVersion] = useState(0);
+
+  useEffect(() => {
+    if (!key || loaded.has(key)) return;
+    let alive = true;
+    loadAssetImage(key).then(() => alive && setVersion((v) => v + 1));
+    return () => {
+      alive = false;
+    };
+  }, [key]);
+
+  return key ? loaded.get(key) : null;
+}
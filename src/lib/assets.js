@@ -0,0 +1,59 @@
+// Image assets (logos, signatures, seals) for "image" layout elements. Each organisation has a
+// library in CERT_TEMPLATES under orgs/<org>/assets/<slug>, where the slug comes from the file
+// name: "Jane Doe.png" => "jane-doe". Uploading the same name again replaces the image.
+//
+// An element draws its `src` asset, or per row the asset named by its `text` ("{{signature}}"
+// with a signature column of file names), looked up in the same organisation as `src`.
+import { fillPlaceholders } from "./placeholders.js";
+
+const ASSET_KEY_RE = /^orgs\/([a-z0-9-]{1,64})\/assets\/([a-z0-9][a-z0-9._-]{0,79})$/;
+
+// "Jane Doe.PNG" => "jane-doe"; "" when nothing usable is left
+export function assetSlug(name) {
+  return String(name ?? "")
+    .trim()
+    .toLowerCase()
+    .replace(/\.(png|jpe?g)$/, "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z0-9._-]+/g, "-")
+    .replace(/^[-._]+|[-._]+$/g, "")
+    .slice(0, 80);
+}
+
+export function assetKeyFor(org, name) {
+  const slug = assetSlug(name);
+  return slug ? `orgs/${org}/assets/${slug}` : "";
+}
+
+export function isAssetKey(key) {
+  return ASSET_KEY_RE.test(String(key || ""));
+}
+
+export function assetUrl(key) {
+  return `/api/template?key=${encodeURIComponent(key)}`;
+}
+
+// Asset key drawn for `row`: the per-row name when the element has one and it fills in,
+// otherwise the element's own image
+export function imageKeyForRow(field, row) {
+  const name = fillPlaceholders(field.text || "", row).trim();
+  const org = ASSET_KEY_RE.exec(field.src || "")?.[1];
+  if (!name || !org) return field.src || "";
+  return assetKeyFor(org, name);
+}
+
+// "png" | "jpeg" | "" from the leading bytes
+export function imageTypeOf(bytes) {
+  if (bytes.length >= 8 && bytes[0] === 0x89 && bytes[1] === 0x50 && bytes[2] === 0x4e && bytes[3] === 0x47) return "png";
+  if (bytes.length >= 3 && bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff) return "jpeg";
+  return "";
+}
+
+// Largest rect with the image's aspect ratio centred in a box ("contain"), box-relative
+export function containRect(imgW, imgH, boxW, boxH) {
+  const scale = Math.min(boxW / imgW, boxH / imgH);
+  const w = imgW * scale;
+  const h = imgH * scale;
+  return { x: (boxW - w) / 2, y: (boxH - h) / 2, w, h };
+}
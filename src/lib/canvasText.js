@@ -0,0 +1,21 @@
+// Canvas text measurement with the same font string Konva.Text uses, so the stage can run
+// the shared box fit (textLayout.fitTextBox) before handing size/height to KText.
+let ctx = null;
+
+function context() {
+  if (!ctx) ctx = document.createElement("canvas").getContext("2d");
+  return ctx;
+}
+
+// => (str, size) => width in canvas px, letter spacing included like Konva.Text
+export function canvasMeasureFor(field) {
+  const family = String(field.fontFamily || "Inter")
+    .split(",")
+    .map((f) => `"${f.trim().replace(/^["']|["']$/g, "")}"`)
+    .join(", ");
+  return (str, size) => {
+    const c = context();
+    c.font = `${field.fontStyle || "normal"} normal ${size}px ${family}`;
+    return c.measureText(str).width + (field.letterSpacing || 0) * str.length;
+  };
+}
@@ -0,0 +1,35 @@
+// Certificate IDs printed on generated certificates and checked at /verify?id=…
+// Shared by /api/generate, /api/verify/:id and the verification page.
+//
+// "7K3Q-M9XD-2HFA": 12 Crockford base32 characters (60 random bits), no I/L/O/U so IDs
+// survive being read aloud or typed from paper.
+
+const ALPHABET = "0123456789ABCDEFGHJKMNPQRSTVWXYZ";
+const ID_RE = /^[0-9A-HJKMNP-TV-Z]{4}-[0-9A-HJKMNP-TV-Z]{4}-[0-9A-HJKMNP-TV-Z]{4}$/;
+
+// Shown in previews and on the editor canvas; never issued
+export const SAMPLE_CERTIFICATE_ID = "PREVIEW-0000";
+
+export function newCertificateId() {
+  const bytes = crypto.getRandomValues(new Uint8Array(12));
+  const chars = Array.from(bytes, (b) => ALPHABET[b & 31]).join("");
+  return `${chars.slice(0, 4)}-${chars.slice(4, 8)}-${chars.slice(8)}`;
+}
+
+// Typed input => canonical ID, or "" when it can't be one (lower case, spaces and the
+// look-alike letters O/I/L are accepted)
+export function normalizeCertificateId(input) {
+  const raw = String(input ?? "")
+    .toUpperCase()
+    .replace(/[\s-]+/g, "")
+    .replace(/O/g, "0")
+    .replace(/[IL]/g, "1");
+  if (raw.length !== 12) return "";
+  const id = `${raw.slice(0, 4)}-${raw.slice(4, 8)}-${raw.slice(8)}`;
+  return ID_RE.test(id) ? id : "";
+}
+
+// Public verification link for `id` on the site at `origin` ("https://example.com")
+export function verifyUrlFor(origin, id) {
+  return `${String(origin || "").replace(/\/+$/, "")}/verify?id=${encodeURIComponent(id)}`;
+}
@@ -0,0 +1,81 @@
+// Column mapping for uploaded recipient files: which header feeds which certificate field.
+// Mappings are remembered per header signature so re-uploading next term's export just works.
+
+export const CERT_FIELDS = [
+  { id: "name", label: "Name", required: true },
+  { id: "award", label: "Title / Award", required: true },
+  { id: "date", label: "Date" },
+  { id: "issuer", label: "Issuer" },
+];
+
+const STORAGE_KEY = "certifyly.columnMappings";
+
+// Normalised header => field guesses. Checked as exact match first, then "contains".
+const SYNONYMS = {
+  name: ["name", "full name", "fullname", "recipient", "recipient name", "student", "student name", "participant", "attendee", "learner", "employee"],
+  award: ["title", "award", "course", "course name", "course title", "program", "programme", "achievement", "certificate", "training"],
+  date: ["date", "completion date", "completed", "completed on", "issue date", "issued", "issued on", "awarded on"],
+  issuer: ["issuer", "issued by", "organization", "organisation", "company", "institution", "school", "signed by"],
+};
+
+function normalizeHeader(h) {
+  return String(h ?? "")
+    .toLowerCase()
+    .replace(/[_\-.]+/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+export function headerSignature(headers) {
+  return headers.map(normalizeHeader).join("|");
+}
+
+// Best-effort mapping from header names; each field is used at most once.
+export function guessMapping(headers) {
+  const norm = headers.map(normalizeHeader);
+  const mapping = norm.map(() => "");
+
+  for (const pass of ["exact", "contains"]) {
+    for (const field of CERT_FIELDS) {
+      if (mapping.includes(field.id)) continue;
+      const idx = norm.findIndex(
+        (h, i) =>
+          !mapping[i] &&
+          h &&
+          SYNONYMS[field.id].some((syn) => (pass === "exact" ? h === syn : h.includes(syn)))
+      );
+      if (idx >= 0) mapping[idx] = field.id;
+    }
+  }
+  return mapping;
+}
+
+function readAll() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY) || "{}") || {};
+  } catch {
+    return {};
+  }
+}
+
+export function loadSavedMapping(headers) {
+  const saved = readAll()[headerSignature(headers)];
+  if (!Array.isArray(saved) || saved.length !== headers.length) return null;
+  const valid = new Set(CERT_FIELDS.map((f) => f.id));
+  return saved.map((id) => (valid.has(id) ? id : ""));
+}
+
+export function saveMapping(headers, mapping) {
+  try {
+    const all = readAll();
+    all[headerSignature(headers)] = mapping;
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(all));
+  } catch {
+    // ignore (private mode / quota)
+  }
+}
+
+// Assign `fieldId` to header `index`, clearing any other header that had it.
+export function assignField(mapping, index, fieldId) {
+  return mapping.map((id, i) => (i === index ? fieldId : fieldId && id === fieldId ? "" : id));
+}
@@ -1,8 +1,52 @@
+// Named paper sizes in PDF points, stored landscape (w >= h); pageSizeFor() applies orientation
 export const SIZES = {
-  A4: { w: 842, h: 595 },     // landscape
-  LETTER: { w: 792, h: 612 }, // landscape
+  A3: { w: 1191, h: 842 },
+  A4: { w: 842, h: 595 },
+  A5: { w: 595, h: 420 },
+  LETTER: { w: 792, h: 612 },
+  LEGAL: { w: 1008, h: 612 },
 };
 
+export const PAPER_OPTIONS = [
+  { id: "A4", label: "A4 (297 × 210 mm)" },
+  { id: "A3", label: "A3 (420 × 297 mm)" },
+  { id: "A5", label: "A5 (210 × 148 mm)" },
+  { id: "LETTER", label: "US Letter (11 × 8.5 in)" },
+  { id: "LEGAL", label: "US Legal (14 × 8.5 in)" },
+  { id: "CUSTOM", label: "Custom size…" },
+];
+
+// Custom sizes: { width, height, unit } in mm or inches
+export const CUSTOM_PAPER = "CUSTOM";
+export const UNIT_POINTS = { mm: 72 / 25.4, in: 72 };
+export const MIN_PAGE_PT = 72; // 1 in
+export const MAX_PAGE_PT = 14400; // 200 in, the PDF page size limit
+
+export function isPaperSize(paper) {
+  return paper === CUSTOM_PAPER || !!SIZES[paper];
+}
+
+// => { w, h } in points. Custom sizes are clamped to what a PDF page can hold; orientation
+// decides which side is the long one for every paper.
+export function pageSizeFor(paper, orientation = "landscape", custom = null) {
+  let w;
+  let h;
+  if (paper === CUSTOM_PAPER) {
+    const k = UNIT_POINTS[custom?.unit] || UNIT_POINTS.mm;
+    w = Math.round(clamp(Number(custom?.width) * k || MIN_PAGE_PT, MIN_PAGE_PT, MAX_PAGE_PT));
+    h = Math.round(clamp(Number(custom?.height) * k || MIN_PAGE_PT, MIN_PAGE_PT, MAX_PAGE_PT));
+  } else {
+    ({ w, h } = SIZES[paper] || SIZES.A4);
+  }
+  const long = Math.max(w, h);
+  const short = Math.min(w, h);
+  return orientation === "portrait" ? { w: short, h: long } : { w: long, h: short };
+}
+
+export function orientationOfPage({ width, height }) {
+  return width < height ? "portrait" : "landscape";
+}
+
 export const MAX_PREVIEW = 5;
 
 export const FONT_OPTIONS = [
@@ -0,0 +1,141 @@
+// RFC 4180 CSV reader shared by the browser (parsers.js) and Pages Functions (preview/generate).
+// Handles quoted fields, "" escapes, embedded newlines, a UTF-8 BOM and , ; or TAB delimiters.
+
+export const DELIMITERS = [",", ";", "\t"];
+
+// Decode uploaded bytes: honours UTF-8 / UTF-16 BOMs, otherwise tries strict UTF-8 and
+// falls back to Windows-1252 (what older Excel "CSV" exports use).
+export function decodeText(buffer) {
+  const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+
+  if (bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf) return new TextDecoder("utf-8").decode(bytes.subarray(3));
+  if (bytes[0] === 0xff && bytes[1] === 0xfe) return new TextDecoder("utf-16le").decode(bytes.subarray(2));
+  if (bytes[0] === 0xfe && bytes[1] === 0xff) return new TextDecoder("utf-16be").decode(bytes.subarray(2));
+
+  try {
+    return new TextDecoder("utf-8", { fatal: true }).decode(bytes);
+  } catch {
+    try {
+      return new TextDecoder("windows-1252").decode(bytes);
+    } catch {
+      // runtimes without legacy encodings
+      return new TextDecoder("utf-8").decode(bytes);
+    }
+  }
+}
+
+export function stripBom(text) {
+  return text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+}
+
+// Pick the delimiter that occurs most often (outside quotes) on the first non-empty line.
+export function detectDelimiter(text) {
+  const counts = new Map(DELIMITERS.map((d) => [d, 0]));
+  let inQuotes = false;
+  let seenContent = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (c === '"') inQuotes = !inQuotes;
+    else if (!inQuotes && (c === "\n" || c === "\r")) {
+      if (seenContent) break;
+    } else if (!inQuotes && counts.has(c)) counts.set(c, counts.get(c) + 1);
+    if (c !== "\n" && c !== "\r") seenContent = true;
+  }
+
+  let best = ",";
+  for (const d of DELIMITERS) if (counts.get(d) > counts.get(best)) best = d;
+  return best;
+}
+
+// Returns { records: [{ cells, line }], errors: [{ line, message }], delimiter }.
+// `line` is the 1-based physical line where the record starts. Blank lines are skipped.
+export function parseCsvRecords(input, { delimiter } = {}) {
+  const text = stripBom(input || "");
+  const delim = delimiter || detectDelimiter(text);
+
+  const records = [];
+  const errors = [];
+
+  let cells = [];
+  let field = "";
+  let inQuotes = false;
+  let quotedField = false; // current field started with a quote
+  let quotedRecord = false; // any field in the record was quoted (so `""` is not a blank line)
+  let afterQuote = false; // closing quote seen, expecting delimiter or newline
+  let strayReported = false;
+  let line = 1;
+  let recordLine = 1;
+
+  function endField() {
+    cells.push(field);
+    field = "";
+    quotedField = false;
+    afterQuote = false;
+  }
+
+  function endRecord() {
+    endField();
+    const blank = cells.length === 1 && cells[0] === "" && !quotedRecord;
+    if (!blank) records.push({ cells, line: recordLine });
+    cells = [];
+    quotedRecord = false;
+    strayReported = false;
+  }
+
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+
+    if (inQuotes) {
+      if (c === '"') {
+        if (text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+          afterQuote = true;
+        }
+      } else if (c === "\r") {
+        // embedded newline: normalise CRLF / CR to LF
+        if (text[i + 1] === "\n") i++;
+        field += "\n";
+        line++;
+      } else {
+        if (c === "\n") line++;
+        field += c;
+      }
+      continue;
+    }
+
+    if (c === delim) {
+      endField();
+      continue;
+    }
+
+    if (c === "\n" || c === "\r") {
+      if (c === "\r" && text[i + 1] === "\n") i++;
+      endRecord();
+      line++;
+      recordLine = line;
+      continue;
+    }
+
+    if (c === '"' && field === "" && !quotedField) {
+      inQuotes = true;
+      quotedField = true;
+      quotedRecord = true;
+      continue;
+    }
+
+    if (afterQuote && !strayReported) {
+      errors.push({ line, message: "Unexpected text after a closing quote." });
+      strayReported = true;
+    }
+    field += c;
+  }
+
+  if (inQuotes) errors.push({ line: recordLine, message: "Unterminated quoted field." });
+  if (field !== "" || cells.length > 0 || quotedField) endRecord();
+
+  return { records, errors, delimiter: delim };
+}
@@ -0,0 +1,60 @@
+// Saved certificate design ("project"): the layout plus everything else the editor needs to
+// reproduce it. Shared by the editor, the localStorage draft and /api/designs.
+//
+// {
+//   version: 1,
+//   name,
+//   templateKey, paper,
+//   texts: { certTitle, subtitle, description, dateText, issuerText },
+//   layout,                      // lib/layout.js
+// }
+import { normalizeLayout } from "./layout.js";
+
+export const DESIGN_VERSION = 1;
+export const MAX_DESIGN_NAME = 120;
+
+const TEXT_KEYS = ["certTitle", "subtitle", "description", "dateText", "issuerText"];
+
+export function cleanDesignName(name) {
+  return String(name ?? "")
+    .replace(/\s+/g, " ")
+    .trim()
+    .slice(0, MAX_DESIGN_NAME);
+}
+
+// Accepts a design object or its JSON. Returns { design } or { error }.
+export function normalizeDesign(input) {
+  let raw = input;
+  if (typeof raw === "string") {
+    try {
+      raw = JSON.parse(raw);
+    } catch {
+      return { error: "Design is not valid JSON." };
+    }
+  }
+  if (!raw || typeof raw !== "object") return { error: "Design must be an object." };
+
+  const version = raw.version == null ? DESIGN_VERSION : Number(raw.version);
+  if (!Number.isInteger(version) || version < 1) return { error: "Design version is invalid." };
+  if (version > DESIGN_VERSION) return { error: `Design version ${version} is newer than this app supports (${DESIGN_VERSION}).` };
+
+  const name = cleanDesignName(raw.name);
+  if (!name) return { error: "Design name is required." };
+
+  const parsed = normalizeLayout(raw.layout);
+  if (parsed.error) return { error: parsed.error };
+
+  const texts = {};
+  for (const k of TEXT_KEYS) texts[k] = String(raw.texts?.[k] ?? "");
+
+  return {
+    design: {
+      version: DESIGN_VERSION,
+      name,
+      templateKey: String(raw.templateKey || ""),
+      paper: String(raw.paper || parsed.layout.paper || "A4"),
+      texts,
+      layout: parsed.layout,
+    },
+  };
+}
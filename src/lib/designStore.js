@@ -0,0 +1,68 @@
+// Client side of saved designs: /api/designs calls and the autosaved localStorage draft.
+
+const DRAFT_KEY = "certifyly.draft";
+
+async function api(path, { method = "GET", body, headers = {} } = {}) {
+  const res = await fetch(path, {
+    method,
+    headers: body ? { "Content-Type": "application/json", ...headers } : headers,
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  if (res.status === 204) return null;
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || `Request failed (${res.status})`);
+  return data;
+}
+
+export async function listDesigns() {
+  return (await api("/api/designs")).designs || [];
+}
+
+export async function loadDesign(id) {
+  return (await api(`/api/designs/${encodeURIComponent(id)}`)).design;
+}
+
+export async function createDesign(design) {
+  return (await api("/api/designs", { method: "POST", body: design })).design;
+}
+
+// `etag` from the last load/save: the server refuses the write if someone saved in between.
+export async function updateDesign(id, design, etag) {
+  const headers = etag ? { "If-Match": `"${etag}"` } : {};
+  return (await api(`/api/designs/${encodeURIComponent(id)}`, { method: "PUT", body: design, headers })).design;
+}
+
+export async function duplicateDesign(id, name) {
+  return (await api(`/api/designs/${encodeURIComponent(id)}/duplicate`, { method: "POST", body: { name } })).design;
+}
+
+export async function deleteDesign(id) {
+  await api(`/api/designs/${encodeURIComponent(id)}`, { method: "DELETE" });
+}
+
+// Draft: { design, designId, etag, savedAt } — the editor state survives a reload even if
+// it was never saved as a named design.
+export function loadDraft() {
+  try {
+    const draft = JSON.parse(localStorage.getItem(DRAFT_KEY) || "null");
+    return draft && typeof draft === "object" && draft.design ? draft : null;
+  } catch {
+    return null;
+  }
+}
+
+export function saveDraft(draft) {
+  try {
+    localStorage.setItem(DRAFT_KEY, JSON.stringify({ ...draft, savedAt: new Date().toISOString() }));
+  } catch {
+    // ignore (private mode / quota)
+  }
+}
+
+export function clearDraft() {
+  try {
+    localStorage.removeItem(DRAFT_KEY);
+  } catch {
+    // ignore
+  }
+}
@@ -1,4 +1,15 @@
-import { PDFDocument } from "pdf-lib";
+import { PDFDocument, PDFEmbeddedPage } from "pdf-lib";
+import { coverRect } from "./templates";
+import { FONT_CDN_BASE, parseFontStyle } from "./fonts";
+import { createFontResolver, prepareText } from "./pdfFonts";
+import { drawLayoutField, drawRichLayoutField, prepareSpans } from "./pdfText";
+import { drawQrElement, drawImageElement, drawShapeElement } from "./pdfElements";
+import { assetUrl, imageKeyForRow, imageTypeOf } from "./assets";
+import { addCertificatePage, drawPrintMarks, hexToRgb, printColor } from "./print";
+import { imposePdf } from "./imposition";
+import { fieldSpansForRow } from "./layout";
+
+const PRINT_PIXEL_RATIO = 300 / 72; // 300 dpi
 
 export async function snapshotStagePngBytes({
   stageRef,
@@ -7,7 +18,7 @@ export async function snapshotStagePngBytes({
   setSelectedId,
   editingId,
   closeEditor,
-  pixelRatio = 2,
+  pixelRatio = 2.5, // output pixels per stage unit (PDF point)
 }) {
   const stage = stageRef.current;
   if (!stage) throw new Error("Stage not ready");
@@ -29,12 +40,11 @@ export async function snapshotStagePngBytes({
   setSelectedId("");
   await new Promise((r) => setTimeout(r, 30));
   const dataUrl = stage.toDataURL({
-  pixelRatio: 2.5,
-  mimeType: "image/jpeg",
-  quality: 0.9,
-});
-const bytes = await (await fetch(dataUrl)).arrayBuffer();
-
+    pixelRatio: pixelRatio / (stage.scaleX() || 1), // the stage may be shown scaled down
+    mimeType: "image/jpeg",
+    quality: 0.9,
+  });
+  const bytes = await (await fetch(dataUrl)).arrayBuffer();
 
   // Restore selection + transformer
   if (tr) {
@@ -58,11 +68,17 @@ export async function exportPdfFromStage({
   closeEditor,
   beforeEachRow, // async (row) => void
   afterExportRestore, // () => void
+  print = null, // lib/print.js options; the background is extended into the bleed
+  imposition = null, // lib/imposition.js options: several certificates per sheet
+  bg,
+  templateUrl,
   filename = "certificate_preview.pdf",
   max = 5,
 }) {
   const pdfDoc = await PDFDocument.create();
   const previewRows = rows.slice(0, max);
+  // The snapshot only covers the trim, so in print mode the background is drawn under it
+  const bgImg = print?.bleed && bg ? await embedBackground(pdfDoc, bg, templateUrl) : null;
 
   for (let i = 0; i < previewRows.length; i++) {
     const r = previewRows[i];
@@ -77,15 +93,17 @@ export async function exportPdfFromStage({
       setSelectedId,
       editingId,
       closeEditor,
-      pixelRatio: 2,
+      pixelRatio: print ? PRINT_PIXEL_RATIO : undefined,
     });
 
-    const page = pdfDoc.addPage([cw, ch]);
+    const { page, geometry } = addCertificatePage(pdfDoc, cw, ch, print);
+    if (bgImg) drawCover(page, bgImg, geometry.bleed);
     const img = await pdfDoc.embedJpg(pngBytes);
-    page.drawImage(img, { x: 0, y: 0, width: cw, height: ch });
+    page.drawImage(img, geometry.trim);
+    drawPrintMarks(page, geometry, print);
   }
 
-  const pdfBytes = await pdfDoc.save();
+  const pdfBytes = await savePdf(pdfDoc, imposition);
   downloadBlob(new Blob([pdfBytes], { type: "application/pdf" }), filename);
 
   if (afterExportRestore) afterExportRestore();
@@ -119,7 +137,6 @@ export async function exportZipPngFromStage({
       setSelectedId,
       editingId,
       closeEditor,
-      pixelRatio: 2,
     });
 
     zip.file(`certificate_${i + 1}.png`, bytes);
@@ -141,3 +158,155 @@ export function downloadBlob(blob, filename) {
   a.remove();
   URL.revokeObjectURL(url);
 }
+
+// ---------- Vector PDF (real text + shared background XObject) ----------
+
+async function fetchFontBytes(file) {
+  const res = await fetch(`${FONT_CDN_BASE}/${file}`);
+  if (!res.ok) return null;
+  return new Uint8Array(await res.arrayBuffer());
+}
+
+// "png", "jpg"… from a CDN URL or an /api/template?key=… URL (uploaded templates)
+function templateExtension(templateUrl) {
+  if (!templateUrl) return "";
+  const url = new URL(templateUrl, window.location.href);
+  const name = url.searchParams.get("key") || url.pathname;
+  return name.toLowerCase().split(".").pop();
+}
+
+// Embed the original template bytes when they are PNG/JPG, or its first page when it is a PDF
+// (stays vector); anything else (webp…) is re-encoded from the already-loaded <img>/canvas.
+async function embedBackground(pdfDoc, bg, templateUrl) {
+  const ext = templateExtension(templateUrl);
+  if (templateUrl && ["png", "jpg", "jpeg", "pdf"].includes(ext)) {
+    try {
+      const res = await fetch(templateUrl, { mode: "cors" });
+      if (res.ok) {
+        const bytes = new Uint8Array(await res.arrayBuffer());
+        if (ext === "pdf") return (await pdfDoc.embedPdf(bytes, [0]))[0];
+        return ext === "png" ? await pdfDoc.embedPng(bytes) : await pdfDoc.embedJpg(bytes);
+      }
+    } catch {
+      // fall through to canvas re-encode
+    }
+  }
+
+  const canvas = document.createElement("canvas");
+  canvas.width = bg.naturalWidth || bg.width;
+  canvas.height = bg.naturalHeight || bg.height;
+  canvas.getContext("2d").drawImage(bg, 0, 0);
+  const blob = await new Promise((res) => canvas.toBlob(res, "image/png"));
+  return pdfDoc.embedPng(new Uint8Array(await blob.arrayBuffer()));
+}
+
+// Image element assets embedded once per document; null when missing or not PNG/JPG
+function createAssetEmbedder(pdfDoc) {
+  const images = new Map();
+  return function embedAsset(key) {
+    if (!images.has(key)) {
+      images.set(
+        key,
+        (async () => {
+          if (!key) return null;
+          const res = await fetch(assetUrl(key));
+          if (!res.ok) return null;
+          const bytes = new Uint8Array(await res.arrayBuffer());
+          const type = imageTypeOf(bytes);
+          if (type === "png") return pdfDoc.embedPng(bytes);
+          if (type === "jpeg") return pdfDoc.embedJpg(bytes);
+          return null;
+        })().catch(() => null)
+      );
+    }
+    return images.get(key);
+  };
+}
+
+async function savePdf(pdfDoc, imposition) {
+  const pdfBytes = await pdfDoc.save();
+  return imposition ? (await imposePdf(pdfBytes, imposition)).pdfBytes : pdfBytes;
+}
+
+// Background image / PDF page "cover"-fitted into `box` (PDF coordinates, y-up)
+function drawCover(page, bgImg, box) {
+  const r = coverRect(bgImg.width, bgImg.height, box.width, box.height);
+  const rect = { x: box.x + r.x, y: box.y + box.height - (r.y + r.h), width: r.w, height: r.h };
+  if (bgImg instanceof PDFEmbeddedPage) page.drawPage(bgImg, rect);
+  else page.drawImage(bgImg, rect);
+}
+
+export async function exportVectorPdfFromLayout({
+  rows,
+  layout, // layout.js schema; page size comes from layout.page
+  textFor, // (field, row) => final text
+  spansFor = (field, row) => fieldSpansForRow(field, row), // (field, row) => rich-text spans (lib/richText.js)
+  imageKeyFor = imageKeyForRow, // (field, row) => asset key of an image element
+  bg,
+  templateUrl,
+  print = null, // lib/print.js options: bleed + crop marks + page boxes; null = trim-size pages
+  imposition = null, // lib/imposition.js options: several certificates per sheet
+  filename = "certificate_preview.pdf",
+  title = "Certificates",
+  lang = "", // document language (BCP 47, e.g. "en" or "ar"); empty leaves it unset
+  max = 5,
+}) {
+  if (!bg) throw new Error("Template not loaded yet");
+
+  const { width: cw, height: ch } = layout.page;
+  const pdfDoc = await PDFDocument.create();
+  pdfDoc.setTitle(title);
+  if (lang) pdfDoc.setLanguage(lang);
+  pdfDoc.setCreator("Certifyly");
+
+  const resolveFont = createFontResolver(pdfDoc, fetchFontBytes);
+  const bgImg = await embedBackground(pdfDoc, bg, templateUrl);
+  const embedAsset = createAssetEmbedder(pdfDoc);
+
+  for (const row of rows.slice(0, max)) {
+    const { page, geometry } = addCertificatePage(pdfDoc, cw, ch, print);
+    // Same XObject on every page: the background is stored once in the file
+    drawCover(page, bgImg, print ? geometry.bleed : geometry.trim);
+    drawPrintMarks(page, geometry, print);
+
+    const origin = { x: geometry.trim.x, y: geometry.trim.y };
+    for (const field of layout.fields) {
+      if (field.type === "shape") {
+        const fill = field.fill ? printColor(hexToRgb(field.fill), print) : null;
+        const stroke = field.stroke ? printColor(hexToRgb(field.stroke), print) : null;
+        drawShapeElement(page, field, { pageHeight: ch, fill, stroke, origin });
+        continue;
+      }
+      if (field.type === "image") {
+        const image = await embedAsset(imageKeyFor(field, row));
+        if (image) drawImageElement(page, field, image, { pageHeight: ch, origin });
+        continue;
+      }
+      const text = textFor(field, row);
+      if (!text.trim()) continue;
+      if (field.type === "qr") {
+        const background = field.background ? printColor(hexToRgb(field.background), print) : null;
+        drawQrElement(page, field, text, { pageHeight: ch, color: printColor(hexToRgb(field.fill), print), background, origin });
+        continue;
+      }
+      const paint = {
+        pageHeight: ch,
+        color: printColor(hexToRgb(field.fill), print),
+        strokeColor: field.stroke ? printColor(hexToRgb(field.stroke), print) : null,
+        shadowColor: field.shadowColor ? printColor(hexToRgb(field.shadowColor), print) : null,
+        origin,
+      };
+      if (field.rich) {
+        const spans = spansFor(field, row);
+        const preparedFor = await prepareSpans(field, spans, (style, t) => prepareText(resolveFont, field.fontFamily, parseFontStyle(style), t));
+        drawRichLayoutField(page, field, spans, preparedFor, { ...paint, colorFor: (hex) => printColor(hexToRgb(hex), print) });
+        continue;
+      }
+      const prepared = await prepareText(resolveFont, field.fontFamily, parseFontStyle(field.fontStyle), text);
+      drawLayoutField(page, field, text, prepared, paint);
+    }
+  }
+
+  const pdfBytes = await savePdf(pdfDoc, imposition);
+  downloadBlob(new Blob([pdfBytes], { type: "application/pdf" }), filename);
+}
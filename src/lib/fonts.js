@@ -0,0 +1,79 @@
+// Font file manifest for PDF output (client vector export + server renderer).
+// Files follow the Google Fonts static naming, e.g. "PlayfairDisplay-Bold.ttf", and live
+// under fonts/ in the public template bucket.
+
+export const FONT_CDN_BASE = "https://cdn.budgetwonders.eu/fonts";
+
+// Variants we ship per family (matches the weights requested in ensureFontLink).
+// Missing bold/italic files are synthesized: italic via skew, bold falls back to regular.
+const FONT_VARIANTS = {
+  Inter: ["Regular", "Bold"],
+  "Playfair Display": ["Regular", "Bold", "Italic", "BoldItalic"],
+  Montserrat: ["Regular", "Bold", "Italic", "BoldItalic"],
+  Poppins: ["Regular", "Bold", "Italic", "BoldItalic"],
+  Oswald: ["Regular", "Bold"],
+
+  "Cormorant Garamond": ["Regular", "Bold", "Italic", "BoldItalic"],
+  "Libre Baskerville": ["Regular", "Bold", "Italic"],
+  "Crimson Pro": ["Regular", "Bold", "Italic", "BoldItalic"],
+  "EB Garamond": ["Regular", "Bold", "Italic", "BoldItalic"],
+  Merriweather: ["Regular", "Bold", "Italic", "BoldItalic"],
+
+  Cinzel: ["Regular", "Bold"],
+  "Playfair Display SC": ["Regular", "Bold", "Italic", "BoldItalic"],
+  "Libre Caslon Display": ["Regular"],
+  Prata: ["Regular"],
+  "Bodoni Moda": ["Regular", "Bold", "Italic", "BoldItalic"],
+
+  "DM Serif Display": ["Regular", "Italic"],
+  "Source Serif 4": ["Regular", "Bold", "Italic", "BoldItalic"],
+  Lora: ["Regular", "Bold", "Italic", "BoldItalic"],
+  Spectral: ["Regular", "Bold", "Italic", "BoldItalic"],
+  Alegreya: ["Regular", "Bold", "Italic", "BoldItalic"],
+
+  // Fallbacks for scripts the editor families don't cover (not offered in the font picker)
+  "Noto Sans": ["Regular", "Bold", "Italic", "BoldItalic"],
+  "Noto Naskh Arabic": ["Regular", "Bold"],
+  "Noto Sans Hebrew": ["Regular", "Bold"],
+  "Noto Sans SC": ["Regular", "Bold"],
+  "Noto Sans JP": ["Regular", "Bold"],
+  "Noto Sans KR": ["Regular", "Bold"],
+  "Noto Emoji": ["Regular"],
+};
+
+// Per-script fallback chains, tried after the chosen family (see scripts.js for script ids).
+const SCRIPT_FALLBACKS = {
+  latin: ["Inter", "Noto Sans"],
+  greek: ["Inter", "Noto Sans"],
+  cyrillic: ["Inter", "Noto Sans"],
+  arabic: ["Noto Naskh Arabic"],
+  hebrew: ["Noto Sans Hebrew"],
+  han: ["Noto Sans SC", "Noto Sans JP", "Noto Sans KR"],
+  kana: ["Noto Sans JP"],
+  hangul: ["Noto Sans KR"],
+  emoji: ["Noto Emoji"],
+  common: ["Inter", "Noto Sans"],
+};
+
+export function fallbackChain(family, script) {
+  return Array.from(new Set([family, ...(SCRIPT_FALLBACKS[script] || SCRIPT_FALLBACKS.common)]));
+}
+
+export function parseFontStyle(fontStyle) {
+  const s = String(fontStyle || "").toLowerCase();
+  return { bold: s.includes("bold"), italic: s.includes("italic") };
+}
+
+// => { file, synthItalic } or null when the family isn't in the manifest.
+export function fontFileFor(family, { bold = false, italic = false } = {}) {
+  const variants = FONT_VARIANTS[family];
+  if (!variants) return null;
+
+  const base = family.replace(/\s+/g, "");
+  const wanted = `${bold ? "Bold" : ""}${italic ? "Italic" : ""}` || "Regular";
+  if (variants.includes(wanted)) return { file: `${base}-${wanted}.ttf`, synthItalic: false };
+
+  // Closest available: keep the weight, fake the slant
+  const upright = bold && variants.includes("Bold") ? "Bold" : "Regular";
+  return { file: `${base}-${upright}.ttf`, synthItalic: italic };
+}
@@ -0,0 +1,75 @@
+// Undo/redo over editor snapshots: pure stack helpers plus a small React hook around them.
+import { useCallback, useRef, useState } from "react";
+
+export const HISTORY_LIMIT = 100;
+export const COALESCE_MS = 1000;
+
+export function emptyHistory() {
+  return { past: [], future: [], lastKey: "", lastAt: 0 };
+}
+
+// Record `before`, the state about to be changed. Consecutive changes with the same key inside
+// COALESCE_MS (slider drags, colour picking, typing into one input) collapse into one step.
+export function recordChange(history, before, { key = "", now = Date.now(), limit = HISTORY_LIMIT, coalesceMs = COALESCE_MS } = {}) {
+  if (key && key === history.lastKey && now - history.lastAt < coalesceMs) {
+    return { ...history, future: [], lastAt: now };
+  }
+  return { past: [...history.past, before].slice(-limit), future: [], lastKey: key, lastAt: now };
+}
+
+// => { history, snapshot } or null when there is nothing to undo
+export function undoChange(history, current) {
+  if (!history.past.length) return null;
+  return {
+    snapshot: history.past[history.past.length - 1],
+    history: { past: history.past.slice(0, -1), future: [current, ...history.future], lastKey: "", lastAt: 0 },
+  };
+}
+
+export function redoChange(history, current) {
+  if (!history.future.length) return null;
+  return {
+    snapshot: history.future[0],
+    history: { past: [...history.past, current], future: history.future.slice(1), lastKey: "", lastAt: 0 },
+  };
+}
+
+// `getSnapshot()` reads the current editor state, `applySnapshot(s)` restores one.
+// Call `remember(key)` right before a user change; undo/redo restore and swap snapshots.
+export function useUndoHistory(getSnapshot, applySnapshot) {
+  const historyRef = useRef(emptyHistory());
+  const [counts, setCounts] = useState({ past: 0, future: 0 });
+
+  // Always use the latest closures without re-creating the callbacks
+  const io = useRef({ getSnapshot, applySnapshot });
+  io.current = { getSnapshot, applySnapshot };
+
+  const sync = useCallback(() => {
+    const h = historyRef.current;
+    setCounts((c) => (c.past === h.past.length && c.future === h.future.length ? c : { past: h.past.length, future: h.future.length }));
+  }, []);
+
+  const remember = useCallback(
+    (key = "") => {
+      historyRef.current = recordChange(historyRef.current, io.current.getSnapshot(), { key });
+      sync();
+    },
+    [sync]
+  );
+
+  const step = useCallback(
+    (fn) => {
+      const res = fn(historyRef.current, io.current.getSnapshot());
+      if (!res) return;
+      historyRef.current = res.history;
+      io.current.applySnapshot(res.snapshot);
+      sync();
+    },
+    [sync]
+  );
+
+  const undo = useCallback(() => step(undoChange), [step]);
+  const redo = useCallback(() => step(redoChange), [step]);
+
+  return { remember, undo, redo, canUndo: counts.past > 0, canRedo: counts.future > 0 };
+}
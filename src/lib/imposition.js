@@ -0,0 +1,145 @@
+// N-up imposition: tiles rendered certificates (one per page) onto larger sheets with gutters
+// and cut marks. Shared by the client PDF exports and the server renderer.
+//
+// Options: null for one certificate per page, otherwise
+// { perSheet, sheet, gutter (pt), order, marks }.
+//
+// Order on the sheets, for a guillotine:
+//   "stack" (cut & stack) — recipient i goes to sheet i % sheets, slot floor(i / sheets), so
+//          cutting the whole pile and stacking the slot piles in order gives 1, 2, 3…
+//   "rows"  — sheet after sheet, left to right, top to bottom.
+import { PDFDocument } from "pdf-lib";
+import { SIZES, UNIT_POINTS } from "./constants.js";
+import { REGISTRATION } from "./print.js";
+
+export const PER_SHEET_OPTIONS = [1, 2, 4, 8];
+export const IMPOSITION_ORDERS = ["stack", "rows"];
+export const DEFAULT_GUTTER_MM = 5;
+export const MAX_GUTTER_MM = 20;
+
+const MARK_GAP = 3; // between the certificate (or its bleed) and a cut mark
+const MARK_LENGTH = 15;
+const MIN_MARK_LENGTH = 4; // margins narrower than this get no marks
+
+// { perSheet, sheet, gutterMm, order, marks } => { imposition: options | null } or { error }
+export function normalizeImposition({ perSheet = 1, sheet = "A4", gutterMm = DEFAULT_GUTTER_MM, order = "stack", marks = true } = {}) {
+  const n = Number(perSheet) || 1;
+  if (!PER_SHEET_OPTIONS.includes(n)) return { error: `Certificates per sheet must be one of ${PER_SHEET_OPTIONS.join(", ")}.` };
+  if (n === 1) return { imposition: null };
+
+  const paper = String(sheet || "").toUpperCase();
+  if (!SIZES[paper]) return { error: `Sheet size must be one of ${Object.keys(SIZES).join(", ")}.` };
+  const mm = Number(gutterMm);
+  if (!Number.isFinite(mm) || mm < 0 || mm > MAX_GUTTER_MM) return { error: `Gutter must be between 0 and ${MAX_GUTTER_MM} mm.` };
+  if (!IMPOSITION_ORDERS.includes(order)) return { error: `Order must be ${IMPOSITION_ORDERS.join(" or ")}.` };
+
+  return { imposition: { perSheet: n, sheet: paper, gutter: mm * UNIT_POINTS.mm, order, marks: !!marks } };
+}
+
+// Best grid for `perSheet` certificates of width × height on the sheet (either orientation):
+// the one that needs the least shrinking. Certificates are never enlarged.
+// => { cols, rows, scale, sheet: { width, height }, cell: { width, height }, origin } where
+// origin is the top-left of the grid in PDF (y-up) coordinates.
+export function impositionGrid(width, height, { perSheet, sheet, gutter }) {
+  const size = SIZES[sheet];
+  let best = null;
+  for (const [sw, sh] of [
+    [size.w, size.h],
+    [size.h, size.w],
+  ]) {
+    for (let cols = 1; cols <= perSheet; cols++) {
+      if (perSheet % cols) continue;
+      const rows = perSheet / cols;
+      const scale = Math.min(1, (sw - (cols - 1) * gutter) / (cols * width), (sh - (rows - 1) * gutter) / (rows * height));
+      if (scale <= 0 || (best && scale <= best.scale)) continue;
+      best = { cols, rows, scale, sheet: { width: sw, height: sh } };
+    }
+  }
+  if (!best) return null;
+
+  const cell = { width: width * best.scale, height: height * best.scale };
+  const gridW = best.cols * cell.width + (best.cols - 1) * gutter;
+  const gridH = best.rows * cell.height + (best.rows - 1) * gutter;
+  const origin = { x: (best.sheet.width - gridW) / 2, y: (best.sheet.height + gridH) / 2 };
+  return { ...best, cell, origin };
+}
+
+// Where recipient `index` (of `count`) lands => { sheet, slot }
+export function slotFor(index, count, { perSheet, order }) {
+  if (order === "rows") return { sheet: Math.floor(index / perSheet), slot: index % perSheet };
+  const sheets = Math.ceil(count / perSheet);
+  return { sheet: index % sheets, slot: Math.floor(index / sheets) };
+}
+
+// Cut marks in the sheet margins, in line with every certificate edge
+function drawCutMarks(sheetPage, grid, gutter, inset) {
+  const { cols, rows, cell, origin, sheet } = grid;
+  const line = (x1, y1, x2, y2) => sheetPage.drawLine({ start: { x: x1, y: y1 }, end: { x: x2, y: y2 }, thickness: 0.25, color: REGISTRATION });
+
+  const xs = [];
+  for (let c = 0; c < cols; c++) xs.push(origin.x + c * (cell.width + gutter), origin.x + c * (cell.width + gutter) + cell.width);
+  const ys = [];
+  for (let r = 0; r < rows; r++) ys.push(origin.y - r * (cell.height + gutter), origin.y - r * (cell.height + gutter) - cell.height);
+
+  const top = origin.y;
+  const bottom = ys[ys.length - 1];
+  const left = origin.x;
+  const right = xs[xs.length - 1];
+  const start = inset + MARK_GAP;
+
+  const vertical = Math.min(MARK_LENGTH, Math.min(bottom, sheet.height - top) - start);
+  if (vertical >= MIN_MARK_LENGTH) {
+    for (const x of xs) {
+      line(x, top + start, x, top + start + vertical);
+      line(x, bottom - start, x, bottom - start - vertical);
+    }
+  }
+  const horizontal = Math.min(MARK_LENGTH, Math.min(left, sheet.width - right) - start);
+  if (horizontal >= MIN_MARK_LENGTH) {
+    for (const y of ys) {
+      line(left - start, y, left - start - horizontal, y);
+      line(right + start, y, right + start + horizontal, y);
+    }
+  }
+}
+
+// Imposes a saved PDF of certificate pages (all the same size; the TrimBox, if set, is the
+// certificate) onto sheets. Bleed from the print profile is kept up to half the gutter.
+// => { pdfBytes, grid } (grid.scale < 1 when the certificates had to be shrunk)
+export async function imposePdf(pdfBytes, imposition) {
+  const src = await PDFDocument.load(pdfBytes);
+  const pages = src.getPages();
+  const out = await PDFDocument.create();
+  if (!pages.length) return { pdfBytes: await out.save(), grid: null };
+
+  const trim = pages[0].getTrimBox();
+  const bleedBox = pages[0].getBleedBox();
+  const grid = impositionGrid(trim.width, trim.height, imposition);
+  const { gutter } = imposition;
+  const bleed = Math.max(0, Math.min(trim.x - bleedBox.x, trim.y - bleedBox.y, gutter / 2 / grid.scale));
+
+  const embedded = await out.embedPages(
+    pages,
+    pages.map((p) => {
+      const t = p.getTrimBox();
+      return { left: t.x - bleed, bottom: t.y - bleed, right: t.x + t.width + bleed, top: t.y + t.height + bleed };
+    })
+  );
+
+  const sheets = [];
+  embedded.forEach((certificate, i) => {
+    const { sheet, slot } = slotFor(i, embedded.length, imposition);
+    while (sheets.length <= sheet) sheets.push(out.addPage([grid.sheet.width, grid.sheet.height]));
+
+    const col = slot % grid.cols;
+    const row = Math.floor(slot / grid.cols);
+    const x = grid.origin.x + col * (grid.cell.width + gutter);
+    const y = grid.origin.y - row * (grid.cell.height + gutter) - grid.cell.height;
+    const b = bleed * grid.scale;
+    sheets[sheet].drawPage(certificate, { x: x - b, y: y - b, width: grid.cell.width + 2 * b, height: grid.cell.height + 2 * b });
+  });
+
+  if (imposition.marks) for (const sheetPage of sheets) drawCutMarks(sheetPage, grid, gutter, bleed * grid.scale);
+
+  return { pdfBytes: await out.save(), grid };
+}
@@ -0,0 +1,337 @@
+// Versioned certificate layout, shared by the editor (CertificateStage / export.js) and the
+// server renderer (functions/_lib/render.js). Everything is in page points with y down —
+// the editor canvas uses the same units, so one layout renders the same on both sides.
+//
+// {
+//   version: 1,
+//   paper: "A4",
+//   page: { width, height },
+//   fields: [{
+//     id, label?, custom?,
+//     text,                      // may contain {{column}} placeholders
+//     rich?,                     // true: text holds inline **bold** etc. (lib/richText.js)
+//     x, y,                      // top-left of the text box (the rotation origin)
+//     width,                     // wrap width; lines are aligned inside it
+//     height?, maxLines?,        // box limits; lines beyond them are cut
+//     align,                     // "left" | "center" | "right" | "justify"
+//     fontFamily, fontSize, fontStyle, fill,
+//     lineHeight,                // multiple of fontSize (Konva lineHeight)
+//     rotation,                  // degrees, clockwise around (x, y)
+//     minFontSize?,              // shrink (down to this) until the text fits the box
+//     letterSpacing?,            // extra advance after every character (Konva letterSpacing)
+//     stroke?, strokeWidth?,     // outline colour + width, drawn over the fill
+//     shadowColor?, shadowBlur?, shadowOffsetX?, shadowOffsetY?, shadowOpacity?
+//                                // drop shadow; the offset is on the page, unrotated
+//   }]
+// }
+//
+// Non-text elements carry a `type` (text fields have none):
+//   { id, type: "qr", label?, custom?, text, x, y, size, fill, background, rotation }
+//     text = the encoded content (placeholders filled per row), x/y = top-left, size = side
+//     of the square including the quiet zone, background = hex or "" (transparent)
+//   { id, type: "image", label?, custom?, src, text, x, y, width, height, rotation, opacity }
+//     src = asset key (lib/assets.js), text = optional per-row asset name ("{{signature}}");
+//     the image is fitted ("contain") in the width × height box at top-left x/y
+//   { id, type: "shape", label?, custom?, shape, x, y, width, height, rotation, fill, stroke,
+//     strokeWidth, cornerRadius, opacity }
+//     shape = "line" | "rect" | "roundRect" | "ellipse"; a line runs from x/y to the right over
+//     `width` (height 0); fill/stroke = hex or "" (none); cornerRadius is used by roundRect
+
+import { fillPlaceholders } from "./placeholders.js";
+import { parseRichText, fillSpanPlaceholders, spansText } from "./richText.js";
+
+export const LAYOUT_VERSION = 1;
+
+const ALIGNS = ["left", "center", "right", "justify"];
+const HEX_RE = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+export const FIELD_DEFAULTS = {
+  text: "",
+  width: 500,
+  align: "center",
+  fontFamily: "Inter",
+  fontSize: 18,
+  fontStyle: "normal",
+  fill: "#1e2233",
+  lineHeight: 1,
+  rotation: 0,
+};
+
+function num(v, fallback, min = -Infinity, max = Infinity) {
+  const n = Number(v);
+  if (!Number.isFinite(n)) return fallback;
+  return Math.max(min, Math.min(max, n));
+}
+
+// Starting values when an outline / shadow is switched on in the inspector
+export const TEXT_EFFECT_DEFAULTS = {
+  strokeWidth: 1,
+  shadowBlur: 4,
+  shadowOffsetX: 2,
+  shadowOffsetY: 2,
+  shadowOpacity: 0.35,
+};
+
+// Optional text effects, kept only when they do something
+function normalizeTextEffects(f, field) {
+  const letterSpacing = num(f.letterSpacing, 0, -20, 200);
+  if (letterSpacing) field.letterSpacing = letterSpacing;
+  const strokeWidth = num(f.strokeWidth, TEXT_EFFECT_DEFAULTS.strokeWidth, 0, 50);
+  if (HEX_RE.test(String(f.stroke || "")) && strokeWidth > 0) {
+    field.stroke = f.stroke;
+    field.strokeWidth = strokeWidth;
+  }
+  if (HEX_RE.test(String(f.shadowColor || ""))) {
+    field.shadowColor = f.shadowColor;
+    field.shadowBlur = num(f.shadowBlur, TEXT_EFFECT_DEFAULTS.shadowBlur, 0, 100);
+    field.shadowOffsetX = num(f.shadowOffsetX, TEXT_EFFECT_DEFAULTS.shadowOffsetX, -200, 200);
+    field.shadowOffsetY = num(f.shadowOffsetY, TEXT_EFFECT_DEFAULTS.shadowOffsetY, -200, 200);
+    field.shadowOpacity = num(f.shadowOpacity, TEXT_EFFECT_DEFAULTS.shadowOpacity, 0, 1);
+  }
+}
+
+export const QR_DEFAULTS = {
+  text: "{{verify_url}}",
+  size: 96,
+  fill: "#000000",
+  background: "#ffffff",
+};
+
+function normalizeQrField(f) {
+  const field = {
+    id: String(f.id),
+    type: "qr",
+    text: String(f.text ?? QR_DEFAULTS.text),
+    x: num(f.x, 0),
+    y: num(f.y, 0),
+    size: num(f.size, QR_DEFAULTS.size, 8, 2000),
+    fill: HEX_RE.test(String(f.fill || "")) ? f.fill : QR_DEFAULTS.fill,
+    background: f.background === "" ? "" : HEX_RE.test(String(f.background || "")) ? f.background : QR_DEFAULTS.background,
+    rotation: num(f.rotation, 0, -360, 360),
+  };
+  if (f.custom) field.custom = true;
+  if (f.label) field.label = String(f.label);
+  return field;
+}
+
+export const SHAPES = ["line", "rect", "roundRect", "ellipse"];
+
+export const SHAPE_DEFAULTS = {
+  shape: "rect",
+  width: 240,
+  height: 120,
+  fill: "",
+  stroke: "#2b2f44",
+  strokeWidth: 2,
+  cornerRadius: 12,
+  opacity: 1,
+};
+
+function hexOrNone(v, fallback) {
+  if (v === "") return "";
+  return HEX_RE.test(String(v || "")) ? v : fallback;
+}
+
+function normalizeShapeField(f) {
+  const shape = SHAPES.includes(f.shape) ? f.shape : SHAPE_DEFAULTS.shape;
+  const field = {
+    id: String(f.id),
+    type: "shape",
+    shape,
+    x: num(f.x, 0),
+    y: num(f.y, 0),
+    width: num(f.width, SHAPE_DEFAULTS.width, 1),
+    height: shape === "line" ? 0 : num(f.height, SHAPE_DEFAULTS.height, 1),
+    rotation: num(f.rotation, 0, -360, 360),
+    fill: shape === "line" ? "" : hexOrNone(f.fill, SHAPE_DEFAULTS.fill),
+    stroke: hexOrNone(f.stroke, SHAPE_DEFAULTS.stroke),
+    strokeWidth: num(f.strokeWidth, SHAPE_DEFAULTS.strokeWidth, 0, 100),
+    cornerRadius: num(f.cornerRadius, SHAPE_DEFAULTS.cornerRadius, 0),
+    opacity: num(f.opacity, 1, 0, 1),
+  };
+  if (f.custom) field.custom = true;
+  if (f.label) field.label = String(f.label);
+  return field;
+}
+
+function normalizeImageField(f) {
+  const field = {
+    id: String(f.id),
+    type: "image",
+    src: String(f.src || ""),
+    text: String(f.text ?? ""),
+    x: num(f.x, 0),
+    y: num(f.y, 0),
+    width: num(f.width, 120, 1),
+    height: num(f.height, 120, 1),
+    rotation: num(f.rotation, 0, -360, 360),
+    opacity: num(f.opacity, 1, 0, 1),
+  };
+  if (f.custom) field.custom = true;
+  if (f.label) field.label = String(f.label);
+  return field;
+}
+
+export function isTextField(field) {
+  return !field.type;
+}
+
+function normalizeField(f) {
+  if (f.type === "qr") return normalizeQrField(f);
+  if (f.type === "image") return normalizeImageField(f);
+  if (f.type === "shape") return normalizeShapeField(f);
+  const field = {
+    id: String(f.id),
+    text: String(f.text ?? FIELD_DEFAULTS.text),
+    x: num(f.x, 0),
+    y: num(f.y, 0),
+    width: num(f.width, FIELD_DEFAULTS.width, 1),
+    align: ALIGNS.includes(f.align) ? f.align : FIELD_DEFAULTS.align,
+    fontFamily: String(f.fontFamily || FIELD_DEFAULTS.fontFamily),
+    fontSize: num(f.fontSize, FIELD_DEFAULTS.fontSize, 1, 300),
+    fontStyle: String(f.fontStyle || FIELD_DEFAULTS.fontStyle),
+    fill: HEX_RE.test(String(f.fill || "")) ? f.fill : FIELD_DEFAULTS.fill,
+    lineHeight: num(f.lineHeight, FIELD_DEFAULTS.lineHeight, 0.5, 5),
+    rotation: num(f.rotation, FIELD_DEFAULTS.rotation, -360, 360),
+  };
+  if (f.custom) field.custom = true;
+  if (f.label) field.label = String(f.label);
+  if (f.minFontSize != null && Number.isFinite(Number(f.minFontSize))) {
+    field.minFontSize = num(f.minFontSize, 1, 1, field.fontSize);
+  }
+  if (Number(f.height) > 0) field.height = num(f.height, 0, 1);
+  if (Number(f.maxLines) >= 1) field.maxLines = Math.floor(num(f.maxLines, 1, 1, 100));
+  if (f.rich && supportsRichText(field)) field.rich = true;
+  normalizeTextEffects(f, field);
+  return field;
+}
+
+// Accepts a layout object or its JSON. Returns { layout } or { error }.
+export function normalizeLayout(input) {
+  let raw = input;
+  if (typeof raw === "string") {
+    try {
+      raw = JSON.parse(raw);
+    } catch {
+      return { error: "Layout is not valid JSON." };
+    }
+  }
+  if (!raw || typeof raw !== "object" || !Array.isArray(raw.fields)) return { error: "Layout must have a fields array." };
+
+  const version = raw.version == null ? LAYOUT_VERSION : Number(raw.version);
+  if (!Number.isInteger(version) || version < 1) return { error: "Layout version is invalid." };
+  if (version > LAYOUT_VERSION) return { error: `Layout version ${version} is newer than this renderer supports (${LAYOUT_VERSION}).` };
+
+  const width = num(raw.page?.width, 0, 0);
+  const height = num(raw.page?.height, 0, 0);
+  if (!width || !height) return { error: "Layout page width and height are required." };
+
+  const seen = new Set();
+  const fields = [];
+  for (const f of raw.fields) {
+    if (!f || typeof f !== "object" || !f.id || seen.has(String(f.id))) continue;
+    seen.add(String(f.id));
+    fields.push(normalizeField(f));
+  }
+
+  return {
+    layout: {
+      version: LAYOUT_VERSION,
+      paper: String(raw.paper || ""),
+      page: { width, height },
+      fields,
+    },
+  };
+}
+
+// Editor fields anchor `x` at the aligned edge (center x for centered text); the layout
+// stores the box's left edge like the Konva node does.
+export function boxLeft(field) {
+  if (field.align === "center") return field.x - field.width / 2;
+  if (field.align === "right") return field.x - field.width;
+  return field.x;
+}
+
+export function anchorX(align, left, width) {
+  if (align === "center") return left + width / 2;
+  if (align === "right") return left + width;
+  return left;
+}
+
+// Editor state => layout
+export function layoutFromFields(fields, { paper = "", width, height }) {
+  return normalizeLayout({
+    version: LAYOUT_VERSION,
+    paper,
+    page: { width, height },
+    fields: fields.map((f) => ({ ...f, x: boxLeft(f) })),
+  }).layout;
+}
+
+// Layout => editor fields (anchored x), scaled to the editor's page if it differs.
+export function fieldsFromLayout(layout, { width, height } = layout.page) {
+  return scaleFields(layout.fields, layout.page, { width, height }).map((f) => ({ ...f, x: anchorX(f.align, f.x, f.width) }));
+}
+
+// Move fields to a page of another size, same rule the editor uses when switching paper or
+// orientation: positions and wrap width follow the page axes; font sizes and box heights scale
+// with the smaller axis factor so text still fits when the page gets narrower or shorter.
+export function scaleFields(fields, from, to) {
+  if (from.width === to.width && from.height === to.height) return fields;
+  const sx = to.width / from.width;
+  const sy = to.height / from.height;
+  const k = Math.min(sx, sy);
+  const round = (n) => Math.round(n * 10) / 10;
+  return fields.map((f) => {
+    const moved = { ...f, x: Math.max(0, Math.min(to.width, f.x * sx)), y: Math.max(0, Math.min(to.height, f.y * sy)) };
+    if (f.type === "qr") return { ...moved, size: f.size * k }; // stays square
+    if (f.type === "image") return { ...moved, width: f.width * k, height: f.height * k };
+    if (f.type === "shape") return { ...moved, width: f.width * sx, height: f.height * sy, strokeWidth: f.strokeWidth * k };
+    return {
+      ...moved,
+      width: f.width * sx,
+      fontSize: Math.max(1, round(f.fontSize * k)),
+      ...(f.height ? { height: f.height * k } : {}),
+      ...(f.minFontSize ? { minFontSize: Math.max(1, round(f.minFontSize * k)) } : {}),
+      ...(f.letterSpacing ? { letterSpacing: f.letterSpacing * k } : {}),
+      ...(f.stroke ? { strokeWidth: f.strokeWidth * k } : {}),
+      ...(f.shadowColor ? { shadowBlur: f.shadowBlur * k, shadowOffsetX: f.shadowOffsetX * k, shadowOffsetY: f.shadowOffsetY * k } : {}),
+    };
+  });
+}
+
+// Fields whose text comes from the recipient row rather than the field itself
+const ROW_FIELDS = ["name", "award", "date", "issuer"];
+
+export function isRowField(field) {
+  return ROW_FIELDS.includes(field.id);
+}
+
+export function supportsRichText(field) {
+  return isTextField(field) && !isRowField(field);
+}
+
+function rowFieldText(field, row, { dateText = "", issuerText = "" }) {
+  if (field.id === "name") return row?.name || "";
+  if (field.id === "award") return row?.award || "";
+  if (field.id === "date") {
+    const d = row?.date || dateText;
+    return d ? `Date: ${d}` : "";
+  }
+  return row?.issuer || issuerText || "";
+}
+
+// Final text of a field for one recipient: row-bound fields come from the row as written
+// (a "{{…}}" in an uploaded name stays literal), everything else is the field's own text
+// with {{placeholders}} filled.
+export function fieldTextForRow(field, row, defaults = {}) {
+  if (field.rich) return spansText(fieldSpansForRow(field, row, defaults));
+  if (isRowField(field)) return rowFieldText(field, row, defaults);
+  return fillPlaceholders(field.text || "", row);
+}
+
+// Styled spans of a field for one recipient (lib/richText.js); a plain field is one span
+export function fieldSpansForRow(field, row, defaults = {}) {
+  if (field.rich) return fillSpanPlaceholders(parseRichText(field.text), row);
+  return [{ text: fieldTextForRow(field, row, defaults) }];
+}
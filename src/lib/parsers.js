@@ -1,30 +1,88 @@
-export function parseCsv(text) {
-  const lines = text.replace(/\r/g, "").split("\n").filter(Boolean);
-  if (lines.length < 2) return { error: "CSV must include header + at least 1 row." };
+import { parseCsvRecords } from "./csv.js";
 
-  const header = lines[0].split(",").map((h) => h.trim().toLowerCase());
-  const nameIndex = header.indexOf("name");
-  const titleIndex = header.indexOf("title");
-  const dateIndex = header.indexOf("date");
-  const issuerIndex = header.indexOf("issuer");
+// Headers that map onto certificate fields without a mapping step.
+const DEFAULT_HEADER_FIELDS = { name: "name", title: "award", date: "date", issuer: "issuer" };
 
-  if (nameIndex === -1 || titleIndex === -1) {
+// Row-level problems are returned as `errors: [{ line, message }]` alongside the valid rows.
+export function parseCsv(text, { delimiter } = {}) {
+  const table = csvTable(text, { delimiter });
+  if (table.error) return table;
+
+  const mapping = defaultMapping(table.headers);
+  if (!mapping.includes("name") || !mapping.includes("award")) {
     return { error: "CSV must include headers: name,title (date optional, issuer optional)." };
   }
+  return rowsFromTable(table, mapping);
+}
 
+export function csvTable(text, { delimiter } = {}) {
+  const { records, errors } = parseCsvRecords(text, { delimiter });
+  return tableFromRecords(records, { kind: "CSV", syntaxErrors: errors });
+}
+
+// Shared by CSV and spreadsheet imports: records[0] is the header row, each record is
+// { cells: string[], line }.
+export function tableFromRecords(records, { kind = "CSV", syntaxErrors = [] } = {}) {
+  if (records.length < 2) return { error: `${kind} must include header + at least 1 row.` };
+  return {
+    kind,
+    headers: records[0].cells.map((h) => String(h ?? "").trim()),
+    records: records.slice(1),
+    syntaxErrors,
+  };
+}
+
+// mapping[i] is the certificate field ("name" | "award" | "date" | "issuer") for header i, or "" to ignore it.
+export function defaultMapping(headers) {
+  return headers.map((h) => DEFAULT_HEADER_FIELDS[h.toLowerCase()] || "");
+}
+
+// Every column by header, so {{placeholders}} can use columns that aren't mapped to a field.
+function rowData(headers, cols) {
+  const data = {};
+  headers.forEach((h, i) => {
+    if (h) data[h] = cols[i] || "";
+  });
+  return data;
+}
+
+export function rowsFromTable(table, mapping) {
+  const nameIndex = mapping.indexOf("name");
+  const titleIndex = mapping.indexOf("award");
+  const dateIndex = mapping.indexOf("date");
+  const issuerIndex = mapping.indexOf("issuer");
+
+  if (nameIndex === -1 || titleIndex === -1) return { error: "Map a column to Name and to Title / Award." };
+
+  const errors = [...(table.syntaxErrors || [])];
   const rows = [];
-  for (let i = 1; i < lines.length; i++) {
-    const cols = lines[i].split(",").map((c) => c.trim());
+  for (const { cells, line } of table.records) {
+    const cols = cells.map((c) => String(c ?? "").trim());
     const name = cols[nameIndex] || "";
     const award = cols[titleIndex] || "";
     const date = dateIndex >= 0 ? cols[dateIndex] || "" : "";
     const issuer = issuerIndex >= 0 ? cols[issuerIndex] || "" : "";
-    if (!name || !award) continue;
-    rows.push({ name, award, date, issuer });
+    if (cols.every((c) => !c)) continue;
+    if (!name || !award) {
+      errors.push({ line, message: !name && !award ? "Missing name and title." : !name ? "Missing name." : "Missing title." });
+      continue;
+    }
+    const data = rowData(table.headers, cols);
+    rows.push({ name, award, date, issuer, data });
   }
+  errors.sort((a, b) => a.line - b.line);
 
-  if (rows.length === 0) return { error: "No valid rows found (need name + title)." };
-  return { rows };
+  if (rows.length === 0) {
+    return { error: ["No valid rows found (need name + title).", ...formatRowErrors(errors, 5)].join("\n"), errors };
+  }
+  return { rows, errors };
+}
+
+// ["Line 4: Missing name.", ...] — capped at `max` entries with a trailing "…and N more".
+export function formatRowErrors(errors, max = 10) {
+  const list = (errors || []).slice(0, max).map((e) => `Line ${e.line}: ${e.message}`);
+  if ((errors || []).length > max) list.push(`…and ${errors.length - max} more`);
+  return list;
 }
 
 // TXT: "Name - Title"
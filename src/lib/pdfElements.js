@@ -0,0 +1,79 @@
+// Non-text layout elements on a pdf-lib page (see lib/layout.js), shared by the client vector
+// export and the server renderer. Coordinates follow drawLayoutField: layout points with y down,
+// `origin` = lower-left of the trim area on the page.
+import { degrees } from "pdf-lib";
+import { qrCodeFor } from "./qr.js";
+import { containRect } from "./assets.js";
+
+// `text` is the field's content for this row; `color` / `background` are pdf-lib colours
+// (background null = transparent). => false when there was nothing to encode.
+export function drawQrElement(page, field, text, { pageHeight, color, background = null, origin = { x: 0, y: 0 } }) {
+  const code = qrCodeFor(text);
+  if (!code) return false;
+  const at = {
+    x: origin.x + field.x,
+    y: origin.y + pageHeight - field.y,
+    scale: field.size / code.modules,
+    rotate: degrees(-(field.rotation || 0)),
+  };
+  if (background) page.drawSvgPath(`M0 0H${code.modules}V${code.modules}H0z`, { ...at, color: background });
+  page.drawSvgPath(code.path, { ...at, color });
+  return true;
+}
+
+// `image` is an embedded pdf-lib image, fitted ("contain") into the field's box. The box
+// rotates around its top-left corner like the canvas node, so the image's lower-left corner
+// is placed through the same rotation.
+export function drawImageElement(page, field, image, { pageHeight, origin = { x: 0, y: 0 } }) {
+  const r = containRect(image.width, image.height, field.width, field.height);
+  const rad = ((field.rotation || 0) * Math.PI) / 180;
+  const cos = Math.cos(rad);
+  const sin = Math.sin(rad);
+  const u = r.x;
+  const v = r.y + r.h;
+  const px = field.x + u * cos - v * sin;
+  const py = field.y + u * sin + v * cos;
+  page.drawImage(image, {
+    x: origin.x + px,
+    y: origin.y + pageHeight - py,
+    width: r.w,
+    height: r.h,
+    rotate: degrees(-(field.rotation || 0)),
+    opacity: field.opacity ?? 1,
+  });
+}
+
+// Outline of a shape element as an SVG path, box-relative with y down
+function shapePath({ shape, width: w, height: h, cornerRadius }) {
+  if (shape === "line") return `M0 0H${w}`;
+  if (shape === "ellipse") {
+    const rx = w / 2;
+    const ry = h / 2;
+    return `M0 ${ry}A${rx} ${ry} 0 1 0 ${w} ${ry}A${rx} ${ry} 0 1 0 0 ${ry}Z`;
+  }
+  const r = shape === "roundRect" ? Math.min(cornerRadius || 0, w / 2, h / 2) : 0;
+  if (!r) return `M0 0H${w}V${h}H0Z`;
+  return (
+    `M${r} 0H${w - r}A${r} ${r} 0 0 1 ${w} ${r}V${h - r}A${r} ${r} 0 0 1 ${w - r} ${h}` +
+    `H${r}A${r} ${r} 0 0 1 0 ${h - r}V${r}A${r} ${r} 0 0 1 ${r} 0Z`
+  );
+}
+
+// Vector shape (line, rect, roundRect, ellipse) rotating around its top-left corner like the
+// canvas node. `fill` / `stroke` are pdf-lib colours, null = none. => false when invisible.
+export function drawShapeElement(page, field, { pageHeight, fill = null, stroke = null, origin = { x: 0, y: 0 } }) {
+  const strokeWidth = stroke ? field.strokeWidth : 0;
+  if (!fill && !strokeWidth) return false;
+  const opacity = field.opacity ?? 1;
+  page.drawSvgPath(shapePath(field), {
+    x: origin.x + field.x,
+    y: origin.y + pageHeight - field.y,
+    rotate: degrees(-(field.rotation || 0)),
+    color: fill || undefined,
+    borderColor: strokeWidth ? stroke : undefined,
+    borderWidth: strokeWidth,
+    opacity,
+    borderOpacity: opacity,
+  });
+  return true;
+}
@@ -0,0 +1,256 @@
+// Embeds editor font families into a pdf-lib document. Shared by the browser vector export
+// and the server renderer; each side supplies its own `loadFontBytes(file)` (fetch vs. R2).
+import {
+  StandardFonts,
+  degrees,
+  TextRenderingMode,
+  setCharacterSpacing,
+  setTextRenderingMode,
+  setStrokingColor,
+  setLineWidth,
+  setGraphicsState,
+  pushGraphicsState,
+  popGraphicsState,
+} from "pdf-lib";
+import fontkit from "@pdf-lib/fontkit";
+import { fontFileFor, fallbackChain } from "./fonts.js";
+import { scriptOf, directionOf, baseDirection, isJoiner } from "./scripts.js";
+
+// Built-in PDF fonts, still accepted by name from older style_json payloads.
+const STANDARD_FAMILIES = {
+  helvetica: [StandardFonts.Helvetica, StandardFonts.HelveticaBold, StandardFonts.HelveticaOblique, StandardFonts.HelveticaBoldOblique],
+  times: [StandardFonts.TimesRoman, StandardFonts.TimesRomanBold, StandardFonts.TimesRomanItalic, StandardFonts.TimesRomanBoldItalic],
+  courier: [StandardFonts.Courier, StandardFonts.CourierBold, StandardFonts.CourierOblique, StandardFonts.CourierBoldOblique],
+};
+
+function standardFont(id, bold, italic) {
+  const [regular, boldFont, italicFont, boldItalic] = STANDARD_FAMILIES[id] || STANDARD_FAMILIES.helvetica;
+  if (bold && italic) return boldItalic;
+  if (bold) return boldFont;
+  if (italic) return italicFont;
+  return regular;
+}
+
+// Returns async (family, { bold, italic }) => { font, synthItalic, fallback }.
+// `fallback` is true when the family file couldn't be loaded and Helvetica was used instead.
+export function createFontResolver(pdfDoc, loadFontBytes) {
+  pdfDoc.registerFontkit(fontkit);
+  const cache = new Map();
+
+  async function embed(key, make) {
+    if (!cache.has(key)) cache.set(key, make());
+    return cache.get(key);
+  }
+
+  return async function resolveFont(family, { bold = false, italic = false } = {}) {
+    const standardId = String(family || "").toLowerCase();
+    if (STANDARD_FAMILIES[standardId]) {
+      const std = standardFont(standardId, bold, italic);
+      const font = await embed(std, () => pdfDoc.embedFont(std));
+      return { font, synthItalic: false, fallback: false };
+    }
+
+    const entry = fontFileFor(family, { bold, italic });
+    if (entry) {
+      const font = await embed(entry.file, async () => {
+        try {
+          const bytes = await loadFontBytes(entry.file);
+          return bytes ? await pdfDoc.embedFont(bytes, { subset: true }) : null;
+        } catch {
+          return null;
+        }
+      });
+      if (font) return { font, synthItalic: entry.synthItalic, fallback: false };
+    }
+
+    const std = standardFont("helvetica", bold, italic);
+    const font = await embed(std, () => pdfDoc.embedFont(std));
+    return { font, synthItalic: false, fallback: true };
+  };
+}
+
+const charSets = new WeakMap();
+
+function charSetOf(font) {
+  if (!charSets.has(font)) charSets.set(font, new Set(font.getCharacterSet()));
+  return charSets.get(font);
+}
+
+function hasGlyph(font, ch) {
+  return charSetOf(font).has(ch.codePointAt(0));
+}
+
+// Bidi levels, simplified UAX #9: RTL letters are odd, LTR letters and digits even;
+// digits after RTL text and LTR text inside an RTL paragraph sit at level 2.
+function assignLevels(items, base) {
+  let prevStrong = base;
+  for (const it of items) {
+    if (it.dir === "ltr" || it.dir === "rtl") prevStrong = it.dir;
+    else if (it.dir === "num") it.numContext = prevStrong;
+  }
+
+  const strongAt = (i, step) => {
+    for (let j = i + step; j >= 0 && j < items.length; j += step) {
+      const d = items[j].dir;
+      if (d === "ltr" || d === "rtl") return d;
+      if (d === "num") return items[j].numContext === "rtl" ? "rtl" : "ltr";
+    }
+    return base;
+  };
+
+  items.forEach((it, i) => {
+    let dir = it.dir;
+    if (dir === "num") it.level = base === "rtl" || it.numContext === "rtl" ? 2 : 0;
+    else {
+      if (dir === "neutral") {
+        const before = strongAt(i, -1);
+        dir = before === strongAt(i, 1) ? before : base;
+      }
+      it.level = dir === "rtl" ? 1 : base === "rtl" ? 2 : 0;
+    }
+  });
+}
+
+// UAX #9 rule L2: from the highest level down to 1, reverse every run sequence at or above it.
+function reorderRuns(runs) {
+  const maxLevel = Math.max(0, ...runs.map((r) => r.level));
+  const out = runs.slice();
+  for (let level = maxLevel; level >= 1; level--) {
+    for (let i = 0; i < out.length; ) {
+      if (out[i].level < level) {
+        i++;
+        continue;
+      }
+      let j = i;
+      while (j < out.length && out[j].level >= level) j++;
+      const reversed = out.slice(i, j).reverse();
+      out.splice(i, j - i, ...reversed);
+      i = j;
+    }
+  }
+  return out;
+}
+
+// Resolve every font `text` needs (chosen family first, then the per-script fallback chain)
+// and return a synchronous shaper for it and any of its substrings:
+//   runsFor(str) => runs [{ text, font, synthItalic }] in visual (left-to-right) order
+//   missing      => characters no font in the chain can draw (rendered as "?")
+//   substituted  => { [family]: chars } drawn with a fallback family instead of the chosen one
+//   font / fallback => the chosen family's font (Helvetica with fallback=true if unavailable)
+// RTL glyph order and Arabic joining inside a run are handled by fontkit's layout.
+export async function prepareText(resolveFont, family, style, text) {
+  const primary = { ...(await resolveFont(family, style)), family };
+  const pickFor = new Map();
+  const missing = new Set();
+  const substituted = {};
+
+  for (const ch of new Set(Array.from(String(text ?? "")))) {
+    if (ch === "\n") continue;
+    if (hasGlyph(primary.font, ch)) {
+      pickFor.set(ch, primary);
+      continue;
+    }
+    let found = null;
+    for (const fam of fallbackChain(family, scriptOf(ch)).slice(1)) {
+      const cand = await resolveFont(fam, style);
+      if (!cand.fallback && hasGlyph(cand.font, ch)) {
+        found = { ...cand, family: fam };
+        break;
+      }
+    }
+    if (found) {
+      pickFor.set(ch, found);
+      substituted[found.family] = (substituted[found.family] || "") + ch;
+    } else if (!isJoiner(ch)) {
+      missing.add(ch);
+    }
+  }
+
+  function runsFor(str) {
+    const items = [];
+    for (const raw of Array.from(String(str ?? ""))) {
+      let ch = raw;
+      let pick = pickFor.get(ch);
+      if (!pick) {
+        if (isJoiner(ch)) continue; // unsupported ZWJ / variation selector: drop silently
+        ch = "?";
+        pick = primary;
+      }
+      const dir = directionOf(ch);
+      const prev = items[items.length - 1];
+      // Spaces, punctuation and marks stay in the previous run's font when it can draw them
+      if (prev && (dir === "neutral" || /\p{M}/u.test(ch)) && hasGlyph(prev.pick.font, ch)) pick = prev.pick;
+      items.push({ ch, pick, dir });
+    }
+    if (!items.length) return [];
+
+    assignLevels(items, baseDirection(str));
+
+    const runs = [];
+    for (const it of items) {
+      const last = runs[runs.length - 1];
+      if (last && last.font === it.pick.font && last.level === it.level) last.text += it.ch;
+      else runs.push({ text: it.ch, font: it.pick.font, synthItalic: it.pick.synthItalic, level: it.level });
+    }
+    return reorderRuns(runs);
+  }
+
+  return { runsFor, font: primary.font, fallback: primary.fallback, missing: Array.from(missing), substituted };
+}
+
+// `letterSpacing` is added after every character, like Konva's measurement
+function runWidth(run, size, letterSpacing) {
+  return run.font.widthOfTextAtSize(run.text, size) + letterSpacing * run.text.length;
+}
+
+export function runsWidth(runs, size, letterSpacing = 0) {
+  return runs.reduce((sum, r) => sum + runWidth(r, size, letterSpacing), 0);
+}
+
+// Stroke alpha for outlined text; drawText's own opacity only covers the fill
+function strokeOpacityState(page, opacity) {
+  return page.node.newExtGState("GS", page.doc.context.obj({ Type: "ExtGState", CA: opacity }));
+}
+
+// Draw runs left to right starting at (x, y) on the baseline; `rotate` is in degrees
+// counter-clockwise (pdf-lib convention) and turns the whole line around (x, y).
+// `letterSpacing` uses the PDF character spacing (Tc); `stroke` = { color, width } outlines the
+// glyphs over their fill (text render mode FillAndStroke).
+export function drawRuns(page, runs, { x, y, size, color, opacity, rotate = 0, letterSpacing = 0, stroke = null }) {
+  const styled = letterSpacing || stroke;
+  if (styled) {
+    page.pushOperators(
+      pushGraphicsState(),
+      ...(letterSpacing ? [setCharacterSpacing(letterSpacing)] : []),
+      ...(stroke
+        ? [
+            setTextRenderingMode(TextRenderingMode.FillAndOutline),
+            setStrokingColor(stroke.color),
+            setLineWidth(stroke.width),
+            ...(opacity != null ? [setGraphicsState(strokeOpacityState(page, opacity))] : []),
+          ]
+        : [])
+    );
+  }
+
+  const rad = (rotate * Math.PI) / 180;
+  let cx = x;
+  let cy = y;
+  for (const r of runs) {
+    page.drawText(r.text, {
+      x: cx,
+      y: cy,
+      size,
+      font: r.font,
+      color,
+      ...(opacity != null ? { opacity } : {}),
+      ...(rotate ? { rotate: degrees(rotate) } : {}),
+      ...(r.synthItalic ? { ySkew: degrees(12) } : {}),
+    });
+    const advance = runWidth(r, size, letterSpacing);
+    cx += advance * Math.cos(rad);
+    cy += advance * Math.sin(rad);
+  }
+
+  if (styled) page.pushOperators(popGraphicsState());
+}
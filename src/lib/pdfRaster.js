@@ -0,0 +1,71 @@
+// Browser-side rasterization of PDF backgrounds (first page) with pdf.js, for the Konva stage
+// and thumbnails. Vector PDF export and the server embed the PDF page itself instead.
+// pdf.js is loaded on first use so image-only sessions don't download it.
+import { useEffect, useState } from "react";
+import workerUrl from "pdfjs-dist/build/pdf.worker.min.mjs?url";
+
+let pdfjsPromise = null;
+
+function loadPdfjs() {
+  if (!pdfjsPromise) {
+    pdfjsPromise = import("pdfjs-dist").then((pdfjs) => {
+      pdfjs.GlobalWorkerOptions.workerSrc = workerUrl;
+      return pdfjs;
+    });
+  }
+  return pdfjsPromise;
+}
+
+export function isPdfUrl(url) {
+  if (!url) return false;
+  const u = new URL(url, window.location.href);
+  return /\.pdf$/i.test(u.searchParams.get("key") || u.pathname);
+}
+
+// Renders page 1 of `source` (URL, ArrayBuffer or Uint8Array) into a canvas `width` px wide.
+export async function rasterizePdf(source, { width = 2000 } = {}) {
+  const pdfjs = await loadPdfjs();
+  let data = source;
+  if (typeof source === "string") {
+    const res = await fetch(source);
+    if (!res.ok) throw new Error(`Failed to load PDF background (${res.status})`);
+    data = await res.arrayBuffer();
+  }
+  const doc = await pdfjs.getDocument({ data: new Uint8Array(data) }).promise;
+  try {
+    const page = await doc.getPage(1);
+    const base = page.getViewport({ scale: 1 });
+    const viewport = page.getViewport({ scale: width / base.width });
+
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.round(viewport.width);
+    canvas.height = Math.round(viewport.height);
+    await page.render({ canvasContext: canvas.getContext("2d"), viewport }).promise;
+    return canvas;
+  } finally {
+    doc.destroy();
+  }
+}
+
+// PDF counterpart of use-image's useImage: page 1 of the PDF at `url` as a canvas.
+// => [canvas | undefined, "loading" | "loaded" | "failed"]; non-PDF URLs give [undefined, "loaded"]
+export function usePdfRaster(url, width = 2400) {
+  const [state, setState] = useState({ canvas: undefined, status: "loaded" });
+
+  useEffect(() => {
+    if (!isPdfUrl(url)) {
+      setState({ canvas: undefined, status: "loaded" });
+      return;
+    }
+    let alive = true;
+    setState({ canvas: undefined, status: "loading" });
+    rasterizePdf(url, { width })
+      .then((canvas) => alive && setState({ canvas, status: "loaded" }))
+      .catch(() => alive && setState({ canvas: undefined, status: "failed" }));
+    return () => {
+      alive = false;
+    };
+  }, [url, width]);
+
+  return [state.canvas, state.status];
+}
@@ -0,0 +1,149 @@
+// Draws one layout field (see layout.js) onto a pdf-lib page with the same box model as
+// the KText in CertificateStage: word wrap at `width`, optional max lines / box height with
+// shrink-to-fit, per-line alignment (incl. justify), Konva line height, letter spacing,
+// rotation around the box's top-left corner, outline and drop shadow; rich-text fields
+// (lib/richText.js) mix bold/italic/underline/colour spans on the same lines.
+import { runsWidth, drawRuns } from "./pdfFonts.js";
+import { alignOffset, baselineOffset, fitTextBox, justifyGap } from "./textLayout.js";
+import { baseDirection } from "./scripts.js";
+import { richMeasure, richLinePieces, spanFontStyle, spansText } from "./richText.js";
+
+// Ascent/descent as a share of the font size, from the font's own metrics.
+function verticalMetrics(font, size) {
+  const full = font.heightAtSize(size);
+  const ascentRaw = font.heightAtSize(size, { descender: false });
+  const ascent = full ? (ascentRaw / full) * size : size * 0.8;
+  return { ascent, descent: size - ascent };
+}
+
+// Pieces of one line with their x offset inside the box. Justified lines are drawn word
+// by word so every space can grow; RTL lines stay ragged like Konva's justify.
+function linePieces(line, field, prepared, size) {
+  const ls = field.letterSpacing || 0;
+  const runs = prepared.runsFor(line.text);
+  const width = runsWidth(runs, size, ls);
+  if (field.align !== "justify" || line.lastInParagraph || baseDirection(line.text) === "rtl") {
+    return [{ runs, x: alignOffset(field.align, field.width, width) }];
+  }
+
+  const gap = justifyGap(line.text, field.width, width);
+  const space = runsWidth(prepared.runsFor(" "), size, ls) + gap;
+  const pieces = [];
+  let x = 0;
+  for (const word of line.text.split(" ")) {
+    const wordRuns = prepared.runsFor(word);
+    if (word) pieces.push({ runs: wordRuns, x });
+    x += runsWidth(wordRuns, size, ls) + space;
+  }
+  return pieces;
+}
+
+// Draws fitted lines: `piecesOf(line)` => [{ runs, x, width, color?, underline? }] in box
+// coordinates. The shadow (if any) is one pass in the shadow colour under the text.
+function drawFittedText(page, field, fit, piecesOf, font, { pageHeight, color, strokeColor, shadowColor, origin }) {
+  const size = fit.fontSize;
+  const ls = field.letterSpacing || 0;
+  const lineHeightPx = size * (field.lineHeight || 1);
+  const { ascent, descent } = verticalMetrics(font, size);
+  const baseline = baselineOffset(lineHeightPx, ascent, descent);
+
+  const theta = ((field.rotation || 0) * Math.PI) / 180;
+  const cos = Math.cos(theta);
+  const sin = Math.sin(theta);
+  // Box point (unrotated, y-down) => PDF page point; `dx`/`dy` shift on the page (y down)
+  const toPage = (bx, by, dx, dy) => ({
+    x: origin.x + field.x + bx * cos - by * sin + dx,
+    y: origin.y + pageHeight - (field.y + bx * sin + by * cos + dy),
+  });
+
+  const stroke = field.stroke && strokeColor ? { color: strokeColor, width: field.strokeWidth } : null;
+
+  // One pass per layer; a pass `color` (the shadow) overrides the pieces' own colours
+  const drawText = ({ dx = 0, dy = 0, color: passColor, opacity, stroke: passStroke }) =>
+    fit.lines.forEach((line, i) => {
+      if (!line.text) return;
+      const top = i * lineHeightPx;
+      for (const piece of piecesOf(line)) {
+        const pieceColor = passColor || piece.color || color;
+        const at = toPage(piece.x, top + baseline, dx, dy);
+        drawRuns(page, piece.runs, { ...at, size, color: pieceColor, opacity, rotate: -(field.rotation || 0), letterSpacing: ls, stroke: passStroke });
+        if (piece.underline) {
+          // Konva: fontSize / 15 thick, half the font size below the line's middle
+          const y = top + lineHeightPx / 2 + Math.round(size / 2);
+          page.drawLine({
+            start: toPage(piece.x, y, dx, dy),
+            end: toPage(piece.x + Math.round(piece.width), y, dx, dy),
+            thickness: size / 15,
+            color: pieceColor,
+            ...(opacity != null ? { opacity } : {}),
+          });
+        }
+      }
+    });
+
+  if (field.shadowColor && shadowColor) {
+    drawText({
+      dx: field.shadowOffsetX,
+      dy: field.shadowOffsetY,
+      color: shadowColor,
+      opacity: field.shadowOpacity,
+      stroke: stroke && { ...stroke, color: shadowColor },
+    });
+  }
+  drawText({ stroke });
+}
+
+// `prepared` comes from prepareText(resolveFont, field.fontFamily, style, text). `origin` is the
+// lower-left of the trim area on the PDF page (non-zero when the page has bleed/marks).
+// `strokeColor` / `shadowColor` are the pdf-lib colours of the field's outline and shadow (used
+// when the field has them). PDF has no blur, so the shadow is drawn sharp at its offset.
+// => { fontSize, lines, overflow } from the box fit (overflow = lines cut off), or null if empty.
+export function drawLayoutField(page, field, text, prepared, { pageHeight, color, strokeColor, shadowColor, origin = { x: 0, y: 0 } }) {
+  if (!String(text || "").trim()) return null;
+
+  const ls = field.letterSpacing || 0;
+  const fit = fitTextBox({ ...field, text }, (s, size) => runsWidth(prepared.runsFor(s), size, ls));
+  const piecesOf = (line) => linePieces(line, field, prepared, fit.fontSize);
+  drawFittedText(page, field, fit, piecesOf, prepared.font, { pageHeight, color, strokeColor, shadowColor, origin });
+  return fit;
+}
+
+// Shapes each font style used by `spans` once: `prepare(style, text)` => prepareText(…) result
+// for the field's family in that style. => (span) => prepared
+export async function prepareSpans(field, spans, prepare) {
+  const byStyle = new Map();
+  for (const span of spans) {
+    const style = spanFontStyle(field.fontStyle, span);
+    byStyle.set(style, (byStyle.get(style) || "") + span.text);
+  }
+  const prepared = new Map();
+  for (const [style, text] of byStyle) prepared.set(style, await prepare(style, text));
+  return (span) => prepared.get(spanFontStyle(field.fontStyle, span));
+}
+
+// Rich-text counterpart of drawLayoutField. `preparedFor(span)` comes from prepareSpans;
+// `colorFor(hex)` turns a span's own colour into a pdf-lib colour.
+export function drawRichLayoutField(page, field, spans, preparedFor, { pageHeight, color, colorFor, strokeColor, shadowColor, origin = { x: 0, y: 0 } }) {
+  const text = spansText(spans);
+  if (!text.trim()) return null;
+
+  const ls = field.letterSpacing || 0;
+  const measureSpan = (str, span, size) => runsWidth(preparedFor(span).runsFor(str), size, ls);
+  const fit = fitTextBox({ ...field, text }, richMeasure(spans, measureSpan));
+  const piecesOf = (line) =>
+    richLinePieces(line, spans, {
+      align: field.align,
+      boxWidth: field.width,
+      size: fit.fontSize,
+      measureSpan,
+      rtl: baseDirection(line.text) === "rtl",
+    }).map((p) => ({
+      runs: preparedFor(p.span).runsFor(p.text),
+      x: p.x,
+      width: p.width,
+      color: p.span.fill ? colorFor(p.span.fill) : null,
+      underline: !!p.span.underline,
+    }));
+  drawFittedText(page, field, fit, piecesOf, preparedFor(spans[0]).font, { pageHeight, color, strokeColor, shadowColor, origin });
+  return fit;
+}
@@ -0,0 +1,48 @@
+// {{column}} merge fields, shared by the canvas (App/CertificateStage) and the server renderer.
+// Keys are normalised header names: "Completion Date" => {{completion_date}}.
+
+const PLACEHOLDER_RE = /\{\{\s*([^{}]+?)\s*\}\}/g;
+
+export const BUILT_IN_PLACEHOLDERS = ["name", "award", "title", "date", "issuer", "certificate_id", "verify_url"];
+
+export function placeholderKey(header) {
+  return String(header ?? "")
+    .trim()
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, "_")
+    .replace(/^_+|_+$/g, "");
+}
+
+// Row => { key: value } lookup: every uploaded column plus the built-in certificate fields.
+export function placeholderValues(row) {
+  const values = {};
+  for (const [k, v] of Object.entries(row?.data || {})) values[placeholderKey(k)] = String(v ?? "");
+  if (row) {
+    values.name = row.name ?? "";
+    values.award = row.award ?? "";
+    values.title = row.award ?? "";
+    values.date = row.date ?? "";
+    values.issuer = row.issuer ?? "";
+    // Issued by /api/generate (lib/certificateId.js); an uploaded column of that name otherwise
+    values.certificate_id = row.certificateId ?? values.certificate_id ?? "";
+    values.verify_url = row.verifyUrl ?? values.verify_url ?? "";
+    values.id = values.id ?? row.certificateId ?? ""; // short form for URL templates; a column wins
+  }
+  return values;
+}
+
+export function hasPlaceholders(text) {
+  return /\{\{[^{}]+\}\}/.test(String(text ?? ""));
+}
+
+export function findPlaceholders(text) {
+  return Array.from(String(text ?? "").matchAll(PLACEHOLDER_RE), (m) => placeholderKey(m[1]));
+}
+
+// Unknown placeholders render as empty text so a missing column never prints "{{…}}".
+export function fillPlaceholders(text, row) {
+  const t = String(text ?? "");
+  if (!hasPlaceholders(t)) return t;
+  const values = placeholderValues(row);
+  return t.replace(PLACEHOLDER_RE, (_, key) => values[placeholderKey(key)] ?? "");
+}
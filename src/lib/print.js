@@ -0,0 +1,95 @@
+// Print profile for PDF output: bleed around the trim size, crop + registration marks in the
+// slug, TrimBox/BleedBox on every page and K-only neutral text. Shared by the client vector
+// export and the server renderer.
+//
+// Options: null for the screen profile (trim-size pages), otherwise { bleed, marks } in points.
+import { cmyk, rgb } from "pdf-lib";
+import { UNIT_POINTS } from "./constants.js";
+
+export const DEFAULT_BLEED_MM = 3;
+export const MAX_BLEED_MM = 10;
+
+const MARK_GAP = 3; // between the bleed edge and where the crop marks start
+const MARK_LENGTH = 15;
+const TARGET_RADIUS = 5;
+const SLUG = MARK_GAP + MARK_LENGTH + 4; // margin outside the bleed that holds the marks
+export const REGISTRATION = cmyk(1, 1, 1, 1); // prints on every plate
+
+// { profile: "screen" | "print", bleedMm, marks } => { print: options | null } or { error }
+export function normalizePrintOptions({ profile = "screen", bleedMm = DEFAULT_BLEED_MM, marks = true } = {}) {
+  if (!profile || profile === "screen") return { print: null };
+  if (profile !== "print") return { error: "Print profile must be screen or print." };
+  const mm = Number(bleedMm);
+  if (!Number.isFinite(mm) || mm < 0 || mm > MAX_BLEED_MM) return { error: `Bleed must be between 0 and ${MAX_BLEED_MM} mm.` };
+  return { print: { bleed: mm * UNIT_POINTS.mm, marks: !!marks } };
+}
+
+// Boxes in PDF (y-up) coordinates for a trim-size page. Without print options media = trim.
+export function printGeometry(trimWidth, trimHeight, print) {
+  const bleed = print?.bleed || 0;
+  const margin = bleed + (print?.marks ? SLUG : 0);
+  return {
+    media: { width: trimWidth + 2 * margin, height: trimHeight + 2 * margin },
+    trim: { x: margin, y: margin, width: trimWidth, height: trimHeight },
+    bleed: { x: margin - bleed, y: margin - bleed, width: trimWidth + 2 * bleed, height: trimHeight + 2 * bleed },
+  };
+}
+
+// Adds a page for one certificate with TrimBox/BleedBox set. Draw the artwork over
+// `geometry.bleed`, and content relative to `geometry.trim` (its x/y are the offset).
+export function addCertificatePage(pdfDoc, trimWidth, trimHeight, print) {
+  const geometry = printGeometry(trimWidth, trimHeight, print);
+  const page = pdfDoc.addPage([geometry.media.width, geometry.media.height]);
+  if (print) {
+    const { trim, bleed } = geometry;
+    page.setBleedBox(bleed.x, bleed.y, bleed.width, bleed.height);
+    page.setTrimBox(trim.x, trim.y, trim.width, trim.height);
+  }
+  return { page, geometry };
+}
+
+function registrationTarget(page, x, y) {
+  page.drawCircle({ x, y, size: TARGET_RADIUS, borderColor: REGISTRATION, borderWidth: 0.25 });
+  page.drawLine({ start: { x: x - TARGET_RADIUS - 2, y }, end: { x: x + TARGET_RADIUS + 2, y }, thickness: 0.25, color: REGISTRATION });
+  page.drawLine({ start: { x, y: y - TARGET_RADIUS - 2 }, end: { x, y: y + TARGET_RADIUS + 2 }, thickness: 0.25, color: REGISTRATION });
+}
+
+// Crop marks at the four trim corners (kept outside the bleed) and a registration target
+// centred on each side of the slug.
+export function drawPrintMarks(page, geometry, print) {
+  if (!print?.marks) return;
+  const { trim } = geometry;
+  const start = print.bleed + MARK_GAP;
+  const line = (x1, y1, x2, y2) => page.drawLine({ start: { x: x1, y: y1 }, end: { x: x2, y: y2 }, thickness: 0.25, color: REGISTRATION });
+
+  for (const x of [trim.x, trim.x + trim.width]) {
+    for (const y of [trim.y, trim.y + trim.height]) {
+      const dx = x === trim.x ? -1 : 1;
+      const dy = y === trim.y ? -1 : 1;
+      line(x + dx * start, y, x + dx * (start + MARK_LENGTH), y);
+      line(x, y + dy * start, x, y + dy * (start + MARK_LENGTH));
+    }
+  }
+
+  const mid = start + MARK_LENGTH / 2;
+  registrationTarget(page, trim.x + trim.width / 2, trim.y - mid);
+  registrationTarget(page, trim.x + trim.width / 2, trim.y + trim.height + mid);
+  registrationTarget(page, trim.x - mid, trim.y + trim.height / 2);
+  registrationTarget(page, trim.x + trim.width + mid, trim.y + trim.height / 2);
+}
+
+// "#rgb" / "#rrggbb" (the "#" is optional) => pdf-lib rgb(); anything else is black
+export function hexToRgb(hex) {
+  const raw = String(hex ?? "").trim().replace(/^#/, "");
+  if (!/^([0-9a-f]{3}|[0-9a-f]{6})$/i.test(raw)) return rgb(0, 0, 0);
+  const v = raw.length === 3 ? raw.split("").map((c) => c + c).join("") : raw;
+  const n = Number.parseInt(v, 16);
+  return rgb(((n >> 16) & 255) / 255, ((n >> 8) & 255) / 255, (n & 255) / 255);
+}
+
+// Text colour (a pdf-lib rgb()): neutral greys/black become K-only in the print profile so
+// small text isn't printed as four-colour black, which blurs with any misregistration.
+export function printColor(color, print) {
+  if (!print || color.red !== color.green || color.green !== color.blue) return color;
+  return cmyk(0, 0, 0, 1 - color.red);
+}
@@ -0,0 +1,46 @@
+// QR codes for "qr" layout elements, drawn from one SVG path so the editor canvas (Konva Path)
+// and the PDF renderers (drawSvgPath) both get crisp vectors. The path is in module units,
+// quiet zone included: scale it by size / modules.
+import qrcode from "qrcode-generator";
+
+export const QR_QUIET_ZONE = 4; // modules of background around the code, as the spec asks
+
+const cache = new Map();
+const CACHE_SIZE = 64;
+
+function utf8Binary(text) {
+  // qrcode-generator takes one byte per char in "Byte" mode
+  return String.fromCharCode(...new TextEncoder().encode(text));
+}
+
+// => { modules, path } or null when `text` is empty or too long for a QR code
+export function qrCodeFor(text) {
+  const data = String(text ?? "").trim();
+  if (!data) return null;
+  if (cache.has(data)) return cache.get(data);
+
+  let code = null;
+  try {
+    const qr = qrcode(0, "M");
+    qr.addData(utf8Binary(data), "Byte");
+    qr.make();
+    const count = qr.getModuleCount();
+    let path = "";
+    for (let r = 0; r < count; r++) {
+      for (let c = 0; c < count; c++) {
+        if (!qr.isDark(r, c)) continue;
+        let run = 1;
+        while (c + run < count && qr.isDark(r, c + run)) run++;
+        path += `M${c + QR_QUIET_ZONE} ${r + QR_QUIET_ZONE}h${run}v1h-${run}z`;
+        c += run - 1;
+      }
+    }
+    code = { modules: count + 2 * QR_QUIET_ZONE, path };
+  } catch {
+    code = null; // data overflow
+  }
+
+  if (cache.size >= CACHE_SIZE) cache.delete(cache.keys().next().value);
+  cache.set(data, code);
+  return code;
+}
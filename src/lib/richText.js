@@ -0,0 +1,189 @@
+// Inline formatting inside one text field (fields with `rich: true`, see layout.js). The field's
+// text is markup:
+//   **bold**   *italic*   __underline__   [color=#c9a227]coloured[/color]
+// with \* \_ \[ \\ for literal characters. {{placeholders}} are copied as they are, so the markup
+// is parsed before they are filled and a column value can't add formatting of its own.
+//
+// Parsed text is a list of spans [{ text, bold?, italic?, underline?, fill? }]; bold/italic add
+// to the field's own fontStyle and `fill` overrides its colour. Shared by the canvas
+// (CertificateStage), the PDF renderer (pdfText.js) and the overlay editor.
+import { fillPlaceholders } from "./placeholders.js";
+import { parseFontStyle } from "./fonts.js";
+import { alignOffset, justifyGap } from "./textLayout.js";
+
+const COLOR_OPEN_RE = /^\[color=(#(?:[0-9a-f]{3}|[0-9a-f]{6}))\]/i;
+const COLOR_CLOSE = "[/color]";
+const ESCAPABLE = "*_[\\";
+
+function sameStyle(a, b) {
+  return !!a.bold === !!b.bold && !!a.italic === !!b.italic && !!a.underline === !!b.underline && (a.fill || "") === (b.fill || "");
+}
+
+function spanWith(text, style) {
+  const span = { text };
+  if (style.bold) span.bold = true;
+  if (style.italic) span.italic = true;
+  if (style.underline) span.underline = true;
+  if (style.fill) span.fill = style.fill;
+  return span;
+}
+
+// Joins neighbours with the same style and drops empty spans
+function mergeSpans(spans) {
+  const out = [];
+  for (const s of spans) {
+    if (!s.text) continue;
+    const last = out[out.length - 1];
+    if (last && sameStyle(last, s)) last.text += s.text;
+    else out.push({ ...s });
+  }
+  return out;
+}
+
+// Markup => spans. Unclosed markers run to the end of the text.
+export function parseRichText(markup) {
+  const src = String(markup ?? "");
+  const spans = [];
+  const style = { bold: false, italic: false, underline: false };
+  const colors = [];
+  let text = "";
+
+  const flush = () => {
+    if (text) spans.push(spanWith(text, { ...style, fill: colors[colors.length - 1] }));
+    text = "";
+  };
+
+  for (let i = 0; i < src.length; ) {
+    const rest = src.slice(i);
+    if (src[i] === "\\" && ESCAPABLE.includes(src[i + 1] || "")) {
+      text += src[i + 1];
+      i += 2;
+    } else if (rest.startsWith("{{") && rest.indexOf("}}") > 0) {
+      const end = rest.indexOf("}}") + 2;
+      text += rest.slice(0, end);
+      i += end;
+    } else if (rest.startsWith("**") || rest.startsWith("__")) {
+      flush();
+      if (src[i] === "*") style.bold = !style.bold;
+      else style.underline = !style.underline;
+      i += 2;
+    } else if (src[i] === "*") {
+      flush();
+      style.italic = !style.italic;
+      i += 1;
+    } else if (COLOR_OPEN_RE.test(rest)) {
+      flush();
+      const [tag, color] = rest.match(COLOR_OPEN_RE);
+      colors.push(color.toLowerCase());
+      i += tag.length;
+    } else if (rest.startsWith(COLOR_CLOSE) && colors.length) {
+      flush();
+      colors.pop();
+      i += COLOR_CLOSE.length;
+    } else {
+      text += src[i];
+      i += 1;
+    }
+  }
+  flush();
+  return mergeSpans(spans);
+}
+
+function escapeText(text) {
+  // Placeholders stay verbatim; everything else gets its markup characters escaped
+  return text
+    .split(/(\{\{[^{}]+\}\})/)
+    .map((part, i) => (i % 2 ? part : part.replace(/[\\*[]/g, "\\$&").replace(/_(?=_)|(?<=_)_/g, "\\_")))
+    .join("");
+}
+
+// Spans => markup (parseRichText(richTextMarkup(spans)) gives the same spans back)
+export function richTextMarkup(spans) {
+  return mergeSpans(spans)
+    .map((s) => {
+      let open = s.fill ? `[color=${s.fill}]` : "";
+      let close = s.fill ? COLOR_CLOSE : "";
+      for (const [on, marker] of [[s.bold, "**"], [s.italic, "*"], [s.underline, "__"]]) {
+        if (!on) continue;
+        open += marker;
+        close = marker + close;
+      }
+      return open + escapeText(s.text) + close;
+    })
+    .join("");
+}
+
+export function hasRichFormatting(spans) {
+  return spans.some((s) => s.bold || s.italic || s.underline || s.fill);
+}
+
+export function spansText(spans) {
+  return spans.map((s) => s.text).join("");
+}
+
+export function fillSpanPlaceholders(spans, row) {
+  return mergeSpans(spans.map((s) => ({ ...s, text: fillPlaceholders(s.text, row) })));
+}
+
+// Konva-style fontStyle ("normal" | "bold" | "italic" | "bold italic") of a span in a field
+export function spanFontStyle(fieldStyle, span) {
+  const base = parseFontStyle(fieldStyle);
+  const bold = base.bold || !!span.bold;
+  const italic = base.italic || !!span.italic;
+  if (bold && italic) return "bold italic";
+  if (bold) return "bold";
+  if (italic) return "italic";
+  return "normal";
+}
+
+// The spans' text between code point offsets [start, end) => [{ text, span }]
+export function sliceSpans(spans, start, end) {
+  const out = [];
+  let pos = 0;
+  for (const span of spans) {
+    const chars = Array.from(span.text);
+    const from = Math.max(start, pos);
+    const to = Math.min(end, pos + chars.length);
+    if (from < to) out.push({ text: chars.slice(from - pos, to - pos).join(""), span });
+    pos += chars.length;
+    if (pos >= end) break;
+  }
+  return out;
+}
+
+// fitTextBox measure over spans: `measureSpan(str, span, size)` => width of `str` in the span's style
+export function richMeasure(spans, measureSpan) {
+  return (str, size, start = 0) =>
+    sliceSpans(spans, start, start + Array.from(str).length).reduce((sum, p) => sum + measureSpan(p.text, p.span, size), 0);
+}
+
+// Styled pieces of one wrapped line (from fitTextBox) with their x offset in the box. Justified
+// lines are split at spaces so each space can grow, like Konva (RTL stays ragged there too).
+// => [{ text, span, x, width }]
+export function richLinePieces(line, spans, { align, boxWidth, size, measureSpan, rtl = false }) {
+  const parts = sliceSpans(spans, line.start, line.start + Array.from(line.text).length);
+  const widthOf = (text, span) => measureSpan(text, span, size);
+  const lineWidth = parts.reduce((sum, p) => sum + widthOf(p.text, p.span), 0);
+
+  if (align !== "justify" || line.lastInParagraph || rtl) {
+    let x = alignOffset(align, boxWidth, lineWidth);
+    return parts.map((p) => {
+      const piece = { ...p, x, width: widthOf(p.text, p.span) };
+      x += piece.width;
+      return piece;
+    });
+  }
+
+  const gap = justifyGap(line.text, boxWidth, lineWidth);
+  const pieces = [];
+  let x = 0;
+  for (const p of parts) {
+    p.text.split(/( )/).forEach((text) => {
+      if (!text) return;
+      const width = widthOf(text, p.span);
+      if (text !== " ") pieces.push({ text, span: p.span, x, width });
+      x += width + (text === " " ? gap : 0);
+    });
+  }
+  return pieces;
+}
@@ -0,0 +1,72 @@
+// Unicode script + direction classification used to pick fallback fonts and order runs.
+
+const SCRIPT_RANGES = [
+  ["latin", 0x0041, 0x005a],
+  ["latin", 0x0061, 0x007a],
+  ["latin", 0x00c0, 0x024f],
+  ["latin", 0x1e00, 0x1eff],
+  ["greek", 0x0370, 0x03ff],
+  ["greek", 0x1f00, 0x1fff],
+  ["cyrillic", 0x0400, 0x052f],
+  ["cyrillic", 0x2de0, 0x2dff],
+  ["cyrillic", 0xa640, 0xa69f],
+  ["hebrew", 0x0590, 0x05ff],
+  ["hebrew", 0xfb1d, 0xfb4f],
+  ["arabic", 0x0600, 0x06ff],
+  ["arabic", 0x0750, 0x077f],
+  ["arabic", 0x08a0, 0x08ff],
+  ["arabic", 0xfb50, 0xfdff],
+  ["arabic", 0xfe70, 0xfeff],
+  ["hangul", 0x1100, 0x11ff],
+  ["hangul", 0x3130, 0x318f],
+  ["hangul", 0xac00, 0xd7af],
+  ["kana", 0x3040, 0x30ff],
+  ["kana", 0x31f0, 0x31ff],
+  ["han", 0x2e80, 0x2fdf],
+  ["han", 0x3000, 0x303f],
+  ["han", 0x3400, 0x4dbf],
+  ["han", 0x4e00, 0x9fff],
+  ["han", 0xf900, 0xfaff],
+  ["han", 0xff00, 0xffef],
+  ["han", 0x20000, 0x2fa1f],
+  ["emoji", 0x1f000, 0x1faff],
+  ["emoji", 0x2600, 0x27bf],
+];
+
+const RTL_SCRIPTS = new Set(["arabic", "hebrew"]);
+
+// Joiners / variation selectors ride along with the previous character and may be dropped.
+export function isJoiner(ch) {
+  const cp = ch.codePointAt(0);
+  return cp === 0x200d || cp === 0xfe0e || cp === 0xfe0f || (cp >= 0x1f3fb && cp <= 0x1f3ff);
+}
+
+// "latin" | "greek" | "cyrillic" | "hebrew" | "arabic" | "hangul" | "kana" | "han" | "emoji" | "common"
+export function scriptOf(ch) {
+  const cp = ch.codePointAt(0);
+  for (const [script, lo, hi] of SCRIPT_RANGES) if (cp >= lo && cp <= hi) return script;
+  if (/\p{L}/u.test(ch)) return "latin";
+  return "common";
+}
+
+export function isRtlScript(script) {
+  return RTL_SCRIPTS.has(script);
+}
+
+// Bidi class, simplified: "rtl" | "ltr" | "num" (European digits) | "neutral" (spaces, punctuation, marks)
+export function directionOf(ch) {
+  const script = scriptOf(ch);
+  if (isRtlScript(script)) return "rtl";
+  if (/\p{Nd}/u.test(ch)) return "num";
+  if (script === "common" || /\p{M}/u.test(ch)) return "neutral";
+  return "ltr";
+}
+
+// Paragraph direction from the first strong character (UAX #9 rules P2/P3).
+export function baseDirection(text) {
+  for (const ch of String(text ?? "")) {
+    const d = directionOf(ch);
+    if (d === "rtl" || d === "ltr") return d;
+  }
+  return "ltr";
+}
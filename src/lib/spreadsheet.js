@@ -0,0 +1,210 @@
+// Browser-side XLSX / ODS reader built on JSZip + DOMParser.
+// Produces plain string tables; date cells (by cell type or number format) come out as
+// YYYY-MM-DD. Other numbers stay as they are: a year like 2024 is not a date serial.
+import JSZip from "jszip";
+import { tableFromRecords } from "./parsers.js";
+
+const MAX_REPEAT = 1000; // ODS pads sheets with huge "repeated" empty rows/columns
+
+// Built-in Excel number formats that are dates/times.
+const BUILTIN_DATE_FORMATS = new Set([14, 15, 16, 17, 18, 19, 20, 21, 22, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 45, 46, 47, 50, 51, 52, 53, 54, 55, 56, 57, 58]);
+
+export function isSpreadsheetFile(name) {
+  return /\.(xlsx|ods)$/i.test(name || "");
+}
+
+// Excel serial day number => "YYYY-MM-DD" (1900 system includes the fake 1900-02-29).
+export function excelSerialToIso(serial, date1904 = false) {
+  const n = Number(serial);
+  if (!Number.isFinite(n)) return "";
+  let days = Math.floor(n);
+  if (!date1904 && days < 61) days += 1; // before the phantom leap day
+  const epoch = date1904 ? Date.UTC(1904, 0, 1) : Date.UTC(1899, 11, 30);
+  return new Date(epoch + days * 86400000).toISOString().slice(0, 10);
+}
+
+function parseXml(text) {
+  const doc = new DOMParser().parseFromString(text, "application/xml");
+  if (doc.getElementsByTagName("parsererror").length) throw new Error("Spreadsheet contains invalid XML.");
+  return doc;
+}
+
+async function readXml(zip, path) {
+  const file = zip.file(path);
+  return file ? parseXml(await file.async("string")) : null;
+}
+
+function children(el, tagName) {
+  return Array.from(el.childNodes).filter((n) => n.nodeType === 1 && n.nodeName === tagName);
+}
+
+// Attribute lookup that ignores the namespace prefix (r:id vs. ns1:id etc.)
+function attrBySuffix(el, suffix) {
+  for (const a of Array.from(el.attributes)) {
+    if (a.name === suffix || a.name.endsWith(`:${suffix}`)) return a.value;
+  }
+  return null;
+}
+
+function columnIndex(ref) {
+  const letters = (ref || "").match(/^[A-Z]+/i)?.[0]?.toUpperCase() || "";
+  let n = 0;
+  for (const ch of letters) n = n * 26 + (ch.charCodeAt(0) - 64);
+  return n - 1;
+}
+
+function trimTable(rows) {
+  const out = rows.map((r) => {
+    let end = r.length;
+    while (end > 0 && !String(r[end - 1] ?? "").trim()) end--;
+    return Array.from(r.slice(0, end), (c) => c ?? "");
+  });
+  while (out.length && out[out.length - 1].length === 0) out.pop();
+  return out;
+}
+
+// ---------- XLSX ----------
+
+function isDateFormatCode(code) {
+  const stripped = code.replace(/"[^"]*"/g, "").replace(/\[[^\]]*\]/g, "").replace(/\\./g, "");
+  return /[dmy]/i.test(stripped) && !/^[#0.,%\s]*$/.test(stripped);
+}
+
+function readDateStyles(stylesDoc) {
+  if (!stylesDoc) return [];
+  const custom = new Map();
+  for (const nf of Array.from(stylesDoc.getElementsByTagName("numFmt"))) {
+    custom.set(Number(nf.getAttribute("numFmtId")), nf.getAttribute("formatCode") || "");
+  }
+  const cellXfs = stylesDoc.getElementsByTagName("cellXfs")[0];
+  if (!cellXfs) return [];
+  return children(cellXfs, "xf").map((xf) => {
+    const id = Number(xf.getAttribute("numFmtId") || 0);
+    return BUILTIN_DATE_FORMATS.has(id) || (custom.has(id) && isDateFormatCode(custom.get(id)));
+  });
+}
+
+function richText(el) {
+  // <si>/<is>: either <t> or runs <r><t>; skip phonetic <rPh>
+  const parts = [];
+  for (const node of Array.from(el.childNodes)) {
+    if (node.nodeName === "t") parts.push(node.textContent);
+    else if (node.nodeName === "r") children(node, "t").forEach((t) => parts.push(t.textContent));
+  }
+  return parts.join("");
+}
+
+async function readXlsx(zip) {
+  const workbook = await readXml(zip, "xl/workbook.xml");
+  if (!workbook) throw new Error("Not a valid .xlsx file (missing workbook).");
+
+  const date1904 = ["1", "true"].includes(workbook.getElementsByTagName("workbookPr")[0]?.getAttribute("date1904"));
+
+  const rels = await readXml(zip, "xl/_rels/workbook.xml.rels");
+  const targets = new Map();
+  for (const rel of Array.from(rels?.getElementsByTagName("Relationship") || [])) {
+    const target = rel.getAttribute("Target") || "";
+    targets.set(rel.getAttribute("Id"), target.startsWith("/") ? target.slice(1) : `xl/${target}`);
+  }
+
+  const sstDoc = await readXml(zip, "xl/sharedStrings.xml");
+  const sharedStrings = sstDoc ? children(sstDoc.documentElement, "si").map(richText) : [];
+  const dateStyles = readDateStyles(await readXml(zip, "xl/styles.xml"));
+
+  const sheets = [];
+  for (const sheetEl of Array.from(workbook.getElementsByTagName("sheet"))) {
+    const name = sheetEl.getAttribute("name") || `Sheet ${sheets.length + 1}`;
+    const path = targets.get(attrBySuffix(sheetEl, "id"));
+    const doc = path ? await readXml(zip, path) : null;
+    if (!doc) continue;
+
+    const rows = [];
+    for (const rowEl of Array.from(doc.getElementsByTagName("row"))) {
+      const rowNum = Number(rowEl.getAttribute("r"));
+      const r = Number.isInteger(rowNum) && rowNum > 0 ? rowNum - 1 : rows.length;
+      const cells = [];
+      let col = 0;
+      for (const c of children(rowEl, "c")) {
+        const ref = c.getAttribute("r");
+        if (ref) col = columnIndex(ref);
+        const type = c.getAttribute("t") || "n";
+        const v = children(c, "v")[0]?.textContent ?? "";
+
+        let value;
+        if (type === "s") value = sharedStrings[Number(v)] ?? "";
+        else if (type === "inlineStr") value = children(c, "is")[0] ? richText(children(c, "is")[0]) : "";
+        else if (type === "b") value = v === "1" ? "TRUE" : "FALSE";
+        else if (type === "d") value = v.slice(0, 10);
+        else if (type === "n" && v !== "" && dateStyles[Number(c.getAttribute("s") || 0)]) value = excelSerialToIso(v, date1904);
+        else value = v;
+
+        cells[col] = value;
+        col++;
+      }
+      rows[r] = cells;
+    }
+    sheets.push({ name, rows: trimTable(Array.from(rows, (r) => r || [])), date1904 });
+  }
+  return sheets;
+}
+
+// ---------- ODS ----------
+
+function odsCellText(cell) {
+  const type = cell.getAttribute("office:value-type");
+  if (type === "date") return (cell.getAttribute("office:date-value") || "").slice(0, 10);
+  if (type === "float" || type === "percentage" || type === "currency") {
+    const v = cell.getAttribute("office:value");
+    if (v != null) return v;
+  }
+  if (type === "boolean") return cell.getAttribute("office:boolean-value") === "true" ? "TRUE" : "FALSE";
+  return Array.from(cell.getElementsByTagName("text:p"))
+    .map((p) => p.textContent)
+    .join("\n");
+}
+
+async function readOds(zip) {
+  const content = await readXml(zip, "content.xml");
+  if (!content) throw new Error("Not a valid .ods file (missing content.xml).");
+
+  const sheets = [];
+  for (const table of Array.from(content.getElementsByTagName("table:table"))) {
+    const name = table.getAttribute("table:name") || `Sheet ${sheets.length + 1}`;
+    const rows = [];
+    for (const rowEl of Array.from(table.getElementsByTagName("table:table-row"))) {
+      const cells = [];
+      for (const cell of Array.from(rowEl.childNodes)) {
+        if (cell.nodeName !== "table:table-cell" && cell.nodeName !== "table:covered-table-cell") continue;
+        const text = odsCellText(cell);
+        const repeat = Number(cell.getAttribute("table:number-columns-repeated") || 1);
+        for (let i = 0; i < Math.min(repeat, text ? MAX_REPEAT : 1); i++) cells.push(text);
+      }
+      const hasContent = cells.some((c) => c);
+      const repeat = Number(rowEl.getAttribute("table:number-rows-repeated") || 1);
+      for (let i = 0; i < Math.min(repeat, hasContent ? MAX_REPEAT : 1); i++) rows.push(cells);
+    }
+    sheets.push({ name, rows: trimTable(rows), date1904: false });
+  }
+  return sheets;
+}
+
+// Returns { sheets: [{ name, rows: string[][], date1904 }] } or { error }.
+export async function readWorkbook(buffer, filename) {
+  try {
+    const zip = await JSZip.loadAsync(buffer);
+    const sheets = /\.ods$/i.test(filename || "") || zip.file("content.xml") ? await readOds(zip) : await readXlsx(zip);
+    if (!sheets.length) return { error: "The workbook has no sheets." };
+    return { sheets };
+  } catch (e) {
+    return { error: `Could not read spreadsheet: ${e?.message || "unknown error"}` };
+  }
+}
+
+function sheetToRecords(sheet) {
+  return sheet.rows.map((cells, i) => ({ cells, line: i + 1 })).filter((r) => r.cells.some((c) => String(c).trim()));
+}
+
+// Sheet => the same { kind, headers, records, … } table shape as csvTable.
+export function sheetTable(sheet) {
+  return tableFromRecords(sheetToRecords(sheet), { kind: "Sheet" });
+}
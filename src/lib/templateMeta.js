@@ -0,0 +1,92 @@
+// Template metadata: a sidecar JSON stored next to the background in R2 ("<template key>.json").
+// Shared by /api/templates (listing), /api/templates/meta and the editor.
+//
+// {
+//   version: 1,
+//   name, category,
+//   paper, orientation,          // "A4" | "LETTER"…, "landscape" | "portrait" ("" = any)
+//   fonts: ["Cinzel", …],        // recommended families, best first
+//   colors: ["#1e2233", …],      // recommended text colours
+//   layout,                      // lib/layout.js; applied when the template is picked (or null)
+// }
+import { SIZES } from "./constants.js";
+import { normalizeLayout } from "./layout.js";
+
+export const TEMPLATE_META_VERSION = 1;
+
+const MAX_NAME = 80;
+const MAX_CATEGORY = 40;
+const MAX_FONTS = 8;
+const MAX_COLORS = 12;
+
+export function templateMetaKey(templateKey) {
+  return `${templateKey}.json`;
+}
+
+export function isTemplateMetaKey(key) {
+  return /\.json$/i.test(String(key || ""));
+}
+
+function cleanText(value, max) {
+  return String(value ?? "")
+    .replace(/\s+/g, " ")
+    .trim()
+    .slice(0, max);
+}
+
+// Accepts metadata or its JSON. Returns { meta } or { error }.
+export function normalizeTemplateMeta(input) {
+  let raw = input;
+  if (typeof raw === "string") {
+    try {
+      raw = JSON.parse(raw);
+    } catch {
+      return { error: "Template metadata is not valid JSON." };
+    }
+  }
+  if (!raw || typeof raw !== "object") return { error: "Template metadata must be an object." };
+
+  const version = raw.version == null ? TEMPLATE_META_VERSION : Number(raw.version);
+  if (!Number.isInteger(version) || version < 1) return { error: "Template metadata version is invalid." };
+  if (version > TEMPLATE_META_VERSION) {
+    return { error: `Template metadata version ${version} is newer than this app supports (${TEMPLATE_META_VERSION}).` };
+  }
+
+  const paper = String(raw.paper || "").toUpperCase();
+  if (paper && !SIZES[paper]) return { error: `Unknown paper size "${raw.paper}".` };
+
+  const orientation = String(raw.orientation || "").toLowerCase();
+  if (orientation && orientation !== "landscape" && orientation !== "portrait") {
+    return { error: "Orientation must be landscape or portrait." };
+  }
+
+  const fonts = (Array.isArray(raw.fonts) ? raw.fonts : [])
+    .map((f) => cleanText(f, 60))
+    .filter(Boolean)
+    .slice(0, MAX_FONTS);
+
+  const colors = (Array.isArray(raw.colors) ? raw.colors : [])
+    .map((c) => String(c || "").trim().toLowerCase())
+    .filter((c) => /^#[0-9a-f]{6}$/.test(c))
+    .slice(0, MAX_COLORS);
+
+  let layout = null;
+  if (raw.layout != null) {
+    const parsed = normalizeLayout(raw.layout);
+    if (parsed.error) return { error: parsed.error };
+    layout = parsed.layout;
+  }
+
+  return {
+    meta: {
+      version: TEMPLATE_META_VERSION,
+      name: cleanText(raw.name, MAX_NAME),
+      category: cleanText(raw.category, MAX_CATEGORY),
+      paper,
+      orientation,
+      fonts,
+      colors,
+      layout,
+    },
+  };
+}
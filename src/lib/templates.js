@@ -1,3 +1,5 @@
+import { rasterizePdf } from "./pdfRaster";
+
 export async function ensureFontLoaded(fontFamily, weight = 400) {
   try {
     if (!document.fonts?.load) return;
@@ -57,9 +59,90 @@ export function coverRect(imgW, imgH, boxW, boxH) {
   return { x, y, w, h };
 }
 
+// Uploads, sidecars and images belong to the caller's organisation, which the server takes from
+// the session cookie (functions/_lib/auth.js); without a session it's the shared "default" one.
 export async function fetchTemplates() {
   const res = await fetch("/api/templates");
   if (!res.ok) throw new Error(await res.text());
   const data = await res.json();
   return data.templates || [];
 }
+
+const THUMBNAIL_WIDTH = 320;
+
+// Small JPEG preview of an image or PDF (first page) file; null if the browser can't draw it
+async function thumbnailFor(file) {
+  let source = null;
+  const url = URL.createObjectURL(file);
+  try {
+    if (file.type === "application/pdf" || /\.pdf$/i.test(file.name)) {
+      source = await rasterizePdf(await file.arrayBuffer(), { width: THUMBNAIL_WIDTH });
+    } else if (/^image\/(png|jpeg)$/.test(file.type)) {
+      source = new Image();
+      source.src = url;
+      await source.decode();
+    }
+    if (!source) return null;
+
+    const w = source.naturalWidth || source.width;
+    const h = source.naturalHeight || source.height;
+    const canvas = document.createElement("canvas");
+    canvas.width = THUMBNAIL_WIDTH;
+    canvas.height = Math.round((h / w) * THUMBNAIL_WIDTH);
+    const ctx = canvas.getContext("2d");
+    ctx.fillStyle = "#fff"; // transparent PDF pages / PNGs
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(source, 0, 0, canvas.width, canvas.height);
+    return await new Promise((res) => canvas.toBlob(res, "image/jpeg", 0.8));
+  } catch {
+    return null;
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+// Uploads a PNG/JPG/PDF background for the current organisation. => the new template entry
+export async function uploadTemplate({ file, label, paper, orientation }) {
+  const form = new FormData();
+  form.append("file", file);
+  form.append("label", label || "");
+  form.append("paper", paper);
+  if (orientation) form.append("orientation", orientation);
+  const thumbnail = await thumbnailFor(file);
+  if (thumbnail) form.append("thumbnail", thumbnail, "thumbnail.jpg");
+
+  const res = await fetch("/api/templates", { method: "POST", body: form });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || `Upload failed (${res.status})`);
+  return data.template;
+}
+
+// Sidecar metadata for one of the organisation's uploads (see src/lib/templateMeta.js). => meta
+export async function saveTemplateMeta(key, meta) {
+  const res = await fetch(`/api/templates/meta?key=${encodeURIComponent(key)}`, {
+    method: "PUT",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(meta),
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || `Request failed (${res.status})`);
+  return data.meta;
+}
+
+// The organisation's image library for image elements (see functions/_lib/assets.js). => [asset]
+export async function fetchAssets() {
+  const res = await fetch("/api/assets");
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || `Request failed (${res.status})`);
+  return data.assets || [];
+}
+
+// Uploads a PNG/JPG under its file name, replacing an image of the same name. => the asset
+export async function uploadAsset(file) {
+  const form = new FormData();
+  form.append("file", file);
+  const res = await fetch("/api/assets", { method: "POST", body: form });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || `Upload failed (${res.status})`);
+  return data.asset;
+}
@@ -0,0 +1,117 @@
+// Konva-compatible text layout so PDF output wraps and aligns like the editor canvas.
+// `measure(str, start)` returns the rendered width of `str` in the same units as `maxWidth`;
+// `start` is where `str` begins in the whole text (code points), for rich text whose width
+// depends on the spans it covers (lib/richText.js).
+
+const SPACE = " ";
+const DASH = "-";
+
+// Mirrors Konva.Text#_setTextData for wrap="word": binary-search the longest prefix that fits,
+// then back off to the last space/dash; words longer than the box break mid-word.
+// => [{ text, start, lastInParagraph }] (justified text leaves the last line of a paragraph
+// ragged; `start` = the line's offset in `text`, in code points)
+export function wrapLines(text, maxWidth, measure) {
+  const out = [];
+  let offset = 0;
+  for (const paragraph of String(text ?? "").split("\n")) {
+    const first = out.length;
+    wrapParagraph(paragraph, offset, maxWidth, measure, out);
+    if (out.length > first) out[out.length - 1].lastInParagraph = true;
+    offset += Array.from(paragraph).length + 1;
+  }
+  return out;
+}
+
+function wrapParagraph(paragraph, start, maxWidth, measure, out) {
+  let line = paragraph;
+  let offset = start;
+  if (!(maxWidth > 0) || measure(line, offset) <= maxWidth) {
+    out.push({ text: line, start: offset, lastInParagraph: false });
+    return;
+  }
+
+  while (line.length > 0) {
+    const chars = Array.from(line);
+    let low = 0;
+    let high = chars.length;
+    let match = "";
+    while (low < high) {
+      const mid = (low + high) >>> 1;
+      const substr = chars.slice(0, mid + 1).join("");
+      if (measure(substr, offset) <= maxWidth) {
+        low = mid + 1;
+        match = substr;
+      } else {
+        high = mid;
+      }
+    }
+    if (!match) break;
+
+    const matchChars = Array.from(match);
+    const nextChar = chars[matchChars.length];
+    let wrapIndex;
+    if (nextChar === SPACE || nextChar === DASH) wrapIndex = matchChars.length;
+    else wrapIndex = Math.max(matchChars.lastIndexOf(SPACE), matchChars.lastIndexOf(DASH)) + 1;
+    if (wrapIndex > 0) {
+      low = wrapIndex;
+      match = chars.slice(0, low).join("");
+    }
+
+    out.push({ text: match.trimEnd(), start: offset, lastInParagraph: false });
+    const rest = chars.slice(low);
+    line = rest.join("").trimStart();
+    offset += low + rest.length - Array.from(line).length;
+    if (line.length > 0 && measure(line, offset) <= maxWidth) {
+      out.push({ text: line, start: offset, lastInParagraph: false });
+      break;
+    }
+  }
+}
+
+// Left edge of a line inside a box of `boxWidth` for left/center/right alignment.
+export function alignOffset(align, boxWidth, lineWidth) {
+  if (align === "center") return (boxWidth - lineWidth) / 2;
+  if (align === "right") return boxWidth - lineWidth;
+  return 0;
+}
+
+// Distance from the top of a line box to the alphabetic baseline. Konva draws each line
+// with textBaseline "middle" at lineHeight / 2; shifting by half of (ascent - descent)
+// turns that into a baseline. ascent/descent are positive, in the same units as fontSize.
+export function baselineOffset(lineHeightPx, ascent, descent) {
+  return lineHeightPx / 2 + (ascent - descent) / 2;
+}
+
+// Extra width per space when a justified line is stretched to the box (Konva: every
+// space of a non-final line grows by the same amount).
+export function justifyGap(lineText, boxWidth, lineWidth) {
+  const spaces = lineText.split(SPACE).length - 1;
+  return spaces > 0 ? Math.max(0, boxWidth - lineWidth) / spaces : 0;
+}
+
+// Box layout: wrap at `width`, then shrink from `fontSize` towards `minFontSize` (1pt steps)
+// until the block fits `maxLines` / `height` and no single word has to break mid-word.
+// Whatever still doesn't fit at the minimum size is cut (like Konva with a fixed height).
+// `measureAt(str, size, start)` => width of `str` (at `start` in the text) at font size `size`.
+// => { fontSize, lines: [{ text, start, lastInParagraph }], overflow: number of lines cut }
+export function fitTextBox({ text, width, height, maxLines, fontSize, minFontSize, lineHeight = 1 }, measureAt) {
+  const min = Math.min(fontSize, minFontSize > 0 ? minFontSize : fontSize);
+  const t = String(text ?? "");
+  const words = Array.from(t.matchAll(/\S+/g), (m) => ({ text: m[0], start: Array.from(t.slice(0, m.index)).length }));
+
+  let size = fontSize;
+  for (;;) {
+    const measure = (s, start) => measureAt(s, size, start);
+    const lines = wrapLines(text, width, measure);
+    const byHeight = height > 0 ? Math.max(1, Math.floor((height + 1e-6) / (size * lineHeight))) : Infinity;
+    const limit = Math.min(maxLines > 0 ? maxLines : Infinity, byHeight);
+    const fits = lines.length <= limit && !(width > 0 && words.some((w) => measure(w.text, w.start) > width));
+
+    if (fits || size <= min) {
+      const kept = lines.slice(0, limit);
+      if (kept.length < lines.length) kept[kept.length - 1] = { ...kept[kept.length - 1], lastInParagraph: true };
+      return { fontSize: size, lines: kept, overflow: lines.length - kept.length };
+    }
+    size = Math.max(min, size - 1);
+  }
+}
@@ -22,6 +22,7 @@ export const styles = {
   brand: { fontSize: 22, fontWeight: 800, letterSpacing: 0.2 },
   subbrand: { marginTop: 2, fontSize: 13, opacity: 0.85 },
   headerActions: { display: "flex", gap: 10, flexWrap: "wrap", justifyContent: "flex-end" },
+  headerField: { display: "flex", alignItems: "center", gap: 6, fontSize: 12, opacity: 0.9 },
 
   grid: {
     marginTop: 16,
@@ -73,6 +74,27 @@ export const styles = {
     whiteSpace: "pre-wrap",
     fontSize: 13,
   },
+  warning: {
+    marginTop: 10,
+    padding: 10,
+    borderRadius: 12,
+    background: "rgba(255,176,32,0.10)",
+    border: "1px solid rgba(255,176,32,0.35)",
+    color: "#ffe7b8",
+    whiteSpace: "pre-wrap",
+    fontSize: 12,
+  },
+
+  mappingBox: {
+    marginTop: 10,
+    padding: 10,
+    borderRadius: 14,
+    border: "1px solid rgba(255,255,255,0.10)",
+    background: "rgba(255,255,255,0.04)",
+  },
+  mappingRow: { display: "grid", gridTemplateColumns: "1fr 1fr", gap: 10, alignItems: "center" },
+  mappingHeader: { fontSize: 12, fontWeight: 700, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" },
+  mappingSample: { fontSize: 11, opacity: 0.7, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" },
 
   btnPrimary: {
     padding: "11px 14px",
@@ -0,0 +1,10 @@
+import React from "react";
+import ReactDOM from "react-dom/client";
+import VerifyPage from "./VerifyPage.jsx";
+import "./styles/forms.css";
+
+ReactDOM.createRoot(document.getElementById("root")).render(
+  <React.StrictMode>
+    <VerifyPage />
+  </React.StrictMode>
+);
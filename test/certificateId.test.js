@@ -0,0 +1,36 @@
+import { describe, expect, it } from "vitest";
+import { SAMPLE_CERTIFICATE_ID, newCertificateId, normalizeCertificateId, verifyUrlFor } from "../src/lib/certificateId.js";
+
+describe("newCertificateId", () => {
+  it("makes unique 12-character Crockford IDs", () => {
+    const ids = Array.from({ length: 200 }, newCertificateId);
+    for (const id of ids) {
+      expect(id).toMatch(/^[0-9A-HJKMNP-TV-Z]{4}-[0-9A-HJKMNP-TV-Z]{4}-[0-9A-HJKMNP-TV-Z]{4}$/);
+      expect(normalizeCertificateId(id)).toBe(id);
+    }
+    expect(new Set(ids).size).toBe(ids.length);
+  });
+});
+
+describe("normalizeCertificateId", () => {
+  it("accepts typed variants", () => {
+    expect(normalizeCertificateId(" 7k3q m9xd 2hfa ")).toBe("7K3Q-M9XD-2HFA");
+    expect(normalizeCertificateId("7K3QM9XD2HFA")).toBe("7K3Q-M9XD-2HFA");
+    // O => 0, I/L => 1
+    expect(normalizeCertificateId("OIL0-0000-0000")).toBe("0110-0000-0000");
+  });
+
+  it("rejects anything that can't be an ID", () => {
+    expect(normalizeCertificateId("7K3Q-M9XD")).toBe("");
+    expect(normalizeCertificateId("7K3Q-M9XD-2HFU")).toBe("");
+    expect(normalizeCertificateId(SAMPLE_CERTIFICATE_ID)).toBe("");
+    expect(normalizeCertificateId(undefined)).toBe("");
+  });
+});
+
+describe("verifyUrlFor", () => {
+  it("builds the verification link", () => {
+    expect(verifyUrlFor("https://example.com/", "7K3Q-M9XD-2HFA")).toBe("https://example.com/verify?id=7K3Q-M9XD-2HFA");
+    expect(verifyUrlFor("", "A B")).toBe("/verify?id=A%20B");
+  });
+});
@@ -0,0 +1,35 @@
+import { describe, expect, it } from "vitest";
+import { MAX_PAGE_PT, MIN_PAGE_PT, isPaperSize, orientationOfPage, pageSizeFor } from "../src/lib/constants.js";
+
+describe("pageSizeFor", () => {
+  it("applies the orientation to named papers", () => {
+    expect(pageSizeFor("A4")).toEqual({ w: 842, h: 595 });
+    expect(pageSizeFor("A4", "portrait")).toEqual({ w: 595, h: 842 });
+    expect(pageSizeFor("LEGAL", "portrait")).toEqual({ w: 612, h: 1008 });
+    expect(pageSizeFor("A3", "landscape")).toEqual({ w: 1191, h: 842 });
+  });
+
+  it("falls back to A4 for unknown papers", () => {
+    expect(pageSizeFor("B5", "portrait")).toEqual({ w: 595, h: 842 });
+  });
+
+  it("converts custom sizes and lets the orientation pick the long side", () => {
+    expect(pageSizeFor("CUSTOM", "landscape", { width: 210, height: 297, unit: "mm" })).toEqual({ w: 842, h: 595 });
+    expect(pageSizeFor("CUSTOM", "portrait", { width: 8, height: 10, unit: "in" })).toEqual({ w: 576, h: 720 });
+    // Unknown units are millimetres
+    expect(pageSizeFor("CUSTOM", "landscape", { width: 100, height: 100, unit: "cm" })).toEqual({ w: 283, h: 283 });
+  });
+
+  it("clamps custom sizes to what a PDF page can hold", () => {
+    expect(pageSizeFor("CUSTOM", "landscape", { width: 1, height: 99999, unit: "mm" })).toEqual({ w: MAX_PAGE_PT, h: MIN_PAGE_PT });
+    expect(pageSizeFor("CUSTOM", "landscape", { width: "x", unit: "mm" })).toEqual({ w: MIN_PAGE_PT, h: MIN_PAGE_PT });
+  });
+});
+
+describe("paper helpers", () => {
+  it("know the papers and tell the orientation of a page", () => {
+    expect(["A5", "LETTER", "CUSTOM", "a4", "B5"].map(isPaperSize)).toEqual([true, true, true, false, false]);
+    expect(orientationOfPage({ width: 595, height: 842 })).toBe("portrait");
+    expect(orientationOfPage({ width: 500, height: 500 })).toBe("landscape");
+  });
+});
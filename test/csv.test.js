@@ -0,0 +1,71 @@
+import { describe, expect, it } from "vitest";
+import { decodeText, detectDelimiter, parseCsvRecords } from "../src/lib/csv.js";
+import { parseCsv, rowsFromTable, csvTable } from "../src/lib/parsers.js";
+
+const cells = (text, options) => parseCsvRecords(text, options).records.map((r) => r.cells);
+
+describe("parseCsvRecords", () => {
+  it("reads quoted fields, escaped quotes and embedded newlines", () => {
+    const { records, errors } = parseCsvRecords('name,title\n"Doe, Jane","The ""Best""\r\nAward"\nBob,X\n');
+    expect(errors).toEqual([]);
+    expect(records.map((r) => r.cells)).toEqual([
+      ["name", "title"],
+      ["Doe, Jane", 'The "Best"\nAward'],
+      ["Bob", "X"],
+    ]);
+    // Lines are where each record starts
+    expect(records.map((r) => r.line)).toEqual([1, 2, 4]);
+  });
+
+  it("skips blank lines but keeps a quoted empty record", () => {
+    expect(cells('a\n\n\nb\n""\n')).toEqual([["a"], ["b"], [""]]);
+  });
+
+  it("strips a BOM and detects ; and TAB delimiters", () => {
+    expect(cells("\ufeffname;title\nA;B")).toEqual([
+      ["name", "title"],
+      ["A", "B"],
+    ]);
+    expect(cells("name\ttitle\nA\tB")[1]).toEqual(["A", "B"]);
+    expect(cells("a;b,c", { delimiter: "," })).toEqual([["a;b", "c"]]);
+  });
+
+  it("reports unterminated quotes and text after a closing quote", () => {
+    expect(parseCsvRecords('a,"b\nc').errors).toEqual([{ line: 1, message: "Unterminated quoted field." }]);
+    expect(parseCsvRecords('a,"b"c\n').errors).toEqual([{ line: 1, message: "Unexpected text after a closing quote." }]);
+  });
+});
+
+describe("detectDelimiter", () => {
+  it("counts only the first line, outside quotes", () => {
+    expect(detectDelimiter('"a;b;c",d\n1;2;3;4;5')).toBe(",");
+    expect(detectDelimiter("\n\na;b,c;d")).toBe(";");
+  });
+});
+
+describe("decodeText", () => {
+  it("honours BOMs and falls back to Windows-1252", () => {
+    expect(decodeText(new Uint8Array([0xef, 0xbb, 0xbf, 0x68, 0x69]))).toBe("hi");
+    expect(decodeText(new Uint8Array([0xff, 0xfe, 0x68, 0x00]))).toBe("h");
+    expect(decodeText(new Uint8Array([0x4a, 0xf6, 0x72, 0x67]))).toBe("Jörg");
+    expect(decodeText(new TextEncoder().encode("Zoë"))).toBe("Zoë");
+  });
+});
+
+describe("parseCsv / rowsFromTable", () => {
+  it("keeps valid rows and reports the others by line", () => {
+    const { rows, errors } = parseCsv("name,title,date,email\nAnn,Course,2024,ann@x.org\n,Course\nBob,\n");
+    expect(rows).toEqual([{ name: "Ann", award: "Course", date: "2024", issuer: "", data: { name: "Ann", title: "Course", date: "2024", email: "ann@x.org" } }]);
+    expect(errors).toEqual([
+      { line: 3, message: "Missing name." },
+      { line: 4, message: "Missing title." },
+    ]);
+  });
+
+  it("needs name and title headers, or a mapping for them", () => {
+    expect(parseCsv("who,what\nA,B").error).toMatch(/name,title/);
+    const table = csvTable("who,what\nA,B");
+    expect(rowsFromTable(table, ["name", "award"]).rows[0]).toMatchObject({ name: "A", award: "B" });
+    expect(rowsFromTable(table, ["name", ""]).error).toMatch(/Title/);
+  });
+});
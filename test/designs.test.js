@@ -0,0 +1,78 @@
+import { describe, expect, it } from "vitest";
+import * as designs from "../functions/api/designs/index.js";
+import * as design from "../functions/api/designs/[id].js";
+import { onRequestPost as duplicate } from "../functions/api/designs/[id]/duplicate.js";
+import { MAX_DESIGN_BYTES, readDesignBody } from "../functions/_lib/designs.js";
+import { memoryBucket } from "./r2.js";
+
+const valid = { name: "Course", templateKey: "templates/a.png", layout: { page: { width: 842, height: 595 }, fields: [] } };
+
+function setup() {
+  const env = { CERT_TEMPLATES: memoryBucket(), PAID_API_KEYS: "acme:key-a,globex:key-b" };
+  const call = (handler, { key, method = "GET", body, params = {}, headers = {} } = {}) =>
+    handler({
+      request: new Request("https://x/api/designs", {
+        method,
+        headers: { ...(key ? { Authorization: `Bearer ${key}` } : {}), ...headers },
+        body: typeof body === "string" ? body : body && JSON.stringify(body),
+      }),
+      params,
+      env,
+    });
+  return { env, call };
+}
+
+describe("/api/designs", () => {
+  it("turns anonymous callers away from every route", async () => {
+    const { env, call } = setup();
+    await env.CERT_TEMPLATES.put("designs/default/d1.json", JSON.stringify(valid));
+    const params = { id: "d1" };
+    const responses = await Promise.all([
+      call(designs.onRequestGet),
+      call(designs.onRequestPost, { method: "POST", body: valid }),
+      call(design.onRequestGet, { params }),
+      call(design.onRequestPut, { method: "PUT", body: valid, params }),
+      call(design.onRequestDelete, { method: "DELETE", params }),
+      call(duplicate, { method: "POST", params }),
+    ]);
+    expect(responses.map((r) => r.status)).toEqual([401, 401, 401, 401, 401, 401]);
+    expect(env.CERT_TEMPLATES.objects.size).toBe(1);
+  });
+
+  it("keeps each organisation's designs to itself", async () => {
+    const { env, call } = setup();
+    const created = await call(designs.onRequestPost, { key: "key-a", method: "POST", body: valid });
+    expect(created.status).toBe(201);
+    const { id } = (await created.json()).design;
+    expect([...env.CERT_TEMPLATES.objects.keys()]).toEqual([`designs/acme/${id}.json`]);
+
+    expect((await (await call(designs.onRequestGet, { key: "key-b" })).json()).designs).toEqual([]);
+    expect((await call(design.onRequestGet, { key: "key-b", params: { id } })).status).toBe(404);
+    expect((await call(design.onRequestPut, { key: "key-b", method: "PUT", body: valid, params: { id } })).status).toBe(404);
+    await call(design.onRequestDelete, { key: "key-b", method: "DELETE", params: { id } });
+    expect((await call(design.onRequestGet, { key: "key-a", params: { id } })).status).toBe(200);
+
+    const copy = await call(duplicate, { key: "key-a", method: "POST", params: { id } });
+    expect((await copy.json()).design.name).toBe("Course (copy)");
+    expect((await (await call(designs.onRequestGet, { key: "key-a" })).json()).designs).toHaveLength(2);
+  });
+
+  it("refuses oversized and non-JSON bodies", async () => {
+    const { env, call } = setup();
+    const big = JSON.stringify({ ...valid, name: "x".repeat(MAX_DESIGN_BYTES) });
+    expect((await call(designs.onRequestPost, { key: "key-a", method: "POST", body: big })).status).toBe(413);
+    expect((await call(designs.onRequestPost, { key: "key-a", method: "POST", body: "nope" })).status).toBe(400);
+    // A declared size over the cap is refused without reading the body
+    const declared = { headers: new Headers({ "Content-Length": String(MAX_DESIGN_BYTES + 1) }), body: null };
+    expect((await readDesignBody(declared)).status).toBe(413);
+    expect(env.CERT_TEMPLATES.objects.size).toBe(0);
+  });
+
+  it("checks If-Match on updates", async () => {
+    const { call } = setup();
+    const { id, etag } = (await (await call(designs.onRequestPost, { key: "key-a", method: "POST", body: valid })).json()).design;
+    const put = (ifMatch) => call(design.onRequestPut, { key: "key-a", method: "PUT", body: { ...valid, name: "New" }, params: { id }, headers: { "If-Match": ifMatch } });
+    expect((await put('"stale"')).status).toBe(412);
+    expect((await put(`"${etag}"`)).status).toBe(200);
+  });
+});
@@ -0,0 +1,83 @@
+import { describe, expect, it } from "vitest";
+import { onRequestGet, onRequestHead, parseRange } from "../functions/api/download/[key].js";
+
+describe("parseRange", () => {
+  it.each([
+    ["bytes=0-99", { offset: 0, length: 100 }],
+    ["bytes=100-", { offset: 100, length: 900 }],
+    ["bytes=-100", { offset: 900, length: 100 }],
+    ["bytes=-5000", { offset: 0, length: 1000 }],
+    ["bytes=990-5000", { offset: 990, length: 10 }],
+    ["BYTES=1-1", { offset: 1, length: 1 }],
+  ])("%s", (header, range) => {
+    expect(parseRange(header, 1000)).toEqual(range);
+  });
+
+  it("ignores missing, invalid and multi-range headers", () => {
+    for (const header of [null, "", "bytes=5-3", "bytes=-", "items=0-1", "bytes=0-1,5-6", "bytes=a-b"]) {
+      expect(parseRange(header, 1000)).toBeNull();
+    }
+  });
+
+  it("is unsatisfiable past the end or for an empty suffix", () => {
+    expect(parseRange("bytes=1000-", 1000)).toBe(false);
+    expect(parseRange("bytes=-0", 1000)).toBe(false);
+  });
+
+  it("serves an empty object whole", () => {
+    expect(parseRange("bytes=0-", 0)).toBeNull();
+    expect(parseRange("bytes=-10", 0)).toBeNull();
+  });
+});
+
+describe("download route", () => {
+  const objects = { "certificates/a.pdf": "0123456789", "certificates/empty.pdf": "", "records/x.json": '{"data":{}}' };
+  const bucket = {
+    head: async (key) => (key in objects ? { size: objects[key].length, httpEtag: '"e"', httpMetadata: {}, customMetadata: {} } : null),
+    get: async (key, options) => {
+      const body = objects[key];
+      const { offset = 0, length = body.length } = options?.range || {};
+      return { body: body.slice(offset, offset + length) };
+    },
+  };
+  const env = { CERTS_BUCKET: bucket };
+  const get = (key, headers = {}) => onRequestGet({ request: new Request("https://x/api/download/k", { headers }), params: { key }, env });
+
+  it("serves only artifact keys", async () => {
+    expect((await get("records/x.json")).status).toBe(404);
+    expect((await get("certificates/../records/x.json")).status).toBe(404);
+    const res = await get("certificates/a.pdf");
+    expect(res.status).toBe(200);
+    expect(res.headers.get("Content-Type")).toBe("application/pdf");
+    expect(await res.text()).toBe("0123456789");
+  });
+
+  it("uses the key as given, without decoding it again", async () => {
+    objects["certificates/100%25.pdf"] = "x";
+    expect((await get("certificates/100%25.pdf")).status).toBe(200);
+  });
+
+  it("answers ranges with 206, 200 or 416", async () => {
+    const partial = await get("certificates/a.pdf", { Range: "bytes=2-4" });
+    expect(partial.status).toBe(206);
+    expect(partial.headers.get("Content-Range")).toBe("bytes 2-4/10");
+    expect(await partial.text()).toBe("234");
+
+    expect((await get("certificates/a.pdf", { Range: "bytes=5-3" })).status).toBe(200);
+    const unsatisfiable = await get("certificates/a.pdf", { Range: "bytes=10-" });
+    expect(unsatisfiable.status).toBe(416);
+    expect(unsatisfiable.headers.get("Content-Range")).toBe("bytes */10");
+
+    const empty = await get("certificates/empty.pdf", { Range: "bytes=0-" });
+    expect(empty.status).toBe(200);
+    expect(empty.headers.get("Content-Range")).toBeNull();
+    expect(empty.headers.get("Content-Length")).toBe("0");
+  });
+
+  it("answers HEAD and If-None-Match without a body", async () => {
+    const head = await onRequestHead({ request: new Request("https://x/"), params: { key: "certificates/a.pdf" }, env });
+    expect(head.status).toBe(200);
+    expect(head.headers.get("Content-Length")).toBe("10");
+    expect((await get("certificates/a.pdf", { "If-None-Match": 'W/"e"' })).status).toBe(304);
+  });
+});
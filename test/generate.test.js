@@ -0,0 +1,69 @@
+import { describe, expect, it, vi } from "vitest";
+import { createGenerateHandler } from "../functions/api/generate.js";
+
+// 1×1 PNG
+const PNG = Uint8Array.from(
+  atob("iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg=="),
+  (c) => c.charCodeAt(0)
+);
+
+function setup() {
+  const stored = {};
+  const env = {
+    CERT_TEMPLATES: { get: vi.fn(async (key) => (key === "templates/a.png" ? { arrayBuffer: async () => PNG.buffer } : null)) },
+    CERTS_BUCKET: { put: vi.fn(async (key, value) => void (stored[key] = value)) },
+  };
+  return { env, stored };
+}
+
+function post(rows) {
+  const form = new FormData();
+  form.set("template_key", "templates/a.png");
+  form.set("rows_json", JSON.stringify(rows));
+  return new Request("https://certs.example/api/generate", { method: "POST", body: form });
+}
+
+const rows = [
+  { name: "Ann", title: "Course", email: "ann@example.org" },
+  { name: "Bob", title: "Course" },
+];
+
+describe("POST /api/generate", () => {
+  it("answers 402 when the entitlement check refuses", async () => {
+    const { env } = setup();
+    const handler = createGenerateHandler({ checkEntitlement: async () => ({ allowed: false, reason: "Pay first." }) });
+    const res = await handler({ request: post(rows), env });
+    expect(res.status).toBe(402);
+    expect(await res.json()).toEqual({ error: "Pay first.", plan: "free" });
+    expect(env.CERT_TEMPLATES.get).not.toHaveBeenCalled();
+  });
+
+  it("answers 413 for batches over the plan's limit without fetching the template", async () => {
+    const { env } = setup();
+    const handler = createGenerateHandler({ checkEntitlement: async () => ({ allowed: true, plan: "paid", maxRows: 1, org: "acme" }) });
+    const res = await handler({ request: post(rows), env });
+    expect(res.status).toBe(413);
+    expect((await res.json()).error).toMatch(/up to 1 certificates/);
+    expect(env.CERT_TEMPLATES.get).not.toHaveBeenCalled();
+    expect(env.CERTS_BUCKET.put).not.toHaveBeenCalled();
+  });
+
+  it("stores the batch and its records and answers 201", async () => {
+    const { env, stored } = setup();
+    const handler = createGenerateHandler({ checkEntitlement: async () => ({ allowed: true, plan: "paid", maxRows: 2, org: "acme" }) });
+    const res = await handler({ request: post(rows), env });
+    expect(res.status).toBe(201);
+    expect(res.headers.get("Cache-Control")).toBe("no-store");
+
+    const body = await res.json();
+    expect(body).toMatchObject({ count: 2, rowErrors: [], warnings: [] });
+    expect(body.key).toMatch(/^certificates\/[0-9a-f-]{36}\.pdf$/);
+    expect(body.url).toBe(`/api/download/${encodeURIComponent(body.key)}`);
+    expect(body.size).toBe(stored[body.key].byteLength);
+    expect(body.certificates.map((c) => c.name)).toEqual(["Ann", "Bob"]);
+    for (const c of body.certificates) {
+      expect(c.verifyUrl).toBe(`https://certs.example/verify?id=${c.id}`);
+      expect(JSON.parse(stored[`records/${c.id}.json`])).toMatchObject({ id: c.id, status: "valid", batchKey: body.key });
+    }
+  });
+});
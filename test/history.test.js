@@ -0,0 +1,57 @@
+import { describe, expect, it } from "vitest";
+import { COALESCE_MS, emptyHistory, recordChange, redoChange, undoChange } from "../src/lib/history.js";
+
+describe("recordChange", () => {
+  it("pushes the state before each change and clears redo", () => {
+    let h = { ...emptyHistory(), future: ["x"] };
+    h = recordChange(h, 1, { now: 0 });
+    h = recordChange(h, 2, { now: 10 });
+    expect(h.past).toEqual([1, 2]);
+    expect(h.future).toEqual([]);
+  });
+
+  it("coalesces same-key changes while they keep coming", () => {
+    let h = emptyHistory();
+    h = recordChange(h, 1, { key: "size", now: 0 });
+    h = recordChange(h, 2, { key: "size", now: COALESCE_MS - 1 });
+    // The window runs from the latest change, so a long drag stays one step
+    h = recordChange(h, 3, { key: "size", now: 2 * COALESCE_MS - 2 });
+    expect(h.past).toEqual([1]);
+
+    h = recordChange(h, 4, { key: "size", now: 3 * COALESCE_MS });
+    h = recordChange(h, 5, { key: "color", now: 3 * COALESCE_MS + 1 });
+    h = recordChange(h, 6, { now: 3 * COALESCE_MS + 2 });
+    h = recordChange(h, 7, { now: 3 * COALESCE_MS + 3 });
+    expect(h.past).toEqual([1, 4, 5, 6, 7]);
+  });
+
+  it("keeps only the newest `limit` steps", () => {
+    let h = emptyHistory();
+    for (let i = 0; i < 5; i++) h = recordChange(h, i, { now: i, limit: 3 });
+    expect(h.past).toEqual([2, 3, 4]);
+  });
+});
+
+describe("undoChange / redoChange", () => {
+  it("swap snapshots between the stacks", () => {
+    let h = recordChange(recordChange(emptyHistory(), "a", { now: 0 }), "b", { now: 1 });
+
+    const undone = undoChange(h, "c");
+    expect(undone.snapshot).toBe("b");
+    expect(undone.history).toMatchObject({ past: ["a"], future: ["c"] });
+
+    const redone = redoChange(undone.history, "b");
+    expect(redone.snapshot).toBe("c");
+    expect(redone.history).toMatchObject({ past: ["a", "b"], future: [] });
+
+    expect(undoChange(emptyHistory(), "x")).toBeNull();
+    expect(redoChange(h, "x")).toBeNull();
+  });
+
+  it("ends coalescing, so the next change is its own step", () => {
+    let h = recordChange(emptyHistory(), 1, { key: "size", now: 0 });
+    h = undoChange(h, 2).history;
+    h = recordChange(h, 1, { key: "size", now: 1 });
+    expect(h.past).toEqual([1]);
+  });
+});
@@ -0,0 +1,82 @@
+import { describe, expect, it } from "vitest";
+import { PDFDocument } from "pdf-lib";
+import { impositionGrid, imposePdf, normalizeImposition, slotFor } from "../src/lib/imposition.js";
+import { UNIT_POINTS } from "../src/lib/constants.js";
+
+describe("normalizeImposition", () => {
+  it("is null for one per page", () => {
+    expect(normalizeImposition({})).toEqual({ imposition: null });
+    expect(normalizeImposition({ perSheet: "1", sheet: "nope" })).toEqual({ imposition: null });
+  });
+
+  it("normalises the sheet and converts the gutter to points", () => {
+    expect(normalizeImposition({ perSheet: "4", sheet: "a3", gutterMm: "10", order: "rows", marks: 0 })).toEqual({
+      imposition: { perSheet: 4, sheet: "A3", gutter: 10 * UNIT_POINTS.mm, order: "rows", marks: false },
+    });
+  });
+
+  it.each([
+    [{ perSheet: 3 }, /per sheet/],
+    [{ perSheet: 2, sheet: "B5" }, /Sheet size/],
+    [{ perSheet: 2, gutterMm: 25 }, /Gutter/],
+    [{ perSheet: 2, gutterMm: "x" }, /Gutter/],
+    [{ perSheet: 2, order: "zigzag" }, /Order/],
+  ])("rejects %o", (input, message) => {
+    expect(normalizeImposition(input).error).toMatch(message);
+  });
+});
+
+describe("impositionGrid", () => {
+  it("fits two A4 landscape certificates on A3 portrait without shrinking", () => {
+    const grid = impositionGrid(842, 595, { perSheet: 2, sheet: "A3", gutter: 0 });
+    expect(grid).toMatchObject({ cols: 1, rows: 2, scale: 1, sheet: { width: 842, height: 1191 } });
+    expect(grid.origin).toEqual({ x: 0, y: (1191 + 1190) / 2 });
+  });
+
+  it("shrinks to make room for the gutter and never enlarges", () => {
+    const grid = impositionGrid(842, 595, { perSheet: 2, sheet: "A3", gutter: 20 });
+    expect(grid.scale).toBeCloseTo((1191 - 20) / 1190, 6);
+    expect(impositionGrid(100, 50, { perSheet: 4, sheet: "A3", gutter: 0 }).scale).toBe(1);
+  });
+
+  it("picks the grid that needs the least shrinking", () => {
+    const grid = impositionGrid(842, 595, { perSheet: 4, sheet: "A3", gutter: 0 });
+    expect(grid).toMatchObject({ cols: 2, rows: 2, sheet: { width: 1191, height: 842 } });
+    expect(grid.scale).toBeCloseTo(1191 / 1684, 6);
+  });
+});
+
+describe("slotFor", () => {
+  it("fills sheets in turn for rows order", () => {
+    expect([0, 1, 2, 3, 4].map((i) => slotFor(i, 5, { perSheet: 4, order: "rows" }))).toEqual([
+      { sheet: 0, slot: 0 },
+      { sheet: 0, slot: 1 },
+      { sheet: 0, slot: 2 },
+      { sheet: 0, slot: 3 },
+      { sheet: 1, slot: 0 },
+    ]);
+  });
+
+  it("deals recipients across sheets for cut & stack", () => {
+    expect([0, 1, 2, 3, 4].map((i) => slotFor(i, 5, { perSheet: 2, order: "stack" }))).toEqual([
+      { sheet: 0, slot: 0 },
+      { sheet: 1, slot: 0 },
+      { sheet: 2, slot: 0 },
+      { sheet: 0, slot: 1 },
+      { sheet: 1, slot: 1 },
+    ]);
+  });
+});
+
+describe("imposePdf", () => {
+  it("puts the certificates on as many sheets as needed", async () => {
+    const doc = await PDFDocument.create();
+    for (let i = 0; i < 5; i++) doc.addPage([842, 595]).drawRectangle({ x: 10, y: 10, width: 100, height: 50 });
+    const { imposition } = normalizeImposition({ perSheet: 2, sheet: "A3" });
+
+    const { pdfBytes, grid } = await imposePdf(await doc.save(), imposition);
+    const out = await PDFDocument.load(pdfBytes);
+    expect(out.getPageCount()).toBe(3);
+    expect(out.getPage(0).getSize()).toEqual(grid.sheet);
+  });
+});
@@ -0,0 +1,105 @@
+import { describe, expect, it } from "vitest";
+import { FIELD_DEFAULTS, anchorX, boxLeft, fieldsFromLayout, layoutFromFields, normalizeLayout, scaleFields } from "../src/lib/layout.js";
+import { readRenderRequest } from "../functions/_lib/render.js";
+
+const page = { width: 842, height: 595 };
+
+describe("normalizeLayout", () => {
+  it("accepts JSON and fills in field defaults", () => {
+    const { layout } = normalizeLayout(JSON.stringify({ paper: "A4", page, fields: [{ id: "name", x: 10, y: "20" }] }));
+    expect(layout).toEqual({ version: 1, paper: "A4", page, fields: [{ ...FIELD_DEFAULTS, id: "name", x: 10, y: 20 }] });
+  });
+
+  it.each([
+    ["{nope", /not valid JSON/],
+    [{ page }, /fields array/],
+    [{ version: 0, page, fields: [] }, /version is invalid/],
+    [{ version: 2, page, fields: [] }, /newer than this renderer/],
+    [{ page: { width: 842 }, fields: [] }, /width and height/],
+  ])("rejects %j", (input, message) => {
+    expect(normalizeLayout(input).error).toMatch(message);
+  });
+
+  it("clamps values, drops bad options and keeps the first of duplicate ids", () => {
+    const { layout } = normalizeLayout({
+      page,
+      fields: [
+        { id: "a", fontSize: 1000, align: "middle", fill: "red", lineHeight: 0, rotation: 720, minFontSize: 200, maxLines: 2.7, height: -5 },
+        { id: "a", text: "second" },
+        null,
+        { text: "no id" },
+      ],
+    });
+    expect(layout.fields).toHaveLength(1);
+    expect(layout.fields[0]).toMatchObject({ fontSize: 300, align: "center", fill: FIELD_DEFAULTS.fill, lineHeight: 0.5, rotation: 360, minFontSize: 200, maxLines: 2 });
+    expect(layout.fields[0]).not.toHaveProperty("height");
+  });
+
+  it("keeps rich text only on fields that support it", () => {
+    const { layout } = normalizeLayout({ page, fields: [{ id: "name", rich: true }, { id: "custom1", rich: true }] });
+    expect(layout.fields.map((f) => !!f.rich)).toEqual([false, true]);
+  });
+});
+
+describe("editor fields", () => {
+  it("anchor x at the aligned edge and round-trip through a layout", () => {
+    const fields = [
+      { ...FIELD_DEFAULTS, id: "a", x: 421, y: 100, width: 400, align: "center" },
+      { ...FIELD_DEFAULTS, id: "b", x: 800, y: 200, width: 300, align: "right" },
+    ];
+    expect(fields.map(boxLeft)).toEqual([221, 500]);
+    expect(anchorX("center", 221, 400)).toBe(421);
+
+    const layout = layoutFromFields(fields, { paper: "A4", ...page });
+    expect(layout.fields.map((f) => f.x)).toEqual([221, 500]);
+    expect(fieldsFromLayout(layout)).toEqual(fields);
+  });
+
+  it("scale to another page: positions per axis, font sizes by the smaller factor", () => {
+    const [f] = scaleFields([{ ...FIELD_DEFAULTS, id: "a", x: 100, y: 100, width: 400, fontSize: 20, height: 50 }], page, { width: 595, height: 842 });
+    expect(f.x).toBeCloseTo(100 * (595 / 842));
+    expect(f.y).toBeCloseTo(100 * (842 / 595));
+    expect(f.width).toBeCloseTo(400 * (595 / 842));
+    expect(f.fontSize).toBe(14.1);
+    expect(f.height).toBeCloseTo(50 * (595 / 842));
+  });
+});
+
+describe("legacy pos_json/style_json forms", () => {
+  const env = { CERT_TEMPLATES: { get: async () => ({ arrayBuffer: async () => new ArrayBuffer(0) }) } };
+
+  async function legacyLayout(entries) {
+    const form = new FormData();
+    form.set("template_key", "templates/a.png");
+    form.set("rows_json", JSON.stringify([{ name: "Ann", title: "Course" }]));
+    for (const [k, v] of Object.entries(entries)) form.set(k, v);
+    return (await readRenderRequest(form, env, "default")).layout;
+  }
+
+  it("turns baseline centres into boxes on an A4 landscape page", async () => {
+    const layout = await legacyLayout({
+      certificate_title: "Well done",
+      pos_json: JSON.stringify({ name: { x: 0.5, y: 0.4 } }),
+      style_json: JSON.stringify({ name: { size: 40, weight: 400, italic: true, color: "#ff0000", font: "Lora" } }),
+    });
+    expect(layout.page).toEqual(page);
+    expect(layout.fields.map((f) => f.id)).toEqual(["certTitle", "subtitle", "name", "description", "award", "date", "issuer"]);
+    expect(layout.fields[0]).toMatchObject({ text: "Well done", fontStyle: "bold", fontSize: 40 });
+
+    const name = layout.fields.find((f) => f.id === "name");
+    expect(name.width).toBeCloseTo(842 * 0.86);
+    expect(name.x).toBeCloseTo(421 - (842 * 0.86) / 2);
+    expect(name.y).toBeCloseTo(0.4 * 595 - 40 * 0.8);
+    expect(name).toMatchObject({ fontFamily: "Lora", fontStyle: "italic", fill: "#ff0000", minFontSize: 18, align: "center" });
+  });
+
+  it("adds the custom fields after the built-in ones", async () => {
+    const layout = await legacyLayout({ custom_fields_json: JSON.stringify([{ id: "custom1", text: "{{email}}" }, { id: 3 }]) });
+    expect(layout.fields.at(-1)).toMatchObject({ id: "custom1", custom: true, text: "{{email}}", fontSize: 16 });
+    expect(layout.fields).toHaveLength(8);
+  });
+
+  it("uses the paper size the form asks for", async () => {
+    expect((await legacyLayout({ paper_size: "A5", orientation: "portrait" })).page).toEqual({ width: 420, height: 595 });
+  });
+});
@@ -0,0 +1,60 @@
+import { describe, expect, it } from "vitest";
+import { fillPlaceholders, findPlaceholders, hasPlaceholders, placeholderKey, placeholderValues } from "../src/lib/placeholders.js";
+import { fieldTextForRow } from "../src/lib/layout.js";
+
+const row = { name: "Ann", award: "Course", date: "", issuer: "ACME", data: { "Completion Date": "1 May", Email: "a@x.org" } };
+
+describe("placeholderKey", () => {
+  it("normalises header names", () => {
+    expect(placeholderKey(" Completion Date ")).toBe("completion_date");
+    expect(placeholderKey("Nº de élève")).toBe("nº_de_élève");
+    expect(placeholderKey("--x--")).toBe("x");
+    expect(placeholderKey(null)).toBe("");
+  });
+});
+
+describe("placeholderValues", () => {
+  it("has every column plus the built-in fields", () => {
+    expect(placeholderValues({ ...row, certificateId: "ID" })).toMatchObject({
+      completion_date: "1 May",
+      email: "a@x.org",
+      name: "Ann",
+      award: "Course",
+      title: "Course",
+      issuer: "ACME",
+      certificate_id: "ID",
+      id: "ID",
+    });
+  });
+
+  it("lets an uploaded column stand in for a certificate ID that wasn't issued", () => {
+    expect(placeholderValues({ data: { "Certificate ID": "X1", id: "7" } })).toMatchObject({ certificate_id: "X1", id: "7" });
+  });
+});
+
+describe("fillPlaceholders", () => {
+  it("fills known keys, however they are written, and blanks unknown ones", () => {
+    expect(fillPlaceholders("{{ Name }} finished on {{completion date}}{{nope}}.", row)).toBe("Ann finished on 1 May.");
+    expect(fillPlaceholders("no merge fields", row)).toBe("no merge fields");
+  });
+
+  it("finds the keys used in a text", () => {
+    expect(hasPlaceholders("a {{b}}")).toBe(true);
+    expect(hasPlaceholders("a {{}}")).toBe(false);
+    expect(findPlaceholders("{{First Name}} {{award}}")).toEqual(["first_name", "award"]);
+  });
+});
+
+describe("fieldTextForRow", () => {
+  it("fills placeholders in a field's own text", () => {
+    expect(fieldTextForRow({ id: "custom1", text: "Awarded to {{name}} by {{issuer}}" }, row)).toBe("Awarded to Ann by ACME");
+  });
+
+  it("prints row values as written", () => {
+    const odd = { ...row, name: "{{issuer}} Ann", award: "{{certificate_id}}" };
+    expect(fieldTextForRow({ id: "name" }, odd)).toBe("{{issuer}} Ann");
+    expect(fieldTextForRow({ id: "award" }, odd)).toBe("{{certificate_id}}");
+    expect(fieldTextForRow({ id: "date" }, odd, { dateText: "{{name}}" })).toBe("Date: {{name}}");
+    expect(fieldTextForRow({ id: "issuer" }, { name: "A" }, { issuerText: "Board" })).toBe("Board");
+  });
+});
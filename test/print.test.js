@@ -0,0 +1,75 @@
+import { describe, expect, it } from "vitest";
+import { PDFDocument, cmyk, rgb } from "pdf-lib";
+import { addCertificatePage, hexToRgb, normalizePrintOptions, printColor, printGeometry } from "../src/lib/print.js";
+import { UNIT_POINTS } from "../src/lib/constants.js";
+
+const mm = UNIT_POINTS.mm;
+
+describe("normalizePrintOptions", () => {
+  it("is null for the screen profile", () => {
+    expect(normalizePrintOptions()).toEqual({ print: null });
+    expect(normalizePrintOptions({ profile: "screen", bleedMm: 99 })).toEqual({ print: null });
+  });
+
+  it("converts the bleed to points", () => {
+    expect(normalizePrintOptions({ profile: "print" })).toEqual({ print: { bleed: 3 * mm, marks: true } });
+    expect(normalizePrintOptions({ profile: "print", bleedMm: "0", marks: false })).toEqual({ print: { bleed: 0, marks: false } });
+  });
+
+  it.each([{ profile: "cmyk" }, { profile: "print", bleedMm: 11 }, { profile: "print", bleedMm: -1 }, { profile: "print", bleedMm: "x" }])("rejects %j", (input) => {
+    expect(normalizePrintOptions(input).error).toBeTruthy();
+  });
+});
+
+describe("printGeometry", () => {
+  it("is the trim size without print options", () => {
+    expect(printGeometry(842, 595, null)).toEqual({
+      media: { width: 842, height: 595 },
+      trim: { x: 0, y: 0, width: 842, height: 595 },
+      bleed: { x: 0, y: 0, width: 842, height: 595 },
+    });
+  });
+
+  it("adds the bleed, and a slug for the marks", () => {
+    expect(printGeometry(842, 595, { bleed: 9, marks: false })).toEqual({
+      media: { width: 860, height: 613 },
+      trim: { x: 9, y: 9, width: 842, height: 595 },
+      bleed: { x: 0, y: 0, width: 860, height: 613 },
+    });
+    const { media, trim, bleed } = printGeometry(842, 595, { bleed: 9, marks: true });
+    expect(trim.x).toBe(9 + 22);
+    expect(bleed).toEqual({ x: 22, y: 22, width: 860, height: 613 });
+    expect(media).toEqual({ width: 842 + 2 * 31, height: 595 + 2 * 31 });
+  });
+
+  it("sets the page boxes in print mode only", async () => {
+    const doc = await PDFDocument.create();
+    const { page } = addCertificatePage(doc, 842, 595, { bleed: 9, marks: true });
+    expect(page.getSize()).toEqual({ width: 904, height: 657 });
+    expect(page.getTrimBox()).toEqual({ x: 31, y: 31, width: 842, height: 595 });
+    expect(page.getBleedBox()).toEqual({ x: 22, y: 22, width: 860, height: 613 });
+
+    const plain = addCertificatePage(doc, 842, 595, null).page;
+    expect(plain.getTrimBox()).toEqual({ x: 0, y: 0, width: 842, height: 595 });
+  });
+});
+
+describe("hexToRgb", () => {
+  it("reads #rrggbb and #rgb, with or without the #", () => {
+    expect(hexToRgb("#ff8000")).toEqual(rgb(1, 128 / 255, 0));
+    expect(hexToRgb("f80")).toEqual(rgb(1, 136 / 255, 0));
+    expect(hexToRgb(" #FFFFFF ")).toEqual(rgb(1, 1, 1));
+  });
+
+  it("falls back to black for anything else", () => {
+    for (const v of [undefined, null, "", "#12", "#12345", "#ggg", "red", "#12zz00"]) expect(hexToRgb(v)).toEqual(rgb(0, 0, 0));
+  });
+});
+
+describe("printColor", () => {
+  it("makes neutral colours K-only in the print profile", () => {
+    expect(printColor(hexToRgb("#333333"), null)).toEqual(rgb(0.2, 0.2, 0.2));
+    expect(printColor(hexToRgb("#000"), { bleed: 0 })).toEqual(cmyk(0, 0, 0, 1));
+    expect(printColor(hexToRgb("#c9a227"), { bleed: 0 })).toEqual(hexToRgb("#c9a227"));
+  });
+});
@@ -0,0 +1,47 @@
+import { describe, expect, it } from "vitest";
+import qrcode from "qrcode-generator";
+import { QR_QUIET_ZONE, qrCodeFor } from "../src/lib/qr.js";
+
+// Dark modules drawn by a path of "M<x> <y>h<run>v1h-<run>z" rows
+function darkCells(path) {
+  const cells = new Set();
+  for (const [, x, y, run] of path.matchAll(/M(\d+) (\d+)h(\d+)v1h-\3z/g)) {
+    for (let i = 0; i < Number(run); i++) cells.add(`${Number(x) + i},${y}`);
+  }
+  return cells;
+}
+
+describe("qrCodeFor", () => {
+  it("draws every dark module, offset by the quiet zone", () => {
+    const text = "https://example.com/verify?id=7K3Q-M9XD-2HFA";
+    const { modules, path } = qrCodeFor(text);
+
+    const qr = qrcode(0, "M");
+    qr.addData(text, "Byte");
+    qr.make();
+    const count = qr.getModuleCount();
+    expect(modules).toBe(count + 2 * QR_QUIET_ZONE);
+
+    const expected = new Set();
+    for (let r = 0; r < count; r++) {
+      for (let c = 0; c < count; c++) if (qr.isDark(r, c)) expected.add(`${c + QR_QUIET_ZONE},${r + QR_QUIET_ZONE}`);
+    }
+    expect(darkCells(path)).toEqual(expected);
+    // Runs of dark modules are one rectangle: the finder pattern's top edge
+    expect(path.startsWith(`M${QR_QUIET_ZONE} ${QR_QUIET_ZONE}h7v1h-7z`)).toBe(true);
+  });
+
+  it("encodes text as UTF-8 bytes", () => {
+    const ascii = qrCodeFor("a".repeat(14));
+    const accented = qrCodeFor("é".repeat(7)); // the same 14 bytes
+    expect(accented.modules).toBe(ascii.modules);
+    expect(qrCodeFor("é".repeat(8)).modules).toBeGreaterThan(ascii.modules);
+  });
+
+  it("is null for empty or overlong text, and cached per text", () => {
+    expect(qrCodeFor("  ")).toBeNull();
+    expect(qrCodeFor(undefined)).toBeNull();
+    expect(qrCodeFor("x".repeat(3000))).toBeNull();
+    expect(qrCodeFor(" same ")).toBe(qrCodeFor("same"));
+  });
+});
@@ -0,0 +1,47 @@
+// In-memory stand-in for the parts of an R2 bucket binding the functions use.
+export function memoryBucket(initial = {}) {
+  const objects = new Map();
+  let version = 0;
+
+  function toBytes(value) {
+    if (typeof value === "string") return new TextEncoder().encode(value);
+    if (value instanceof ArrayBuffer) return new Uint8Array(value);
+    return new Uint8Array(value.buffer, value.byteOffset, value.byteLength);
+  }
+
+  function meta(key, o) {
+    return { key, size: o.bytes.byteLength, etag: o.etag, httpEtag: `"${o.etag}"`, uploaded: o.uploaded, httpMetadata: o.httpMetadata, customMetadata: o.customMetadata };
+  }
+
+  const bucket = {
+    objects,
+    async put(key, value, { httpMetadata = {}, customMetadata = {}, onlyIf } = {}) {
+      if (onlyIf?.etagMatches && objects.get(key)?.etag !== onlyIf.etagMatches) return null;
+      const o = { bytes: toBytes(value), etag: `v${++version}`, uploaded: new Date(), httpMetadata, customMetadata };
+      objects.set(key, o);
+      return meta(key, o);
+    },
+    async head(key) {
+      const o = objects.get(key);
+      return o ? meta(key, o) : null;
+    },
+    async get(key) {
+      const o = objects.get(key);
+      if (!o) return null;
+      return {
+        ...meta(key, o),
+        text: async () => new TextDecoder().decode(o.bytes),
+        arrayBuffer: async () => o.bytes.slice().buffer,
+      };
+    },
+    async delete(key) {
+      for (const k of [].concat(key)) objects.delete(k);
+    },
+    async list({ prefix = "" } = {}) {
+      const keys = [...objects.keys()].filter((k) => k.startsWith(prefix)).sort();
+      return { objects: keys.map((k) => meta(k, objects.get(k))), truncated: false };
+    },
+  };
+  for (const [key, value] of Object.entries(initial)) bucket.put(key, value);
+  return bucket;
+}
@@ -0,0 +1,136 @@
+import { describe, expect, it } from "vitest";
+import {
+  fillSpanPlaceholders,
+  hasRichFormatting,
+  parseRichText,
+  richLinePieces,
+  richMeasure,
+  richTextMarkup,
+  sliceSpans,
+  spanFontStyle,
+  spansText,
+} from "../src/lib/richText.js";
+import { fieldSpansForRow, fieldTextForRow } from "../src/lib/layout.js";
+
+describe("parseRichText", () => {
+  it("reads bold, italic, underline and colour", () => {
+    expect(parseRichText("has **won** [color=#C9A227]*with* __honours__[/color]!")).toEqual([
+      { text: "has " },
+      { text: "won", bold: true },
+      { text: " " },
+      { text: "with", italic: true, fill: "#c9a227" },
+      { text: " ", fill: "#c9a227" },
+      { text: "honours", underline: true, fill: "#c9a227" },
+      { text: "!" },
+    ]);
+  });
+
+  it("combines markers and runs unclosed ones to the end", () => {
+    expect(parseRichText("***both*** and **open")).toEqual([
+      { text: "both", bold: true, italic: true },
+      { text: " and " },
+      { text: "open", bold: true },
+    ]);
+  });
+
+  it("keeps escapes, placeholders and stray tags as text", () => {
+    expect(parseRichText("\\*a\\* \\_\\_b \\[c {{first_name}} [/color] [color=red]")).toEqual([
+      { text: "*a* __b [c {{first_name}} [/color] [color=red]" },
+    ]);
+    expect(parseRichText("{{a*b}}")).toEqual([{ text: "{{a*b}}" }]);
+    expect(parseRichText(null)).toEqual([]);
+  });
+});
+
+describe("richTextMarkup", () => {
+  it.each([
+    "has completed **{{award}}** with [color=#c9a227]*distinction*[/color] __ok__",
+    "***both*** plain [color=#fff]w[/color]",
+    "a \\*lit\\* \\_\\_x \\\\ \\[y",
+    "snake_case stays",
+  ])("round-trips %s", (markup) => {
+    const spans = parseRichText(markup);
+    expect(parseRichText(richTextMarkup(spans))).toEqual(spans);
+  });
+
+  it("escapes markup characters in plain text", () => {
+    const spans = [{ text: "2 * 3 = 6 [sic] __init__" }];
+    expect(parseRichText(richTextMarkup(spans))).toEqual(spans);
+  });
+
+  it("merges neighbours with the same style and drops empty spans", () => {
+    expect(richTextMarkup([{ text: "a", bold: true }, { text: "" }, { text: "b", bold: true }])).toBe("**ab**");
+  });
+});
+
+describe("span helpers", () => {
+  it("tells formatted spans from plain text", () => {
+    expect(hasRichFormatting(parseRichText("plain"))).toBe(false);
+    expect(hasRichFormatting(parseRichText("[color=#000]x[/color]"))).toBe(true);
+    expect(spansText(parseRichText("**a** b"))).toBe("a b");
+  });
+
+  it("fills placeholders without letting values add formatting", () => {
+    const spans = fillSpanPlaceholders(parseRichText("**{{award}}** by {{name}}"), { award: "Course *X*", name: "Ann" });
+    expect(spans).toEqual([{ text: "Course *X*", bold: true }, { text: " by Ann" }]);
+  });
+
+  it("adds span styles to the field's font style", () => {
+    expect(spanFontStyle("normal", {})).toBe("normal");
+    expect(spanFontStyle("bold", { italic: true })).toBe("bold italic");
+    expect(spanFontStyle("italic", { bold: true })).toBe("bold italic");
+    expect(spanFontStyle("normal", { bold: true })).toBe("bold");
+  });
+
+  it("slices spans by code point", () => {
+    const spans = [{ text: "a😀b" }, { text: "cd", bold: true }];
+    expect(sliceSpans(spans, 1, 4)).toEqual([
+      { text: "😀b", span: spans[0] },
+      { text: "c", span: spans[1] },
+    ]);
+  });
+});
+
+describe("richLinePieces", () => {
+  // Every character is 10 wide, bold ones 12
+  const measureSpan = (text, span) => Array.from(text).length * (span.bold ? 12 : 10);
+  const spans = parseRichText("ab **cd** ef");
+
+  it("measures across spans", () => {
+    expect(richMeasure(spans, measureSpan)("b cd", 16, 1)).toBe(10 + 10 + 24);
+  });
+
+  it("aligns pieces in the box", () => {
+    const line = { text: "ab cd ef", start: 0, lastInParagraph: true };
+    const pieces = richLinePieces(line, spans, { align: "right", boxWidth: 100, size: 16, measureSpan });
+    expect(pieces.map((p) => [p.text, p.x, p.width])).toEqual([
+      ["ab ", 16, 30],
+      ["cd", 46, 24],
+      [" ef", 70, 30],
+    ]);
+  });
+
+  it("splits justified lines at spaces and spreads the gaps", () => {
+    const line = { text: "ab cd ef", start: 0, lastInParagraph: false };
+    const pieces = richLinePieces(line, spans, { align: "justify", boxWidth: 104, size: 16, measureSpan });
+    expect(pieces.map((p) => [p.text, p.x])).toEqual([
+      ["ab", 0],
+      ["cd", 40],
+      ["ef", 84],
+    ]);
+  });
+});
+
+describe("rich fields", () => {
+  const row = { name: "Ann", award: "Course" };
+
+  it("read markup only when the field is rich", () => {
+    const plain = "2 * 3 = **{{award}}** [sic]";
+    expect(fieldTextForRow({ id: "custom1", text: plain }, row)).toBe("2 * 3 = **Course** [sic]");
+    expect(fieldSpansForRow({ id: "custom1", text: plain }, row)).toEqual([{ text: "2 * 3 = **Course** [sic]" }]);
+
+    const rich = "**{{award}}** done";
+    expect(fieldTextForRow({ id: "custom1", text: rich, rich: true }, row)).toBe("Course done");
+    expect(fieldSpansForRow({ id: "custom1", text: rich, rich: true }, row)).toEqual([{ text: "Course", bold: true }, { text: " done" }]);
+  });
+});
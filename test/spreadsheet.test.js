@@ -0,0 +1,87 @@
+// @vitest-environment jsdom
+import { describe, expect, it } from "vitest";
+import JSZip from "jszip";
+import { excelSerialToIso, readWorkbook, sheetTable } from "../src/lib/spreadsheet.js";
+import { rowsFromTable } from "../src/lib/parsers.js";
+
+// Minimal .xlsx: style 1 is the built-in date format 14, style 0 is General
+async function xlsx(sheetData, { date1904 = false } = {}) {
+  const zip = new JSZip();
+  zip.file(
+    "xl/workbook.xml",
+    `<workbook xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">` +
+      `<workbookPr date1904="${date1904 ? 1 : 0}"/><sheets><sheet name="People" sheetId="1" r:id="rId1"/></sheets></workbook>`
+  );
+  zip.file("xl/_rels/workbook.xml.rels", `<Relationships><Relationship Id="rId1" Target="worksheets/sheet1.xml"/></Relationships>`);
+  zip.file("xl/sharedStrings.xml", `<sst><si><t>name</t></si><si><t>title</t></si><si><t>date</t></si><si><r><t>Ann </t></r><r><t>Lee</t></r></si></sst>`);
+  zip.file("xl/styles.xml", `<styleSheet><cellXfs><xf numFmtId="0"/><xf numFmtId="14"/></cellXfs></styleSheet>`);
+  zip.file("xl/worksheets/sheet1.xml", `<worksheet><sheetData>${sheetData}</sheetData></worksheet>`);
+  return zip.generateAsync({ type: "arraybuffer" });
+}
+
+const HEADER = `<row r="1"><c r="A1" t="s"><v>0</v></c><c r="B1" t="s"><v>1</v></c><c r="C1" t="s"><v>2</v></c></row>`;
+
+describe("excelSerialToIso", () => {
+  it("converts 1900 and 1904 serials", () => {
+    expect(excelSerialToIso(45292)).toBe("2024-01-01");
+    expect(excelSerialToIso("45292.75")).toBe("2024-01-01");
+    expect(excelSerialToIso(1)).toBe("1900-01-01");
+    expect(excelSerialToIso(43830, true)).toBe("2024-01-01");
+    expect(excelSerialToIso("x")).toBe("");
+  });
+});
+
+describe("readWorkbook (xlsx)", () => {
+  it("converts date-formatted cells and leaves other numbers alone", async () => {
+    const buffer = await xlsx(
+      HEADER +
+        `<row r="2"><c r="A2" t="s"><v>3</v></c><c r="B2" t="inlineStr"><is><t>Course</t></is></c><c r="C2" s="1"><v>45292</v></c></row>` +
+        `<row r="3"><c r="A3" t="inlineStr"><is><t>Bob</t></is></c><c r="B3" t="inlineStr"><is><t>Course</t></is></c><c r="C3"><v>2024</v></c></row>` +
+        `<row r="4"><c r="A4" t="inlineStr"><is><t>Cy</t></is></c><c r="B4" t="inlineStr"><is><t>Course</t></is></c><c r="C4" t="inlineStr"><is><t>45292</t></is></c></row>`
+    );
+    const { sheets, error } = await readWorkbook(buffer, "people.xlsx");
+    expect(error).toBeUndefined();
+    expect(sheets[0].name).toBe("People");
+    expect(sheets[0].rows).toEqual([
+      ["name", "title", "date"],
+      ["Ann Lee", "Course", "2024-01-01"],
+      ["Bob", "Course", "2024"],
+      ["Cy", "Course", "45292"],
+    ]);
+
+    const { rows } = rowsFromTable(sheetTable(sheets[0]), ["name", "award", "date"]);
+    expect(rows.map((r) => r.date)).toEqual(["2024-01-01", "2024", "45292"]);
+  });
+
+  it("places cells by their reference and uses the 1904 date system", async () => {
+    const buffer = await xlsx(HEADER + `<row r="3"><c r="C3" s="1"><v>43830</v></c></row>`, { date1904: true });
+    const { sheets } = await readWorkbook(buffer, "x.xlsx");
+    expect(sheets[0].rows).toEqual([["name", "title", "date"], [], ["", "", "2024-01-01"]]);
+  });
+
+  it("returns an error for files that aren't workbooks", async () => {
+    expect((await readWorkbook(new Uint8Array([1, 2, 3]).buffer, "x.xlsx")).error).toMatch(/Could not read spreadsheet/);
+  });
+});
+
+describe("readWorkbook (ods)", () => {
+  it("reads dates, numbers and repeated cells", async () => {
+    const zip = new JSZip();
+    const cell = (attrs, text = "") => `<table:table-cell ${attrs}><text:p>${text}</text:p></table:table-cell>`;
+    zip.file(
+      "content.xml",
+      `<office:document-content xmlns:office="urn:oasis:names:tc:opendocument:xmlns:office:1.0" ` +
+        `xmlns:table="urn:oasis:names:tc:opendocument:xmlns:table:1.0" xmlns:text="urn:oasis:names:tc:opendocument:xmlns:text:1.0">` +
+        `<office:body><office:spreadsheet><table:table table:name="S">` +
+        `<table:table-row>${cell("", "name")}${cell("", "date")}${cell("", "year")}</table:table-row>` +
+        `<table:table-row>${cell("", "Ann")}${cell('office:value-type="date" office:date-value="2024-03-05T00:00:00"', "05/03/24")}${cell('office:value-type="float" office:value="2024"', "2,024")}</table:table-row>` +
+        `<table:table-row table:number-rows-repeated="1000"><table:table-cell table:number-columns-repeated="1024"/></table:table-row>` +
+        `</table:table></office:spreadsheet></office:body></office:document-content>`
+    );
+    const { sheets } = await readWorkbook(await zip.generateAsync({ type: "arraybuffer" }), "x.ods");
+    expect(sheets[0].rows).toEqual([
+      ["name", "date", "year"],
+      ["Ann", "2024-03-05", "2024"],
+    ]);
+  });
+});
@@ -0,0 +1,53 @@
+import { describe, expect, it } from "vitest";
+import { isTemplateMetaKey, normalizeTemplateMeta, templateMetaKey } from "../src/lib/templateMeta.js";
+
+describe("normalizeTemplateMeta", () => {
+  it("cleans and limits every field", () => {
+    const { meta } = normalizeTemplateMeta(
+      JSON.stringify({
+        name: "  Gold   frame ",
+        category: "Awards",
+        paper: "a4",
+        orientation: "Landscape",
+        fonts: ["Cinzel", "", " Lora ", ...Array(10).fill("Inter")],
+        colors: ["#C9A227", "#fff", "red", "#1e2233"],
+      })
+    );
+    expect(meta).toEqual({
+      version: 1,
+      name: "Gold frame",
+      category: "Awards",
+      paper: "A4",
+      orientation: "landscape",
+      fonts: ["Cinzel", "Lora", "Inter", "Inter", "Inter", "Inter", "Inter", "Inter"],
+      colors: ["#c9a227", "#1e2233"],
+      layout: null,
+    });
+  });
+
+  it("normalises the default layout", () => {
+    const { meta } = normalizeTemplateMeta({ layout: { page: { width: 842, height: 595 }, fields: [{ id: "name", x: 1, y: 2 }] } });
+    expect(meta.layout.fields[0]).toMatchObject({ id: "name", x: 1, y: 2, align: "center" });
+    expect(meta.paper).toBe("");
+  });
+
+  it.each([
+    ["{", /not valid JSON/],
+    [2, /must be an object/],
+    [{ version: 2 }, /newer/],
+    [{ version: "x" }, /version is invalid/],
+    [{ paper: "B5" }, /Unknown paper size "B5"/],
+    [{ orientation: "square" }, /Orientation/],
+    [{ layout: { fields: [] } }, /page width and height/],
+  ])("rejects %j", (input, message) => {
+    expect(normalizeTemplateMeta(input).error).toMatch(message);
+  });
+});
+
+describe("sidecar keys", () => {
+  it("sit next to the template", () => {
+    expect(templateMetaKey("orgs/acme/templates/a.png")).toBe("orgs/acme/templates/a.png.json");
+    expect(isTemplateMetaKey("templates/a.png.json")).toBe(true);
+    expect(isTemplateMetaKey("templates/a.png")).toBe(false);
+  });
+});
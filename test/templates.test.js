@@ -0,0 +1,132 @@
+import { describe, expect, it } from "vitest";
+import { PDFDocument } from "pdf-lib";
+import { canReadTemplateKey, isOrgTemplateKey, sniffTemplateType, validateTemplate } from "../functions/_lib/templates.js";
+import { onRequestPost as uploadTemplate } from "../functions/api/templates/index.js";
+import { onRequestPut as putMeta } from "../functions/api/templates/meta.js";
+import { onRequestGet as listAssets, onRequestPost as uploadAsset } from "../functions/api/assets/index.js";
+import { memoryBucket } from "./r2.js";
+
+// Just enough of a PNG for the header checks: signature + IHDR width/height
+function pngHeader(width, height) {
+  const bytes = new Uint8Array(33);
+  bytes.set([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 13, 0x49, 0x48, 0x44, 0x52]);
+  const dv = new DataView(bytes.buffer);
+  dv.setUint32(16, width);
+  dv.setUint32(20, height);
+  return bytes;
+}
+
+// SOI, an APP0 segment, then a SOF0 frame header
+function jpegHeader(width, height) {
+  const bytes = new Uint8Array([0xff, 0xd8, 0xff, 0xe0, 0, 4, 0, 0, 0xff, 0xc0, 0, 11, 8, 0, 0, 0, 0, 3, 0, 0, 0, 0]);
+  const dv = new DataView(bytes.buffer);
+  dv.setUint16(13, height);
+  dv.setUint16(15, width);
+  return bytes;
+}
+
+async function pdfBytes(width, height) {
+  const doc = await PDFDocument.create();
+  doc.addPage([width, height]);
+  return doc.save();
+}
+
+describe("sniffTemplateType", () => {
+  it("goes by the leading bytes", async () => {
+    expect(sniffTemplateType(pngHeader(1, 1))).toBe("png");
+    expect(sniffTemplateType(jpegHeader(1, 1))).toBe("jpeg");
+    expect(sniffTemplateType(await pdfBytes(100, 100))).toBe("pdf");
+    expect(sniffTemplateType(new TextEncoder().encode("<svg></svg>"))).toBe("");
+    expect(sniffTemplateType(new Uint8Array([0x89, 0x50]))).toBe("");
+  });
+});
+
+describe("validateTemplate", () => {
+  it("accepts backgrounds that fit the paper", async () => {
+    expect(await validateTemplate(pngHeader(3508, 2480), "png", { paper: "A4" })).toEqual({
+      dimensions: { width: 3508, height: 2480, unit: "px" },
+      orientation: "landscape",
+    });
+    expect((await validateTemplate(jpegHeader(1700, 2200), "jpeg", { paper: "LETTER", orientation: "portrait" })).orientation).toBe("portrait");
+    expect((await validateTemplate(await pdfBytes(842, 595), "pdf", { paper: "A4" })).dimensions).toEqual({ width: 842, height: 595, unit: "pt" });
+  });
+
+  it.each([
+    [pngHeader(3508, 2480), { paper: "A4", orientation: "portrait" }, /is landscape/],
+    [pngHeader(1000, 707), { paper: "A4" }, /at least 1400 px/],
+    [pngHeader(12000, 8485), { paper: "A4" }, /limit is 10000 px/],
+    [pngHeader(3000, 3000), { paper: "A4" }, /aspect ratio/],
+    [new Uint8Array(8), { paper: "A4" }, /dimensions/],
+  ])("rejects %#", async (bytes, options, message) => {
+    expect((await validateTemplate(bytes, "png", options)).error).toMatch(message);
+  });
+
+  it("doesn't apply pixel limits to PDF pages", async () => {
+    expect((await validateTemplate(await pdfBytes(420, 297), "pdf", { paper: "A4" })).error).toBeUndefined();
+  });
+});
+
+describe("template keys", () => {
+  it("are readable when shared or the organisation's own", () => {
+    expect(canReadTemplateKey("templates/a.png", "acme")).toBe(true);
+    expect(canReadTemplateKey("orgs/acme/templates/x.png", "acme")).toBe(true);
+    expect(canReadTemplateKey("orgs/acme/assets/logo", "acme")).toBe(true);
+    expect(canReadTemplateKey("orgs/acme-2/templates/x.png", "acme")).toBe(false);
+    expect(canReadTemplateKey("orgs/globex/templates/x.png", "acme")).toBe(false);
+    expect(canReadTemplateKey("designs/acme/d.json", "acme")).toBe(false);
+    expect(canReadTemplateKey("", "acme")).toBe(false);
+  });
+
+  it("are editable only for the organisation's uploaded template files", () => {
+    expect(isOrgTemplateKey("orgs/acme/templates/x.pdf", "acme")).toBe(true);
+    expect(isOrgTemplateKey("orgs/acme/templates/x.pdf.json", "acme")).toBe(false);
+    expect(isOrgTemplateKey("orgs/acme/thumbs/x.png", "acme")).toBe(false);
+    expect(isOrgTemplateKey("templates/a.png", "acme")).toBe(false);
+  });
+});
+
+describe("write routes", () => {
+  function setup() {
+    const env = { CERT_TEMPLATES: memoryBucket(), PAID_API_KEYS: "acme:key-a" };
+    const request = (url, { key, method = "POST", body } = {}) =>
+      new Request(`https://x${url}`, { method, headers: key ? { Authorization: `Bearer ${key}` } : {}, body });
+    const upload = (bytes, name) => {
+      const form = new FormData();
+      form.set("file", new File([bytes], name));
+      return form;
+    };
+    return { env, request, upload };
+  }
+
+  it("turn anonymous callers away", async () => {
+    const { env, request, upload } = setup();
+    const responses = [
+      await uploadTemplate({ request: request("/api/templates", { body: upload(pngHeader(3508, 2480), "a.png") }), env }),
+      await uploadAsset({ request: request("/api/assets", { body: upload(pngHeader(100, 100), "logo.png") }), env }),
+      await putMeta({ request: request("/api/templates/meta?key=orgs/default/templates/a.png", { method: "PUT", body: "{}" }), env }),
+    ];
+    expect(responses.map((r) => r.status)).toEqual([401, 401, 401]);
+    expect(env.CERT_TEMPLATES.objects.size).toBe(0);
+  });
+
+  it("store a signed-in caller's uploads under its organisation", async () => {
+    const { env, request, upload } = setup();
+    const res = await uploadTemplate({ request: request("/api/templates", { key: "key-a", body: upload(pngHeader(3508, 2480), "Gold.png") }), env });
+    expect(res.status).toBe(201);
+    const { template } = await res.json();
+    expect(template).toMatchObject({ label: "Gold", paper: "A4", orientation: "landscape", custom: true });
+    expect(template.key).toMatch(/^orgs\/acme\/templates\/[0-9a-f-]+\.png$/);
+
+    const meta = await putMeta({
+      request: request(`/api/templates/meta?key=${template.key}`, { key: "key-a", method: "PUT", body: JSON.stringify({ name: "Gold frame" }) }),
+      env,
+    });
+    expect(meta.status).toBe(200);
+
+    await uploadAsset({ request: request("/api/assets", { key: "key-a", body: upload(pngHeader(100, 100), "Jane Doe.png") }), env });
+    const own = await (await listAssets({ request: request("/api/assets", { key: "key-a", method: "GET" }), env })).json();
+    expect(own.assets.map((a) => a.key)).toEqual(["orgs/acme/assets/jane-doe"]);
+    const anonymous = await (await listAssets({ request: request("/api/assets", { method: "GET" }), env })).json();
+    expect(anonymous.assets).toEqual([]);
+  });
+});
@@ -0,0 +1,80 @@
+import { describe, expect, it } from "vitest";
+import { alignOffset, fitTextBox, justifyGap, wrapLines } from "../src/lib/textLayout.js";
+
+// Every character is 10 wide
+const measure = (s) => Array.from(s).length * 10;
+// Every character is half the font size wide
+const measureAt = (s, size) => Array.from(s).length * size * 0.5;
+
+const texts = (lines) => lines.map((l) => l.text);
+
+describe("wrapLines", () => {
+  it("wraps at spaces and keeps where each line starts", () => {
+    expect(wrapLines("aaa bbb ccc", 75, measure)).toEqual([
+      { text: "aaa bbb", start: 0, lastInParagraph: false },
+      { text: "ccc", start: 8, lastInParagraph: true },
+    ]);
+  });
+
+  it("breaks after a dash and mid-word when a word is wider than the box", () => {
+    expect(texts(wrapLines("well-known", 60, measure))).toEqual(["well-", "known"]);
+    expect(texts(wrapLines("abcdefgh", 30, measure))).toEqual(["abc", "def", "gh"]);
+  });
+
+  it("keeps paragraphs and counts offsets in code points", () => {
+    const lines = wrapLines("😀😀 b\nc d", 30, measure);
+    expect(lines).toEqual([
+      { text: "😀😀", start: 0, lastInParagraph: false },
+      { text: "b", start: 3, lastInParagraph: true },
+      { text: "c d", start: 5, lastInParagraph: true },
+    ]);
+  });
+
+  it("doesn't wrap without a width", () => {
+    expect(texts(wrapLines("a b c", 0, measure))).toEqual(["a b c"]);
+    expect(wrapLines("", 50, measure)).toEqual([{ text: "", start: 0, lastInParagraph: true }]);
+  });
+});
+
+describe("alignment", () => {
+  it("offsets lines in the box and spreads justified gaps", () => {
+    expect([alignOffset("left", 100, 40), alignOffset("center", 100, 40), alignOffset("right", 100, 40)]).toEqual([0, 30, 60]);
+    expect(justifyGap("a b c", 100, 50)).toBe(25);
+    expect(justifyGap("abc", 100, 30)).toBe(0);
+    expect(justifyGap("a b", 10, 30)).toBe(0);
+  });
+});
+
+describe("fitTextBox", () => {
+  const box = { text: "Jane Alexandra Doe", width: 150, fontSize: 20, lineHeight: 1 };
+
+  it("keeps the size when the text fits", () => {
+    const fit = fitTextBox({ ...box, maxLines: 2 }, measureAt);
+    expect(fit).toMatchObject({ fontSize: 20, overflow: 0 });
+    expect(texts(fit.lines)).toEqual(["Jane Alexandra", "Doe"]);
+  });
+
+  it("shrinks towards minFontSize until the lines fit", () => {
+    const fit = fitTextBox({ ...box, maxLines: 1, minFontSize: 10 }, measureAt);
+    expect(fit).toMatchObject({ fontSize: 16, overflow: 0 });
+    expect(texts(fit.lines)).toEqual(["Jane Alexandra Doe"]);
+  });
+
+  it("limits lines by the box height", () => {
+    const fit = fitTextBox({ ...box, height: 25, minFontSize: 19 }, measureAt);
+    expect(fit.fontSize).toBe(19);
+    expect(fit.lines).toHaveLength(1);
+    expect(fit.overflow).toBe(1);
+    expect(fit.lines[0].lastInParagraph).toBe(true);
+  });
+
+  it("shrinks rather than break a word mid-word", () => {
+    const fit = fitTextBox({ text: "Supercalifragilistic", width: 150, fontSize: 20, minFontSize: 8 }, measureAt);
+    expect(fit.fontSize).toBe(15);
+    expect(texts(fit.lines)).toEqual(["Supercalifragilistic"]);
+  });
+
+  it("without minFontSize never shrinks", () => {
+    expect(fitTextBox({ ...box, maxLines: 1 }, measureAt)).toMatchObject({ fontSize: 20, overflow: 1 });
+  });
+});
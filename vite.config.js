@@ -3,4 +3,10 @@ import react from "@vitejs/plugin-react";
 
 export default defineConfig({
   plugins: [react()],
+  build: {
+    rollupOptions: {
+      // The editor, plus the public certificate verification page (/verify?id=…)
+      input: { main: "index.html", verify: "verify.html" },
+    },
+  },
 });